@@ -0,0 +1,551 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+/**
+ * Compact binary format for serialized networks
+ *
+ * The format starts with the magic bytes `JSNN`, a version number and the precision of the weights
+ *
+ * That is followed by a small JSON header describing the topology, activation functions and other settings
+ *
+ * The biases and weights then follow as a packed blob of floating-point numbers, ordered by layer and neuron, where every
+ * layer continues with its other arrays of parameters, e.g. recurrent weights, those of gates or kernels, whose lengths
+ * remain in the header
+ *
+ * If the optimizer keeps states, a presence flag per bias or weight and the packed values of those states follow
+ *
+ * All numbers are stored in little-endian byte order, and the JSON header is encoded as UTF-8
+ */
+var BinaryFormat = {};
+
+/**
+ * The magic bytes that every buffer in this format starts with
+ *
+ * @type {string}
+ */
+BinaryFormat.MAGIC = "JSNN";
+
+/**
+ * The current version of this format
+ *
+ * @type {number}
+ */
+BinaryFormat.VERSION = 2;
+
+/**
+ * The arrays of parameters in serialized layers that are packed into the blob instead of being kept in the header
+ *
+ * Every entry names the object within the layer that holds the arrays (if any), the key of the parameters and the key of
+ * their optimizer states
+ *
+ * @type {Array.<{container: string|null, parameters: string, states: string}>}
+ */
+BinaryFormat.PACKED_ARRAYS = [
+	{ container: null, parameters: "recurrentWeights", states: "recurrentOptimizerStates" },
+	{ container: "gates", parameters: "weights", states: "weightOptimizerStates" },
+	{ container: "gates", parameters: "biases", states: "biasOptimizerStates" },
+	{ container: "convolution", parameters: "weights", states: "weightOptimizerStates" }
+];
+
+/**
+ * Encodes the specified JSON document of a network in the binary format
+ *
+ * Weights with double precision (64 bits) round-trip exactly, while single precision (32 bits) halves the size
+ *
+ * @param {Object} data - the JSON document as returned by the network's `toJSON` method
+ * @param {number} [precision] - the number of bits per weight, i.e. `32` or `64`
+ * @return {ArrayBuffer} the encoded network
+ */
+BinaryFormat.encode = function (data, precision) {
+	precision = precision || 64;
+
+	if (precision !== 32 && precision !== 64) {
+		throw "Precision (`"+precision+"`) must be either `32` or `64` bits";
+	}
+
+	var header = {};
+	for (var key in data) {
+		if (data.hasOwnProperty(key) && key !== "layers") {
+			header[key] = data[key];
+		}
+	}
+	header.layers = [];
+
+	var parameters = [];
+	var states = [];
+	var stateKeys = [];
+	var layer;
+	var layerHeader;
+	var neuron;
+
+	// for every layer
+	for (var i = 0; i < data.layers.length; i++) {
+		layer = data.layers[i];
+
+		// copy everything but the neurons into the header
+		layerHeader = {};
+		for (var layerKey in layer) {
+			if (layer.hasOwnProperty(layerKey) && layerKey !== "neurons") {
+				layerHeader[layerKey] = layer[layerKey];
+			}
+		}
+		layerHeader.size = layer.neurons.length;
+		header.layers.push(layerHeader);
+
+		// for every neuron in the layer
+		for (var k = 0; k < layer.neurons.length; k++) {
+			neuron = layer.neurons[k];
+
+			parameters.push(neuron.bias || 0);
+			states.push(neuron.biasOptimizerState || null);
+
+			// for every connection of the neuron
+			for (var m = 0; m < neuron.connections.length; m++) {
+				parameters.push(neuron.connections[m].weight);
+				states.push(neuron.connections[m].optimizerState || null);
+			}
+		}
+
+		BinaryFormat._packArrays(layer, layerHeader, parameters, states);
+	}
+
+	// collect the keys of the optimizer's states from the first state that exists
+	for (var n = 0; n < states.length; n++) {
+		if (states[n] !== null) {
+			stateKeys = Object.keys(states[n]);
+			break;
+		}
+	}
+
+	header.optimizerStateKeys = stateKeys;
+
+	var headerBytes = BinaryFormat._encodeUtf8(JSON.stringify(header));
+	var bytesPerNumber = precision / 8;
+	var numberOfStates = 0;
+
+	for (var p = 0; p < states.length; p++) {
+		if (states[p] !== null) {
+			numberOfStates++;
+		}
+	}
+
+	var byteLength = 10 + headerBytes.length + parameters.length * bytesPerNumber;
+
+	if (stateKeys.length > 0) {
+		byteLength += states.length + numberOfStates * stateKeys.length * bytesPerNumber;
+	}
+
+	var buffer = new ArrayBuffer(byteLength);
+	var view = new DataView(buffer);
+	var offset = 0;
+
+	for (var q = 0; q < BinaryFormat.MAGIC.length; q++) {
+		view.setUint8(offset++, BinaryFormat.MAGIC.charCodeAt(q));
+	}
+
+	view.setUint8(offset++, BinaryFormat.VERSION);
+	view.setUint8(offset++, precision);
+	view.setUint32(offset, headerBytes.length, true);
+	offset += 4;
+
+	for (var r = 0; r < headerBytes.length; r++) {
+		view.setUint8(offset++, headerBytes[r]);
+	}
+
+	for (var t = 0; t < parameters.length; t++) {
+		offset = BinaryFormat._writeNumber(view, offset, parameters[t], precision);
+	}
+
+	if (stateKeys.length > 0) {
+		// write a flag per bias or weight that tells whether a state exists
+		for (var u = 0; u < states.length; u++) {
+			view.setUint8(offset++, (states[u] !== null) ? 1 : 0);
+		}
+
+		for (var v = 0; v < states.length; v++) {
+			if (states[v] !== null) {
+				for (var w = 0; w < stateKeys.length; w++) {
+					offset = BinaryFormat._writeNumber(view, offset, states[v][stateKeys[w]], precision);
+				}
+			}
+		}
+	}
+
+	return buffer;
+};
+
+/**
+ * Decodes a network in the binary format into its JSON document
+ *
+ * @param {ArrayBuffer|ArrayBufferView} buffer - the encoded network, e.g. an `ArrayBuffer`, `Uint8Array` or `Buffer`
+ * @return {Object} the JSON document that the network's `toJSON` method returned
+ */
+BinaryFormat.decode = function (buffer) {
+	var view;
+
+	if (buffer instanceof ArrayBuffer) {
+		view = new DataView(buffer);
+	}
+	else if (ArrayBuffer.isView(buffer)) {
+		view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+	}
+	else {
+		throw "Serialized network must be an `ArrayBuffer` or a view of one";
+	}
+
+	if (view.byteLength < 10) {
+		throw "Buffer does not contain a serialized network";
+	}
+
+	var offset = 0;
+
+	for (var i = 0; i < BinaryFormat.MAGIC.length; i++) {
+		if (view.getUint8(offset++) !== BinaryFormat.MAGIC.charCodeAt(i)) {
+			throw "Buffer does not contain a serialized network";
+		}
+	}
+
+	var version = view.getUint8(offset++);
+
+	// version `1` only differs in keeping all arrays of parameters except those of the neurons in the header
+	if (version !== 1 && version !== BinaryFormat.VERSION) {
+		throw "Unsupported version `"+version+"` of binary format";
+	}
+
+	var precision = view.getUint8(offset++);
+
+	if (precision !== 32 && precision !== 64) {
+		throw "Unsupported precision `"+precision+"` of binary format";
+	}
+
+	var headerLength = view.getUint32(offset, true);
+	offset += 4;
+
+	BinaryFormat._ensureAvailable(view, offset, headerLength);
+
+	var headerBytes = [];
+	for (var k = 0; k < headerLength; k++) {
+		headerBytes.push(view.getUint8(offset++));
+	}
+
+	var header = JSON.parse(BinaryFormat._decodeUtf8(headerBytes));
+
+	if (!Array.isArray(header.layers) || !Array.isArray(header.optimizerStateKeys)) {
+		throw "Header of serialized network is incomplete";
+	}
+
+	for (var j = 0; j < header.layers.length; j++) {
+		if (typeof header.layers[j].size !== "number" || header.layers[j].size < 0 || header.layers[j].size % 1 !== 0) {
+			throw "Size of layer `"+j+"` of serialized network must be a non-negative integer";
+		}
+	}
+
+	var bytesPerNumber = precision / 8;
+	var stateKeys = header.optimizerStateKeys;
+	var data = {};
+
+	for (var key in header) {
+		if (header.hasOwnProperty(key) && key !== "layers" && key !== "optimizerStateKeys") {
+			data[key] = header[key];
+		}
+	}
+
+	// buffers have only been written after the document format gained the settings of its version `3` while still declaring version `2`
+	if (data.formatVersion === 2) {
+		data.formatVersion = 3;
+	}
+
+	data.layers = [];
+
+	var layerHeader;
+	var layer;
+	var nextLayerSize;
+	var neuron;
+	var parameterRefs = [];
+
+	// for every layer
+	for (var m = 0; m < header.layers.length; m++) {
+		layerHeader = header.layers[m];
+		// neurons only have individual connections to fully connected layers, while the kernels of convolutions are packed separately
+		nextLayerSize = (m < header.layers.length - 1 && typeof header.layers[m + 1].convolution === "undefined" && typeof header.layers[m + 1].pooling === "undefined") ? header.layers[m + 1].size : 0;
+
+		layer = {};
+		for (var layerKey in layerHeader) {
+			if (layerHeader.hasOwnProperty(layerKey) && layerKey !== "size") {
+				layer[layerKey] = layerHeader[layerKey];
+			}
+		}
+		layer.neurons = [];
+
+		// for every neuron in the layer
+		for (var n = 0; n < layerHeader.size; n++) {
+			neuron = {
+				"bias": 0,
+				"connections": []
+			};
+
+			// remember where the bias and the weights belong so that they can be filled in below
+			parameterRefs.push({ owner: neuron, key: "bias", stateOwner: neuron, stateKey: "biasOptimizerState" });
+
+			for (var p = 0; p < nextLayerSize; p++) {
+				neuron.connections.push({ "weight": 0 });
+				parameterRefs.push({ owner: neuron.connections[p], key: "weight", stateOwner: neuron.connections[p], stateKey: "optimizerState" });
+			}
+
+			layer.neurons.push(neuron);
+		}
+
+		BinaryFormat._unpackArrays(layer, m, parameterRefs);
+
+		data.layers.push(layer);
+	}
+
+	BinaryFormat._ensureAvailable(view, offset, parameterRefs.length * bytesPerNumber);
+
+	for (var q = 0; q < parameterRefs.length; q++) {
+		parameterRefs[q].owner[parameterRefs[q].key] = BinaryFormat._readNumber(view, offset, precision);
+		offset += bytesPerNumber;
+	}
+
+	if (stateKeys.length > 0) {
+		BinaryFormat._ensureAvailable(view, offset, parameterRefs.length);
+
+		var hasState = [];
+		for (var r = 0; r < parameterRefs.length; r++) {
+			hasState.push(view.getUint8(offset++) === 1);
+		}
+
+		var state;
+
+		for (var t = 0; t < parameterRefs.length; t++) {
+			if (hasState[t]) {
+				BinaryFormat._ensureAvailable(view, offset, stateKeys.length * bytesPerNumber);
+
+				state = {};
+				for (var u = 0; u < stateKeys.length; u++) {
+					state[stateKeys[u]] = BinaryFormat._readNumber(view, offset, precision);
+					offset += bytesPerNumber;
+				}
+
+				if (parameterRefs[t].stateOwner === null) {
+					throw "Optimizer state `"+t+"` of serialized network does not belong to any parameter with states";
+				}
+
+				parameterRefs[t].stateOwner[parameterRefs[t].stateKey] = state;
+			}
+		}
+	}
+
+	return data;
+};
+
+/**
+ * Moves the arrays of parameters of a layer and their optimizer states to the blob, keeping only their lengths in the header
+ *
+ * @param {Object} layer - the serialized layer
+ * @param {Object} layerHeader - the copy of the layer for the header, whose arrays are replaced with their lengths
+ * @param {number[]} parameters - the parameters for the blob, which the arrays are appended to
+ * @param {Array.<Object|null>} states - the optimizer states for the blob, which the states of the arrays are appended to
+ * @private
+ */
+BinaryFormat._packArrays = function (layer, layerHeader, parameters, states) {
+	var spec;
+	var container;
+	var containerHeader;
+	var values;
+	var valueStates;
+
+	for (var i = 0; i < BinaryFormat.PACKED_ARRAYS.length; i++) {
+		spec = BinaryFormat.PACKED_ARRAYS[i];
+		container = (spec.container === null) ? layer : layer[spec.container];
+
+		if (typeof container !== "object" || container === null || !Array.isArray(container[spec.parameters])) {
+			continue;
+		}
+
+		if (spec.container === null) {
+			containerHeader = layerHeader;
+		}
+		else {
+			// copy the object before replacing its arrays so that the original document stays intact
+			if (layerHeader[spec.container] === container) {
+				layerHeader[spec.container] = BinaryFormat._copyObject(container);
+			}
+
+			containerHeader = layerHeader[spec.container];
+		}
+
+		values = container[spec.parameters];
+		valueStates = Array.isArray(container[spec.states]) ? container[spec.states] : null;
+		containerHeader[spec.parameters] = values.length;
+
+		if (valueStates !== null) {
+			containerHeader[spec.states] = values.length;
+		}
+
+		for (var k = 0; k < values.length; k++) {
+			parameters.push(values[k]);
+			states.push((valueStates !== null) ? (valueStates[k] || null) : null);
+		}
+	}
+};
+
+/**
+ * Restores the arrays of parameters of a layer from their lengths in the header and remembers where their values belong
+ *
+ * @param {Object} layer - the layer restored from the header, whose lengths are replaced with arrays
+ * @param {number} index - the index of the layer for error messages
+ * @param {Object[]} parameterRefs - the places of the parameters in the blob, which the places of the arrays are appended to
+ * @private
+ */
+BinaryFormat._unpackArrays = function (layer, index, parameterRefs) {
+	var spec;
+	var container;
+	var length;
+	var values;
+	var valueStates;
+
+	for (var i = 0; i < BinaryFormat.PACKED_ARRAYS.length; i++) {
+		spec = BinaryFormat.PACKED_ARRAYS[i];
+		container = (spec.container === null) ? layer : layer[spec.container];
+
+		// buffers in version `1` keep the arrays themselves instead of their lengths
+		if (typeof container !== "object" || container === null || typeof container[spec.parameters] !== "number") {
+			continue;
+		}
+
+		length = container[spec.parameters];
+
+		if (length < 0 || length % 1 !== 0 || (typeof container[spec.states] !== "undefined" && container[spec.states] !== length)) {
+			throw "Number of `"+spec.parameters+"` in layer `"+index+"` of serialized network must be a non-negative integer";
+		}
+
+		values = container[spec.parameters] = [];
+		valueStates = (typeof container[spec.states] !== "undefined") ? (container[spec.states] = []) : null;
+
+		for (var k = 0; k < length; k++) {
+			values.push(0);
+
+			if (valueStates !== null) {
+				valueStates.push(null);
+			}
+
+			parameterRefs.push({ owner: values, key: k, stateOwner: valueStates, stateKey: k });
+		}
+	}
+};
+
+/**
+ * Creates a shallow copy of the specified object
+ *
+ * @param {Object} object - the object to copy
+ * @return {Object} the copy
+ * @private
+ */
+BinaryFormat._copyObject = function (object) {
+	var copy = {};
+
+	for (var key in object) {
+		if (object.hasOwnProperty(key)) {
+			copy[key] = object[key];
+		}
+	}
+
+	return copy;
+};
+
+/**
+ * Writes a floating-point number with the specified precision
+ *
+ * @param {DataView} view - the view to write to
+ * @param {number} offset - the byte offset to write at
+ * @param {number} value - the number to write
+ * @param {number} precision - the number of bits, i.e. `32` or `64`
+ * @return {number} the byte offset after the number
+ * @private
+ */
+BinaryFormat._writeNumber = function (view, offset, value, precision) {
+	if (precision === 32) {
+		view.setFloat32(offset, value, true);
+		return offset + 4;
+	}
+	else {
+		view.setFloat64(offset, value, true);
+		return offset + 8;
+	}
+};
+
+/**
+ * Reads a floating-point number with the specified precision
+ *
+ * @param {DataView} view - the view to read from
+ * @param {number} offset - the byte offset to read at
+ * @param {number} precision - the number of bits, i.e. `32` or `64`
+ * @return {number} the number that has been read
+ * @private
+ */
+BinaryFormat._readNumber = function (view, offset, precision) {
+	if (precision === 32) {
+		return view.getFloat32(offset, true);
+	}
+	else {
+		return view.getFloat64(offset, true);
+	}
+};
+
+/**
+ * Ensures that the specified number of bytes is available in the view
+ *
+ * @param {DataView} view - the view to check
+ * @param {number} offset - the byte offset to start at
+ * @param {number} length - the number of bytes required
+ * @private
+ */
+BinaryFormat._ensureAvailable = function (view, offset, length) {
+	if (offset + length > view.byteLength) {
+		throw "Buffer of serialized network is truncated";
+	}
+};
+
+/**
+ * Encodes the specified string as UTF-8
+ *
+ * @param {string} str - the string to encode
+ * @return {number[]} the bytes
+ * @private
+ */
+BinaryFormat._encodeUtf8 = function (str) {
+	// turn the string into one character per UTF-8 byte
+	var binary = unescape(encodeURIComponent(str));
+	var bytes = [];
+
+	for (var i = 0; i < binary.length; i++) {
+		bytes.push(binary.charCodeAt(i));
+	}
+
+	return bytes;
+};
+
+/**
+ * Decodes the specified UTF-8 bytes into a string
+ *
+ * @param {number[]} bytes - the bytes to decode
+ * @return {string} the string
+ * @private
+ */
+BinaryFormat._decodeUtf8 = function (bytes) {
+	var binary = "";
+
+	for (var i = 0; i < bytes.length; i++) {
+		binary += String.fromCharCode(bytes[i]);
+	}
+
+	return decodeURIComponent(escape(binary));
+};
+
+module.exports = BinaryFormat;
@@ -9,30 +9,32 @@
 /**
  * A connection to another neuron in an artificial neural network
  *
+ * The weight is stored in the layer of the target neuron so that this is only a view on that layer's weight matrix
+ *
  * @constructor
+ * @param {Neuron} sourceNeuron - the neuron that is the source of this connection
  * @param {Neuron} targetNeuron - the neuron that is the target of this connection
- * @param {number} initialWeight - the initial weight of this connection
  */
-function Connection(targetNeuron, initialWeight) {
+function Connection(sourceNeuron, targetNeuron) {
 
 	/**
-	 * The neuron that is the target of this connection
+	 * The neuron that is the source of this connection
 	 *
 	 * @type {Neuron}
 	 * @private
 	 */
-	this._targetNeuron = targetNeuron;
+	this._sourceNeuron = sourceNeuron;
 
 	/**
-	 * The current weight of this connection
+	 * The neuron that is the target of this connection
 	 *
-	 * @type {number}
+	 * @type {Neuron}
 	 * @private
 	 */
-	this._weight = initialWeight;
+	this._targetNeuron = targetNeuron;
 
 	/**
-	 * Accumulates all weight updates that are deferred until later
+	 * The accumulated change of the weight that has been deferred by `updateWeight`
 	 *
 	 * @type {number}
 	 * @private
@@ -41,6 +43,15 @@ function Connection(targetNeuron, initialWeight) {
 
 }
 
+/**
+ * Returns the neuron that is the source of this connection
+ *
+ * @return {Neuron} the source neuron
+ */
+Connection.prototype.getSourceNeuron = function () {
+	return this._sourceNeuron;
+};
+
 /**
  * Returns the neuron that is the target of this connection
  *
@@ -56,7 +67,16 @@ Connection.prototype.getTargetNeuron = function () {
  * @return {number} the current weight
  */
 Connection.prototype.getWeight = function () {
-	return this._weight;
+	return this._targetNeuron.getLayer().getIncomingWeight(this._targetNeuron.getIndex(), this._sourceNeuron.getIndex());
+};
+
+/**
+ * Replaces the current weight of this connection with the specified value
+ *
+ * @param {number} weight - the new weight
+ */
+Connection.prototype.setWeight = function (weight) {
+	this._targetNeuron.getLayer().setIncomingWeight(this._targetNeuron.getIndex(), this._sourceNeuron.getIndex(), weight);
 };
 
 /**
@@ -67,7 +87,7 @@ Connection.prototype.getWeight = function () {
  */
 Connection.prototype.updateWeight = function (addend, immediate) {
 	if (immediate) {
-		this._weight += addend;
+		this.setWeight(this.getWeight() + addend);
 	}
 	else {
 		this._weightUpdatePending += addend;
@@ -77,24 +97,50 @@ Connection.prototype.updateWeight = function (addend, immediate) {
 /** Releases all deferred weight updates */
 Connection.prototype.releaseWeightUpdates = function () {
 	// update the weights with the deferred changes
-	this._weight += this._weightUpdatePending;
+	this.setWeight(this.getWeight() + this._weightUpdatePending);
 	// reset the accumulated changes
 	this._weightUpdatePending = 0;
 };
 
+/**
+ * Returns the state that the optimizer keeps for this connection
+ *
+ * @return {Object|null} the state or `null` if there is none (yet)
+ */
+Connection.prototype.getOptimizerState = function () {
+	return this._targetNeuron.getLayer().getIncomingWeightOptimizerState(this._targetNeuron.getIndex(), this._sourceNeuron.getIndex());
+};
+
+/**
+ * Replaces the state that the optimizer keeps for this connection
+ *
+ * @param {Object|null} state - the new state
+ */
+Connection.prototype.setOptimizerState = function (state) {
+	this._targetNeuron.getLayer().setIncomingWeightOptimizerState(this._targetNeuron.getIndex(), this._sourceNeuron.getIndex(), state);
+};
+
 /**
  * Returns the delta of this connection's target neuron scaled by this connection's weight
  *
  * @return {number} the weighted delta
  */
 Connection.prototype.getWeightedDelta = function () {
-	return this._targetNeuron.getDelta() * this._weight;
+	return this._targetNeuron.getDelta() * this.getWeight();
 };
 
 Connection.prototype.toJSON = function () {
-	return {
-		"weight": this._weight
+	var json = {
+		"weight": this.getWeight()
 	};
+
+	var optimizerState = this.getOptimizerState();
+
+	if (optimizerState !== null) {
+		json.optimizerState = optimizerState;
+	}
+
+	return json;
 };
 
 module.exports = Connection;
@@ -0,0 +1,328 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Layer = require("./Layer.js");
+var SpatialLayer = require("./SpatialLayer.js");
+
+/**
+ * A hidden layer that convolves its input with a number of filters, each of which has one kernel and one bias
+ *
+ * Every filter produces one channel of the activations and shares its weights across all positions
+ *
+ * The weights are stored as a matrix with one row per filter, each of which covers the window row after row and position after position, with all channels of a position next to each other
+ *
+ * @param {Object} geometry - the geometry of the layer as expected by `SpatialLayer`, where the window is the kernel
+ * @param {number} filters - the number of filters
+ * @param {ActivationFunction} activationFunction - the activation function that this layer should use
+ * @param {Prng} prng - the PRNG that this layer should use
+ * @constructor
+ * @extends SpatialLayer
+ */
+function ConvolutionalLayer(geometry, filters, activationFunction, prng) {
+
+	// call the super class's constructor
+	SpatialLayer.call(this, geometry, filters, activationFunction, prng);
+
+	// the biases are shared by all positions
+	this._biases = new Float64Array(filters);
+	this._biasUpdatesPending = new Float64Array(filters);
+	this._biasOptimizerStates = new Array(filters);
+
+}
+
+// create a prototype that inherits from the super class's prototype
+ConvolutionalLayer.prototype = Object.create(SpatialLayer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+ConvolutionalLayer.prototype.constructor = ConvolutionalLayer;
+
+/**
+ * Creates the kernels that connect the previous layer to this layer
+ *
+ * @param {Layer} previousLayer - the layer that this layer should receive its input from
+ * @param {WeightInitializer} weightInitializer - the scheme that determines the initial weights of the kernels
+ */
+ConvolutionalLayer.prototype.connectFrom = function (previousLayer, weightInitializer) {
+	var filters = this._outputShape[2];
+	var kernelSize = this._getKernelSize();
+
+	this._previousLayer = previousLayer;
+	previousLayer._nextLayer = this;
+
+	// every input reaches each filter through every position of the window, so the fan-out spans the windows of all filters
+	this._weights = weightInitializer.initializeLayer(kernelSize, this._windowSize[0] * this._windowSize[1] * filters, this._prng, filters);
+	this._weightUpdatesPending = new Float64Array(filters * kernelSize);
+	this._weightOptimizerStates = new Array(filters * kernelSize);
+};
+
+/**
+ * Returns the number of weights in every kernel
+ *
+ * @return {number} the number of weights
+ * @private
+ */
+ConvolutionalLayer.prototype._getKernelSize = function () {
+	return this._windowSize[0] * this._windowSize[1] * this._inputShape[2];
+};
+
+/**
+ * Visits every pair of an input and a weight that contributes to every neuron of this layer
+ *
+ * The positions of the kernel that lie in the padding are skipped
+ *
+ * @param {function} callback - the function `(output, input, weight)` receiving the indices of the neuron, the input and the weight
+ * @private
+ */
+ConvolutionalLayer.prototype._forEachConnection = function (callback) {
+	var inputHeight = this._inputShape[0];
+	var inputWidth = this._inputShape[1];
+	var channels = this._inputShape[2];
+	var filters = this._outputShape[2];
+	var kernelSize = this._getKernelSize();
+	var output = 0;
+	var oy, ox, f, ky, kx, c;
+	var iy, ix;
+	var input;
+	var weight;
+
+	// for every position of the kernel
+	for (oy = 0; oy < this._outputShape[0]; oy++) {
+		for (ox = 0; ox < this._outputShape[1]; ox++) {
+			// for every filter
+			for (f = 0; f < filters; f++) {
+				for (ky = 0; ky < this._windowSize[0]; ky++) {
+					iy = oy * this._stride[0] - this._offset[0] + ky;
+
+					if (iy < 0 || iy >= inputHeight) {
+						continue;
+					}
+
+					for (kx = 0; kx < this._windowSize[1]; kx++) {
+						ix = ox * this._stride[1] - this._offset[1] + kx;
+
+						if (ix < 0 || ix >= inputWidth) {
+							continue;
+						}
+
+						input = (iy * inputWidth + ix) * channels;
+						weight = f * kernelSize + (ky * this._windowSize[1] + kx) * channels;
+
+						for (c = 0; c < channels; c++) {
+							callback(output, input + c, weight + c);
+						}
+					}
+				}
+
+				output++;
+			}
+		}
+	}
+};
+
+/**
+ * Convolves one row of activations of the previous layer with the kernels and adds the biases
+ *
+ * @param {Float64Array} previousActivations - the activations of the previous layer
+ * @param {number} previousOffset - the index of the first activation of the row
+ * @param {Float64Array} results - the array to write the inputs to
+ * @param {number} resultOffset - the index of the first input to write
+ * @private
+ */
+ConvolutionalLayer.prototype._slide = function (previousActivations, previousOffset, results, resultOffset) {
+	var weights = this._weights;
+	var filters = this._outputShape[2];
+	var size = this._inputs.length;
+
+	for (var m = 0; m < size; m++) {
+		results[resultOffset + m] = this._biases[m % filters];
+	}
+
+	this._forEachConnection(function (output, input, weight) {
+		results[resultOffset + output] += previousActivations[previousOffset + input] * weights[weight];
+	});
+};
+
+/**
+ * Adds the errors of the activations of the previous layer that are caused by the deltas of this layer
+ *
+ * @param {Float64Array} errors - the errors per neuron in the previous layer to add to
+ */
+ConvolutionalLayer.prototype.addPreviousLayerErrors = function (errors) {
+	var deltas = this._deltas;
+	var weights = this._weights;
+
+	this._forEachConnection(function (output, input, weight) {
+		errors[input] += deltas[output] * weights[weight];
+	});
+};
+
+/**
+ * Updates the kernels and the biases from the deltas at all positions
+ *
+ * The penalties of the regularization are added once per weight, regardless of the number of positions that share it
+ *
+ * @param {Optimizer} optimizer - the optimizer that determines the changes of the weights
+ * @param {number} learningRate - the learning rate to use
+ * @param {boolean} immediate - whether to update the weights immediately or defer the update until later
+ * @param {{l1: number, l2: number, weightDecay: number}} regularization - the strengths of the regularization
+ */
+ConvolutionalLayer.prototype.updateWeightsInLayer = function (optimizer, learningRate, immediate, regularization) {
+	var deltas = this._deltas;
+	var previousActivations = this._previousLayer._activations;
+	var filters = this._outputShape[2];
+	var penalized = (regularization.l1 !== 0 || regularization.l2 !== 0);
+	var weightGradients = new Float64Array(this._weights.length);
+	var biasGradients = new Float64Array(filters);
+	var i;
+
+	// sum up the gradients of all positions that share a weight
+	this._forEachConnection(function (output, input, weight) {
+		weightGradients[weight] -= deltas[output] * previousActivations[input];
+	});
+
+	for (i = 0; i < deltas.length; i++) {
+		biasGradients[i % filters] -= deltas[i];
+	}
+
+	for (i = 0; i < this._weights.length; i++) {
+		if (penalized) {
+			weightGradients[i] += Layer._getPenaltyGradient(this._weights[i], regularization);
+		}
+
+		if (immediate) {
+			this._applyWeightGradient(this._weights, this._weightOptimizerStates, i, weightGradients[i], optimizer, learningRate, regularization);
+		}
+		else {
+			this._weightUpdatesPending[i] += weightGradients[i];
+		}
+	}
+
+	for (i = 0; i < filters; i++) {
+		if (immediate) {
+			this._applyGradient(this._biases, this._biasOptimizerStates, i, biasGradients[i], optimizer, learningRate);
+		}
+		else {
+			this._biasUpdatesPending[i] += biasGradients[i];
+		}
+	}
+};
+
+/**
+ * Searches this layer for a value that is not a finite number
+ *
+ * @param {boolean} parameters - whether to search the weights and biases instead of the activations and deltas
+ * @return {{quantity: string, neuron: number, value: number}|null} the first value found or `null` if there is none
+ */
+ConvolutionalLayer.prototype.findNonFiniteValue = function (parameters) {
+	if (parameters) {
+		for (var i = 0; i < this._weights.length; i++) {
+			if (!isFinite(this._weights[i])) {
+				// the weights are stored with one row per filter, which is the first neuron of the filter
+				return { quantity: "weight", neuron: Math.floor(i / this._getKernelSize()), value: this._weights[i] };
+			}
+		}
+	}
+
+	return SpatialLayer.prototype.findNonFiniteValue.call(this, parameters);
+};
+
+/**
+ * Returns the bias of the filter that the neuron at the specified index belongs to
+ *
+ * @param {number} index - the index of the neuron
+ * @return {number} the bias
+ */
+ConvolutionalLayer.prototype.getBias = function (index) {
+	return this._biases[index % this._outputShape[2]];
+};
+
+/**
+ * Replaces the bias of the filter that the neuron at the specified index belongs to
+ *
+ * @param {number} index - the index of the neuron
+ * @param {number} bias - the new bias
+ */
+ConvolutionalLayer.prototype.setBias = function (index, bias) {
+	this._biases[index % this._outputShape[2]] = bias;
+};
+
+/**
+ * Returns the state that the optimizer keeps for the bias of the filter that the neuron at the specified index belongs to
+ *
+ * @param {number} index - the index of the neuron
+ * @return {Object|null} the state or `null` if there is none (yet)
+ */
+ConvolutionalLayer.prototype.getBiasOptimizerState = function (index) {
+	return this._biasOptimizerStates[index % this._outputShape[2]] || null;
+};
+
+/**
+ * Replaces the state that the optimizer keeps for the bias of the filter that the neuron at the specified index belongs to
+ *
+ * @param {number} index - the index of the neuron
+ * @param {Object|null} state - the new state or `null` to let the optimizer create a new state when needed
+ */
+ConvolutionalLayer.prototype.setBiasOptimizerState = function (index, state) {
+	this._biasOptimizerStates[index % this._outputShape[2]] = state || undefined;
+};
+
+/**
+ * Returns the state that the optimizer keeps for a weight of the kernels
+ *
+ * @param {number} index - the index of the weight
+ * @return {Object|null} the state or `null` if there is none (yet)
+ */
+ConvolutionalLayer.prototype.getWeightOptimizerState = function (index) {
+	return this._weightOptimizerStates[index] || null;
+};
+
+/**
+ * Replaces the state that the optimizer keeps for a weight of the kernels
+ *
+ * @param {number} index - the index of the weight
+ * @param {Object|null} state - the new state or `null` to let the optimizer create a new state when needed
+ */
+ConvolutionalLayer.prototype.setWeightOptimizerState = function (index, state) {
+	this._weightOptimizerStates[index] = state || undefined;
+};
+
+/**
+ * Returns the number of filters
+ *
+ * @return {number} the number of filters
+ */
+ConvolutionalLayer.prototype.getFilters = function () {
+	return this._outputShape[2];
+};
+
+ConvolutionalLayer.prototype.toJSON = function () {
+	var json = SpatialLayer.prototype.toJSON.call(this);
+	var convolution = this._getGeometryJson();
+
+	convolution.filters = this._outputShape[2];
+	convolution.kernelSize = this._windowSize.slice(2 - this._dimensions);
+	convolution.weights = Array.prototype.slice.call(this._weights);
+
+	// only store the states of the optimizer if it keeps any
+	for (var i = 0; i < this._weights.length; i++) {
+		if (this._weightOptimizerStates[i]) {
+			convolution.weightOptimizerStates = [];
+
+			for (var k = 0; k < this._weights.length; k++) {
+				convolution.weightOptimizerStates.push(this._weightOptimizerStates[k] || null);
+			}
+
+			break;
+		}
+	}
+
+	json.convolution = convolution;
+
+	return json;
+};
+
+module.exports = ConvolutionalLayer;
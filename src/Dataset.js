@@ -0,0 +1,333 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Prng = require("@delight-im/prng");
+var NeuralNetwork = require("./NeuralNetwork.js");
+var Metric = require("./metric/Metric.js");
+
+/**
+ * Helpers for holding out data, so that the quality of a network is measured on examples that it has not been trained on
+ *
+ * Examples are assigned to the parts at random, which is deterministic if a seed is supplied
+ *
+ * Stratification keeps the proportions of the classes in all parts, where classes are determined as for the metrics
+ *
+ * Within every part, the examples keep their original order
+ */
+var Dataset = {};
+
+/**
+ * Splits the examples into a part for training, a part for validation and a part for testing
+ *
+ * @param {Array[]} inputs - the inputs per example
+ * @param {Array[]} desiredOutputs - the expected outputs per example
+ * @param {Object} [options]
+ * @param {number} [options.validation] - the fraction of examples for validation, e.g. `0.1`
+ * @param {number} [options.test] - the fraction of examples for testing, e.g. `0.2`
+ * @param {number} [options.seed] - the seed to use for deterministic results
+ * @param {boolean} [options.shuffle] - whether to assign the examples at random instead of in their original order
+ * @param {boolean} [options.stratify] - whether to keep the proportions of the classes of the desired outputs
+ * @return {{training: Object, validation: Object, test: Object}} the parts, each with `inputs` and `desiredOutputs`
+ */
+Dataset.split = function (inputs, desiredOutputs, options) {
+	options = options || {};
+
+	var validation = Dataset._parseFraction(options.validation, 0, "validation");
+	var test = Dataset._parseFraction(options.test, 0.2, "testing");
+
+	if (validation + test >= 1) {
+		throw "Fractions of examples for validation and testing must leave examples for training";
+	}
+
+	var groups = Dataset._group(inputs, desiredOutputs, options);
+	var parts = [ [], [], [] ];
+	var testCount;
+	var validationCount;
+
+	for (var g = 0; g < groups.length; g++) {
+		testCount = Math.round(groups[g].length * test);
+		validationCount = Math.round(groups[g].length * validation);
+
+		parts[2] = parts[2].concat(groups[g].slice(0, testCount));
+		parts[1] = parts[1].concat(groups[g].slice(testCount, testCount + validationCount));
+		parts[0] = parts[0].concat(groups[g].slice(testCount + validationCount));
+	}
+
+	return {
+		training: Dataset._select(inputs, desiredOutputs, parts[0]),
+		validation: Dataset._select(inputs, desiredOutputs, parts[1]),
+		test: Dataset._select(inputs, desiredOutputs, parts[2])
+	};
+};
+
+/**
+ * Splits the examples into a number of folds, where every fold is held out for testing once
+ *
+ * @param {Array[]} inputs - the inputs per example
+ * @param {Array[]} desiredOutputs - the expected outputs per example
+ * @param {Object} [options]
+ * @param {number} [options.folds] - the number of folds, e.g. `5`
+ * @param {number} [options.seed] - the seed to use for deterministic results
+ * @param {boolean} [options.shuffle] - whether to assign the examples at random instead of in their original order
+ * @param {boolean} [options.stratify] - whether to keep the proportions of the classes of the desired outputs
+ * @return {Array.<{training: Object, test: Object}>} the parts per fold, each with `inputs` and `desiredOutputs`
+ */
+Dataset.kFold = function (inputs, desiredOutputs, options) {
+	options = options || {};
+
+	var k = (typeof options.folds === "undefined") ? 5 : options.folds;
+
+	if (typeof k !== "number" || k % 1 !== 0 || k < 2 || k > inputs.length) {
+		throw "Number of folds (`"+k+"`) must be an integer from `2` to the number of examples (`"+inputs.length+"`)";
+	}
+
+	var groups = Dataset._group(inputs, desiredOutputs, options);
+	var indices = [];
+	var folds = [];
+	var parts;
+	var i;
+
+	// deal the examples of every group to the folds in turn so that all folds have the same proportions
+	for (var g = 0; g < groups.length; g++) {
+		indices = indices.concat(groups[g]);
+	}
+
+	for (var f = 0; f < k; f++) {
+		parts = [ [], [] ];
+
+		for (i = 0; i < indices.length; i++) {
+			parts[(i % k === f) ? 1 : 0].push(indices[i]);
+		}
+
+		folds.push({
+			training: Dataset._select(inputs, desiredOutputs, parts[0]),
+			test: Dataset._select(inputs, desiredOutputs, parts[1])
+		});
+	}
+
+	return folds;
+};
+
+/**
+ * Runs k-fold cross-validation, where a fresh network is trained and evaluated for every fold
+ *
+ * If the network has any preprocessing, it is fitted to the training examples of the fold before training
+ *
+ * Every fold reports the mean loss and the values of the metrics on the examples held out, along with the losses from
+ * training, while the mean and the standard deviation over all folds are reported for the loss and numeric metrics
+ *
+ * @param {function} createNetwork - the function that returns a new network for the index of the fold passed to it
+ * @param {Array[]} inputs - the inputs per example
+ * @param {Array[]} desiredOutputs - the expected outputs per example
+ * @param {Object} options - the options for splitting as for `kFold`
+ * @param {Object} options.training - the options for `trainMiniBatch`, which must include the number of `epochs`
+ * @param {Object.<string, Metric>} [options.metrics] - the metrics to evaluate by their names
+ * @return {{folds: Object[], loss: {mean: number, standardDeviation: number}, metrics: Object}} the result
+ */
+Dataset.crossValidate = function (createNetwork, inputs, desiredOutputs, options) {
+	options = options || {};
+
+	if (typeof options.training !== "object" || options.training === null || typeof options.training.epochs === "undefined") {
+		throw "Options for training with the number of `epochs` are required for cross-validation";
+	}
+
+	var metrics = options.metrics || {};
+	var folds = Dataset.kFold(inputs, desiredOutputs, options);
+	var results = [];
+	var network;
+	var history;
+	var name;
+
+	for (name in metrics) {
+		if (metrics.hasOwnProperty(name) && !(metrics[name] instanceof Metric)) {
+			throw "Metric `"+name+"` must be a metric";
+		}
+	}
+
+	// for every fold
+	for (var f = 0; f < folds.length; f++) {
+		network = createNetwork(f);
+
+		if (!(network instanceof NeuralNetwork)) {
+			throw "Function for creating networks must return a neural network";
+		}
+
+		if (network.getInputPreprocessing().length > 0 || network.getOutputPreprocessing().length > 0) {
+			network.fitPreprocessing(folds[f].training.inputs, folds[f].training.desiredOutputs);
+		}
+
+		history = network.trainMiniBatch(folds[f].training.inputs, folds[f].training.desiredOutputs, options.training);
+
+		results.push({
+			loss: network.evaluateLoss(folds[f].test.inputs, folds[f].test.desiredOutputs),
+			metrics: network.evaluate(folds[f].test.inputs, folds[f].test.desiredOutputs, metrics),
+			history: history
+		});
+	}
+
+	var aggregates = {};
+
+	for (name in metrics) {
+		if (metrics.hasOwnProperty(name) && typeof results[0].metrics[name] === "number") {
+			aggregates[name] = Dataset._aggregate(results, function (result) {
+				return result.metrics[name];
+			});
+		}
+	}
+
+	return {
+		folds: results,
+		loss: Dataset._aggregate(results, function (result) {
+			return result.loss;
+		}),
+		metrics: aggregates
+	};
+};
+
+/**
+ * Validates a fraction of the examples
+ *
+ * @param {number|undefined} fraction - the fraction
+ * @param {number} defaultFraction - the fraction to use if none has been specified
+ * @param {string} name - the purpose of the examples for error messages
+ * @return {number} the fraction
+ * @private
+ */
+Dataset._parseFraction = function (fraction, defaultFraction, name) {
+	if (typeof fraction === "undefined") {
+		return defaultFraction;
+	}
+
+	if (typeof fraction !== "number" || !(fraction >= 0 && fraction < 1)) {
+		throw "Fraction of examples for "+name+" (`"+fraction+"`) must be a number from `0` to below `1`";
+	}
+
+	return fraction;
+};
+
+/**
+ * Orders the indices of the examples, either as a single group or in one group per class
+ *
+ * @param {Array[]} inputs - the inputs per example
+ * @param {Array[]} desiredOutputs - the expected outputs per example
+ * @param {Object} options - the options for shuffling and stratification
+ * @return {number[][]} the indices of the examples per group
+ * @private
+ */
+Dataset._group = function (inputs, desiredOutputs, options) {
+	if (inputs.length !== desiredOutputs.length) {
+		throw "Number of input patterns (`"+inputs.length+"`) and output patterns (`"+desiredOutputs.length+"`) must match";
+	}
+
+	var prng = new Prng(options.seed);
+	var shuffle = (typeof options.shuffle === "boolean") ? options.shuffle : true;
+	var classes = [];
+	var groups = [];
+	var label;
+	var g;
+
+	for (var i = 0; i < desiredOutputs.length; i++) {
+		label = options.stratify ? Metric._getClass(desiredOutputs[i]) : null;
+		g = classes.indexOf(label);
+
+		if (g === -1) {
+			g = classes.length;
+			classes.push(label);
+			groups.push([]);
+		}
+
+		groups[g].push(i);
+	}
+
+	if (shuffle) {
+		for (g = 0; g < groups.length; g++) {
+			Dataset._shuffle(groups[g], prng);
+		}
+	}
+
+	return groups;
+};
+
+/**
+ * Selects the specified examples in their original order
+ *
+ * @param {Array[]} inputs - the inputs per example
+ * @param {Array[]} desiredOutputs - the expected outputs per example
+ * @param {number[]} indices - the indices of the examples to select
+ * @return {{inputs: Array[], desiredOutputs: Array[]}} the selected examples
+ * @private
+ */
+Dataset._select = function (inputs, desiredOutputs, indices) {
+	var sorted = indices.slice().sort(function (a, b) {
+		return a - b;
+	});
+
+	var part = {
+		inputs: [],
+		desiredOutputs: []
+	};
+
+	for (var i = 0; i < sorted.length; i++) {
+		part.inputs.push(inputs[sorted[i]]);
+		part.desiredOutputs.push(desiredOutputs[sorted[i]]);
+	}
+
+	return part;
+};
+
+/**
+ * Shuffles the specified array in place
+ *
+ * @param {Array} array - the array to shuffle
+ * @param {Prng} prng - the PRNG to use
+ * @private
+ */
+Dataset._shuffle = function (array, prng) {
+	var other;
+	var temp;
+
+	// use the Fisher-Yates algorithm and move backwards through the array
+	for (var i = array.length - 1; i > 0; i--) {
+		// pick one of the elements that have not been moved yet
+		other = prng.getRandomInt(0, i);
+
+		// swap the elements
+		temp = array[i];
+		array[i] = array[other];
+		array[other] = temp;
+	}
+};
+
+/**
+ * Computes the mean and the standard deviation of a value over all folds
+ *
+ * @param {Object[]} results - the results per fold
+ * @param {function} getValue - the function that returns the value for the result of a fold
+ * @return {{mean: number, standardDeviation: number}} the mean and the standard deviation
+ * @private
+ */
+Dataset._aggregate = function (results, getValue) {
+	var mean = 0;
+	var squares = 0;
+	var i;
+
+	for (i = 0; i < results.length; i++) {
+		mean += getValue(results[i]) / results.length;
+	}
+
+	for (i = 0; i < results.length; i++) {
+		squares += (getValue(results[i]) - mean) * (getValue(results[i]) - mean);
+	}
+
+	return {
+		mean: mean,
+		standardDeviation: Math.sqrt(squares / results.length)
+	};
+};
+
+module.exports = Dataset;
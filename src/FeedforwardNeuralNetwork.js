@@ -7,16 +7,8 @@
 "use strict";
 
 var NeuralNetwork = require("./NeuralNetwork.js");
-var Neuron = require("./Neuron.js");
-
-var ArcTangent = require("./activation/ArcTangent.js");
-var BinaryStep = require("./activation/BinaryStep.js");
-var GaussianFunction = require("./activation/GaussianFunction.js");
-var HyperbolicTangent = require("./activation/HyperbolicTangent.js");
-var Identity = require("./activation/Identity.js");
-var LogisticFunction = require("./activation/LogisticFunction.js");
-var RectifiedLinearUnit = require("./activation/RectifiedLinearUnit.js");
-var SinusoidFunction = require("./activation/SinusoidFunction.js");
+var Registries = require("./Registries.js");
+var BinaryFormat = require("./BinaryFormat.js");
 
 /**
  * Artificial feedforward neural network using a directed acyclic graph as its graph
@@ -24,13 +16,24 @@ var SinusoidFunction = require("./activation/SinusoidFunction.js");
  * All information travels only forward, i.e. from the input nodes, through the optional hidden nodes, to the output nodes
  *
  * @param {number} inputNeurons - the number of neurons to use in the input layer
- * @param {number[]} hiddenNeurons - the number of neurons to use per hidden layer
- * @param {number} outputNeurons - the number of neurons to use in the output layer
+ * @param {Array.<number|Object>} hiddenNeurons - the number of neurons or the specification per hidden layer
+ * @param {number|Object} outputNeurons - the number of neurons or the specification for the output layer
  * @param {Object} [options]
  * @param {number} [options.seed] - the seed to use for deterministic results
  * @param {number} [options.learningRate] - the learning rate to use
+ * @param {LearningRateSchedule} [options.learningRateSchedule] - the schedule that adjusts the learning rate over time
  * @param {ActivationFunction} [options.hiddenLayerActivationFunction] - the activation function for the hidden layer
  * @param {ActivationFunction} [options.outputLayerActivationFunction] - the activation function for the output layer
+ * @param {Optimizer} [options.optimizer] - the optimizer that determines how the weights are updated
+ * @param {Loss} [options.loss] - the loss function that training minimizes
+ * @param {string|null} [options.numericGuard] - `throw` or `rollback` to guard training against non-finite values
+ * @param {WeightInitializer|function} [options.weightInitializer] - the scheme or function for the initial weights
+ * @param {number} [options.l1] - the strength of the L1 penalty on the weights, which is added to the gradients
+ * @param {number} [options.l2] - the strength of the L2 penalty on the weights, which is added to the gradients
+ * @param {number} [options.weightDecay] - the fraction of each weight, scaled by the learning rate, to decay per update
+ * @param {{value: number, norm: number}|null} [options.gradientClip] - the maximum absolute value of every gradient and/or the maximum global L2 norm of all gradients per update
+ * @param {Preprocessor[]} [options.inputPreprocessing] - the steps that every input passes through before it is fed into the network
+ * @param {Preprocessor[]} [options.outputPreprocessing] - the steps that desired outputs pass through, which are reversed for predictions
  * @constructor
  * @extends NeuralNetwork
  */
@@ -55,9 +58,6 @@ FeedforwardNeuralNetwork.prototype.constructor = FeedforwardNeuralNetwork;
  * @private
  */
 FeedforwardNeuralNetwork.prototype._feed = function (input) {
-	// prepare the network for the new input
-	this.reset();
-
 	// get the input layer
 	var inputLayer = this.getInputLayer();
 
@@ -68,23 +68,34 @@ FeedforwardNeuralNetwork.prototype._feed = function (input) {
 		throw "Size of input layer (`"+inputLayerSize+"`) and supplied input (`"+input.length+"`) must match";
 	}
 
-	var neuron;
-
-	// for every neuron in the input layer
-	for (var i = 0; i < inputLayerSize; i++) {
-		neuron = inputLayer.getNeuron(i);
+	// feed the input into the input layer
+	inputLayer.feedInput(input);
 
-		// feed the input into the neuron
-		neuron.feed(input[i]);
+	// for every layer except for the input layer
+	for (var i = 1; i < this.getNumberOfLayers(); i++) {
+		// compute the activations from the previous layer
+		this.getLayer(i).feedForward();
 	}
+};
 
-	var numLayers = this.getNumberOfLayers();
+/**
+ * Feeds the specified rows of input into the network without changing the state of its layers
+ *
+ * @param {Float64Array} inputs - the rows of input to process, stored consecutively
+ * @param {number} numRows - the number of rows
+ * @return {Float64Array} the rows of output, stored consecutively
+ * @private
+ */
+FeedforwardNeuralNetwork.prototype._feedBatch = function (inputs, numRows) {
+	var activations = this.getInputLayer().feedInputBatch(inputs, numRows);
 
-	// for every layer
-	for (var k = 0; k < numLayers; k++) {
-		// propagate the activation
-		this.getLayer(k).propagateAllNeurons();
+	// for every layer except for the input layer
+	for (var i = 1; i < this.getNumberOfLayers(); i++) {
+		// compute the activations from the previous layer
+		activations = this.getLayer(i).feedForwardBatch(activations, numRows);
 	}
+
+	return activations;
 };
 
 /**
@@ -93,107 +104,73 @@ FeedforwardNeuralNetwork.prototype._feed = function (input) {
  * @private
  */
 FeedforwardNeuralNetwork.prototype._createConnections = function () {
-	var numLayers = this.getNumberOfLayers();
-	var previousLayer;
-	var previousLayerSize;
-	var currentLayer;
-	var currentLayerSize;
-
 	// for every layer except for the input layer
-	for (var i = 1; i < numLayers; i++) {
-		previousLayer = this.getLayer(i - 1);
-		previousLayerSize = previousLayer.getSize();
-		currentLayer = this.getLayer(i);
-		currentLayerSize = currentLayer.getSize();
-
-		// for every neuron in the previous layer
-		for (var k = 0; k < previousLayerSize; k++) {
-			// for every neuron in the current layer
-			for (var m = 0; m < currentLayerSize; m++) {
-				// connect the previous layer's neuron to the current layer's neuron
-				previousLayer.getNeuron(k).connectTo(currentLayer.getNeuron(m));
-			}
-		}
+	for (var i = 1; i < this.getNumberOfLayers(); i++) {
+		// connect every neuron of the previous layer to every neuron of the current layer
+		this.getLayer(i).connectFrom(this.getLayer(i - 1), this._weightInitializers[i]);
 	}
 };
 
+/**
+ * Returns the type of this network as used in serialized documents
+ *
+ * @return {string} the type
+ * @private
+ */
+FeedforwardNeuralNetwork.prototype._getType = function () {
+	return "Feedforward";
+};
+
 /**
  * Restores a neural network instance from the supplied JSON string
  *
- * @param {string} jsonString - the JSON string to restore from
+ * Documents from all previous versions of the format are supported
+ *
+ * @param {string|Object} jsonString - the JSON string (or the already parsed document) to restore from
  * @return {FeedforwardNeuralNetwork} the restored network instance
  */
 FeedforwardNeuralNetwork.fromJson = function (jsonString) {
-	function flattenArray(arr) {
-		return arr.reduce(function(a, b) {
-			return a.concat(b);
-		}, []);
-	}
+	var data = NeuralNetwork._parseJson(jsonString, "Feedforward");
 
-	function createWeightsListFromLayer(layerObj) {
-		return flattenArray(layerObj.neurons.map(function (each) {
-			return each.connections.map(function (each) {
-				return each.weight;
-			});
-		}));
+	var hiddenNeurons = [];
+	for (var i = 1; i < data.layers.length - 1; i++) {
+		hiddenNeurons.push(NeuralNetwork._getLayerSpecFromJson(data.layers[i]));
 	}
 
-	function createActivationFunctionFromName(name) {
-		switch (name) {
-			case "ArcTangent":
-				return new ArcTangent();
-			case "BinaryStep":
-				return new BinaryStep();
-			case "GaussianFunction":
-				return new GaussianFunction();
-			case "HyperbolicTangent":
-				return new HyperbolicTangent();
-			case "Identity":
-				return new Identity();
-			case "LogisticFunction":
-				return new LogisticFunction();
-			case "RectifiedLinearUnit":
-				return new RectifiedLinearUnit();
-			case "SinusoidFunction":
-				return new SinusoidFunction();
-			default:
-				throw "Undefined activation function `"+name+"`";
-		}
-	}
-
-	var data = JSON.parse(jsonString);
-
-	var inputLayer = data.layers.shift();
-	var outputLayer = data.layers.pop();
-	var hiddenLayers = data.layers;
-
-	var inputNeurons = inputLayer.neurons.length;
-	var hiddenNeurons = hiddenLayers.map(function (each) {
-		return each.neurons.length;
+	var network = new FeedforwardNeuralNetwork(data.layers[0].neurons.length, hiddenNeurons, data.layers[data.layers.length - 1].neurons.length, {
+		seed: data.seed,
+		learningRate: data.learningRate,
+		optimizer: data.optimizer ? Registries.optimizers.fromJson(data.optimizer) : undefined,
+		// the loss may depend on the activation function of the output layer
+		outputLayerActivationFunction: Registries.activationFunctions.fromJson(data.layers[data.layers.length - 1].activationFunction),
+		loss: data.loss ? Registries.losses.fromJson(data.loss) : undefined,
+		l1: data.regularization ? data.regularization.l1 : undefined,
+		l2: data.regularization ? data.regularization.l2 : undefined,
+		weightDecay: data.regularization ? data.regularization.weightDecay : undefined,
+		gradientClip: data.gradientClip,
+		inputPreprocessing: NeuralNetwork._restorePreprocessingFromJson(data.inputPreprocessing),
+		outputPreprocessing: NeuralNetwork._restorePreprocessingFromJson(data.outputPreprocessing)
 	});
-	var outputNeurons = outputLayer.neurons.length;
-
-	var inputWeights = createWeightsListFromLayer(inputLayer);
-	var outputWeights = createWeightsListFromLayer(outputLayer);
 
-	var hiddenWeights = [];
-	for (var i = 0; i < hiddenLayers.length; i++) {
-		hiddenWeights.push(createWeightsListFromLayer(hiddenLayers[i]));
+	if (data.learningRateSchedule !== null) {
+		network.setLearningRateSchedule(Registries.learningRateSchedules.fromJson(data.learningRateSchedule));
+		// continue the schedule where it has been left off
+		network.getLearningRateSchedule().setState(data.learningRateSchedule.state || {});
 	}
-	hiddenWeights = flattenArray(hiddenWeights);
 
-	var allWeights = inputWeights.concat(hiddenWeights, outputWeights);
+	network._restoreFromJson(data);
 
-	var hiddenLayerActivationFunction = (hiddenLayers.length > 0) ? hiddenLayers[0].activationFunction : "Identity";
-
-	Neuron.preDefinedWeights = allWeights;
+	return network;
+};
 
-	return new FeedforwardNeuralNetwork(inputNeurons, hiddenNeurons, outputNeurons, {
-		seed: data.seed,
-		learningRate: data.learningRate,
-		hiddenLayerActivationFunction: createActivationFunctionFromName(hiddenLayerActivationFunction),
-		outputLayerActivationFunction: createActivationFunctionFromName(outputLayer.activationFunction)
-	});
+/**
+ * Restores a neural network instance from the supplied buffer in the compact binary format
+ *
+ * @param {ArrayBuffer|ArrayBufferView} buffer - the buffer to restore from, e.g. an `ArrayBuffer` or a `Buffer`
+ * @return {FeedforwardNeuralNetwork} the restored network instance
+ */
+FeedforwardNeuralNetwork.fromBuffer = function (buffer) {
+	return FeedforwardNeuralNetwork.fromJson(BinaryFormat.decode(buffer));
 };
 
 module.exports = FeedforwardNeuralNetwork;
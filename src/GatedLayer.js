@@ -0,0 +1,376 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Layer = require("./Layer.js");
+var RecurrentLayer = require("./RecurrentLayer.js");
+
+/**
+ * A recurrent hidden layer whose neurons are cells with gates that control how their state changes over time
+ *
+ * Every cell combines several blocks, i.e. its input and its gates, each with its own weights and biases
+ *
+ * The inputs, deltas, biases, weights and recurrent weights are stored with one block after another
+ *
+ * The first block is the input of the cells, so that the biases and incoming connections of the neurons refer to it
+ *
+ * The hidden state that is fed back is the output of the cells, to which dropout is not applied
+ *
+ * @param {number} size - the number of cells to use in this layer
+ * @param {number} blocks - the number of blocks per cell, i.e. its input and its gates
+ * @param {ActivationFunction} activationFunction - the activation function for the input and output of the cells
+ * @param {ActivationFunction} gateActivationFunction - the activation function for the gates
+ * @param {Prng} prng - the PRNG that this layer should use
+ * @constructor
+ * @extends RecurrentLayer
+ * @abstract
+ */
+function GatedLayer(size, blocks, activationFunction, gateActivationFunction, prng) {
+
+	// call the super class's constructor
+	RecurrentLayer.call(this, size, activationFunction, prng);
+
+	/**
+	 * The number of blocks per cell
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._blocks = blocks;
+
+	/**
+	 * The activation function for the gates
+	 *
+	 * @type {ActivationFunction}
+	 * @private
+	 */
+	this._gateActivationFunction = null;
+
+	this.setActivationFunction(activationFunction);
+	this.setGateActivationFunction(gateActivationFunction);
+
+	// the values per block replace the values per neuron
+	this._inputs = new Float64Array(size * blocks);
+	this._deltas = new Float64Array(size * blocks);
+	this._biases = new Float64Array(size * blocks);
+	this._biasUpdatesPending = new Float64Array(size * blocks);
+	this._biasOptimizerStates = new Array(size * blocks);
+
+	/**
+	 * The current activations of all blocks, i.e. of the input of the cells and of their gates
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._gates = new Float64Array(size * blocks);
+
+	/**
+	 * The current output of the cells before dropout, which is the hidden state passed on to the next time step
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._hidden = new Float64Array(size);
+
+}
+
+// create a prototype that inherits from the super class's prototype
+GatedLayer.prototype = Object.create(RecurrentLayer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+GatedLayer.prototype.constructor = GatedLayer;
+
+/**
+ * Connects every neuron of the previous layer to every block of every cell in this layer
+ *
+ * @param {Layer} previousLayer - the layer that this layer should receive its input from
+ * @param {WeightInitializer} weightInitializer - the scheme that determines the initial weights of the connections
+ */
+GatedLayer.prototype.connectFrom = function (previousLayer, weightInitializer) {
+	Layer.prototype.connectFrom.call(this, previousLayer, weightInitializer);
+
+	this._weights = this._initializeBlocks(previousLayer.getSize(), weightInitializer);
+	this._weightUpdatesPending = new Float64Array(this._weights.length);
+	this._weightOptimizerStates = new Array(this._weights.length);
+};
+
+/**
+ * Connects the hidden state of this layer from the previous time step to every block of every cell in this layer
+ *
+ * @param {Layer} contextLayer - this layer, since the cells always feed back their own state
+ * @param {WeightInitializer} weightInitializer - the scheme that determines the initial weights of the connections
+ */
+GatedLayer.prototype.connectContext = function (contextLayer, weightInitializer) {
+	if (contextLayer !== this) {
+		throw "Layers with gates can only feed back their own state";
+	}
+
+	this._contextLayer = this;
+	this._context = new Float64Array(this.getSize());
+
+	this._recurrentWeights = this._initializeBlocks(this.getSize(), weightInitializer);
+	this._recurrentWeightUpdatesPending = new Float64Array(this._recurrentWeights.length);
+	this._recurrentWeightOptimizerStates = new Array(this._recurrentWeights.length);
+};
+
+/**
+ * Creates the initial weights for every block separately, so that the scheme sees the actual number of cells
+ *
+ * @param {number} fanIn - the number of values that every block receives
+ * @param {WeightInitializer} weightInitializer - the scheme that determines the initial weights
+ * @return {Float64Array} the weights of all blocks, stored one after another
+ * @private
+ */
+GatedLayer.prototype._initializeBlocks = function (fanIn, weightInitializer) {
+	var size = this.getSize();
+	var weights = new Float64Array(this._blocks * size * fanIn);
+
+	for (var b = 0; b < this._blocks; b++) {
+		weights.set(weightInitializer.initializeLayer(fanIn, size, this._prng), b * size * fanIn);
+	}
+
+	return weights;
+};
+
+/**
+ * Computes the output of the cells from their current inputs and applies dropout to the output of the layer
+ *
+ * @private
+ */
+GatedLayer.prototype._activate = function () {
+	this._activateCells();
+
+	this._activations.set(this._hidden);
+
+	if (this._isDropoutActive()) {
+		for (var i = 0; i < this._activations.length; i++) {
+			this._dropoutMask[i] = this._drawDropoutFactor();
+			this._activations[i] *= this._dropoutMask[i];
+		}
+	}
+};
+
+/**
+ * Computes the activations of all blocks and the hidden state from the current inputs
+ *
+ * @abstract
+ * @private
+ */
+GatedLayer.prototype._activateCells = function () {
+	throw "Method not implemented in subclass `"+this.constructor.name+"`";
+};
+
+/**
+ * Calculates the errors of the hidden state from the deltas of the next layer and from the following time step
+ *
+ * @param {Float64Array|null} stateErrors - the errors of the state from the following time step (if any)
+ * @return {Float64Array} the errors of the hidden state
+ * @private
+ */
+GatedLayer.prototype._calculateHiddenErrors = function (stateErrors) {
+	var errors = this._calculateErrors();
+	var i;
+
+	// dropout has only been applied to the output that the next layer has received
+	if (this._isDropoutActive()) {
+		for (i = 0; i < errors.length; i++) {
+			errors[i] *= this._dropoutMask[i];
+		}
+	}
+
+	if (stateErrors) {
+		for (i = 0; i < errors.length; i++) {
+			errors[i] += stateErrors[i];
+		}
+	}
+
+	return errors;
+};
+
+/** Copies the current hidden state into the context units for the next time step */
+GatedLayer.prototype.updateContext = function () {
+	this._context.set(this._hidden);
+};
+
+/** Resets the cells and the context units in this layer */
+GatedLayer.prototype.reset = function () {
+	RecurrentLayer.prototype.reset.call(this);
+
+	this._gates.fill(0);
+	this._hidden.fill(0);
+};
+
+/**
+ * Returns the activation function for the gates
+ *
+ * @return {ActivationFunction} the activation function
+ */
+GatedLayer.prototype.getGateActivationFunction = function () {
+	return this._gateActivationFunction;
+};
+
+/**
+ * Replaces the activation function for the gates
+ *
+ * @param {ActivationFunction} gateActivationFunction - the new activation function, which must be element-wise
+ */
+GatedLayer.prototype.setGateActivationFunction = function (gateActivationFunction) {
+	if (!gateActivationFunction.isElementWise()) {
+		throw "Activation function of gates must be element-wise";
+	}
+
+	this._gateActivationFunction = gateActivationFunction;
+};
+
+/**
+ * Replaces the activation function for the input and output of the cells
+ *
+ * @param {ActivationFunction} activationFunction - the new activation function, which must be element-wise
+ */
+GatedLayer.prototype.setActivationFunction = function (activationFunction) {
+	if (!activationFunction.isElementWise()) {
+		throw "Activation function of cells must be element-wise";
+	}
+
+	RecurrentLayer.prototype.setActivationFunction.call(this, activationFunction);
+};
+
+/**
+ * Returns the type of the cells in this layer as used in serialized documents
+ *
+ * @abstract
+ * @return {string} the type of the cells
+ */
+GatedLayer.prototype.getCellType = function () {
+	throw "Method not implemented in subclass `"+this.constructor.name+"`";
+};
+
+/**
+ * Returns a copy of the weights of the connections from the previous layer to the gates
+ *
+ * @return {Float64Array} the weights of all blocks except for the first, stored one after another
+ */
+GatedLayer.prototype.getGateWeights = function () {
+	return this._weights.slice(this.getSize() * this._previousLayer.getSize());
+};
+
+/**
+ * Replaces the weights of the connections from the previous layer to the gates
+ *
+ * @param {Float64Array|number[]} weights - the new weights of all blocks except for the first
+ */
+GatedLayer.prototype.setGateWeights = function (weights) {
+	this._weights.set(weights, this.getSize() * this._previousLayer.getSize());
+};
+
+/**
+ * Returns a copy of the biases of the gates
+ *
+ * @return {Float64Array} the biases of all blocks except for the first, stored one after another
+ */
+GatedLayer.prototype.getGateBiases = function () {
+	return this._biases.slice(this.getSize());
+};
+
+/**
+ * Replaces the biases of the gates
+ *
+ * @param {Float64Array|number[]} biases - the new biases of all blocks except for the first
+ */
+GatedLayer.prototype.setGateBiases = function (biases) {
+	this._biases.set(biases, this.getSize());
+};
+
+/**
+ * Returns copies of the states that the optimizer keeps for the weights and biases of the gates
+ *
+ * @return {{weights: Array.<Object|null>, biases: Array.<Object|null>}} the states
+ */
+GatedLayer.prototype.getGateOptimizerStates = function () {
+	var weights = [];
+	var biases = [];
+	var i;
+
+	for (i = this.getSize() * this._previousLayer.getSize(); i < this._weights.length; i++) {
+		weights.push(Layer._copyOptimizerState(this._weightOptimizerStates[i]) || null);
+	}
+
+	for (i = this.getSize(); i < this._biases.length; i++) {
+		biases.push(Layer._copyOptimizerState(this._biasOptimizerStates[i]) || null);
+	}
+
+	return {
+		weights: weights,
+		biases: biases
+	};
+};
+
+/**
+ * Replaces the states that the optimizer keeps for the weights and biases of the gates
+ *
+ * @param {{weights: Array.<Object|null>, biases: Array.<Object|null>}} states - the new states
+ */
+GatedLayer.prototype.setGateOptimizerStates = function (states) {
+	var weightOffset = this.getSize() * this._previousLayer.getSize();
+	var biasOffset = this.getSize();
+	var i;
+
+	for (i = 0; i < states.weights.length; i++) {
+		this._weightOptimizerStates[weightOffset + i] = Layer._copyOptimizerState(states.weights[i]) || undefined;
+	}
+
+	for (i = 0; i < states.biases.length; i++) {
+		this._biasOptimizerStates[biasOffset + i] = Layer._copyOptimizerState(states.biases[i]) || undefined;
+	}
+};
+
+/**
+ * Returns a copy of the current inputs, activations, dropout mask, context units, gates and hidden state
+ *
+ * @return {Object} the state
+ */
+GatedLayer.prototype.saveState = function () {
+	var state = RecurrentLayer.prototype.saveState.call(this);
+
+	state.gates = new Float64Array(this._gates);
+	state.hidden = new Float64Array(this._hidden);
+
+	return state;
+};
+
+/**
+ * Replaces the current inputs, activations, dropout mask, context units, gates and hidden state with a saved copy
+ *
+ * @param {Object} state - the state
+ */
+GatedLayer.prototype.restoreState = function (state) {
+	RecurrentLayer.prototype.restoreState.call(this, state);
+
+	this._gates.set(state.gates);
+	this._hidden.set(state.hidden);
+};
+
+GatedLayer.prototype.toJSON = function () {
+	var json = RecurrentLayer.prototype.toJSON.call(this);
+	var states = this.getGateOptimizerStates();
+
+	json.cell = this.getCellType();
+	json.gateActivationFunction = this._gateActivationFunction.toJSON();
+	json.gates = {
+		"weights": Array.prototype.slice.call(this.getGateWeights()),
+		"biases": Array.prototype.slice.call(this.getGateBiases())
+	};
+
+	// only store the states of the optimizer if it keeps any
+	if (states.weights.concat(states.biases).some(function (state) { return state !== null; })) {
+		json.gates.weightOptimizerStates = states.weights;
+		json.gates.biasOptimizerStates = states.biases;
+	}
+
+	return json;
+};
+
+module.exports = GatedLayer;
@@ -0,0 +1,233 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Layer = require("./Layer.js");
+var GatedLayer = require("./GatedLayer.js");
+
+/**
+ * A recurrent hidden layer of gated recurrent units (GRU)
+ *
+ * Every unit blends its previous output with a candidate as an update gate decides
+ *
+ * The candidate sees the previous output only as far as a reset gate lets it through
+ *
+ * The blocks are the candidates, the update gates and the reset gates, in that order
+ *
+ * @param {number} size - the number of units to use in this layer
+ * @param {ActivationFunction} activationFunction - the activation function for the candidates
+ * @param {ActivationFunction} gateActivationFunction - the activation function for the gates
+ * @param {Prng} prng - the PRNG that this layer should use
+ * @constructor
+ * @extends GatedLayer
+ */
+function GatedRecurrentUnitLayer(size, activationFunction, gateActivationFunction, prng) {
+
+	// call the super class's constructor
+	GatedLayer.call(this, size, 3, activationFunction, gateActivationFunction, prng);
+
+	/**
+	 * The output from the previous time step multiplied by the reset gates, which the candidates receive
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._resetContext = new Float64Array(size);
+
+	/**
+	 * The errors of the output in the current time step during backpropagation
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._hiddenErrors = new Float64Array(size);
+
+	/**
+	 * The errors of the output from the previous time step multiplied by the reset gates during backpropagation
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._resetContextErrors = new Float64Array(size);
+
+}
+
+// create a prototype that inherits from the super class's prototype
+GatedRecurrentUnitLayer.prototype = Object.create(GatedLayer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+GatedRecurrentUnitLayer.prototype.constructor = GatedRecurrentUnitLayer;
+
+/**
+ * Computes the inputs of all blocks, where the candidates receive the output from the previous time step after the reset
+ *
+ * @private
+ */
+GatedRecurrentUnitLayer.prototype._calculateInputs = function () {
+	Layer.prototype._calculateInputs.call(this);
+
+	var size = this.getSize();
+	var m;
+	var k;
+	var row;
+
+	// for every gate
+	for (m = size; m < 3 * size; m++) {
+		row = m * size;
+
+		// add the weighted output from the previous time step
+		for (k = 0; k < size; k++) {
+			this._inputs[m] += this._context[k] * this._recurrentWeights[row + k];
+		}
+	}
+
+	// let the previous output through as far as the reset gates allow
+	for (k = 0; k < size; k++) {
+		this._resetContext[k] = this._gateActivationFunction.evaluate(this._inputs[2 * size + k]) * this._context[k];
+	}
+
+	// for every candidate
+	for (m = 0; m < size; m++) {
+		row = m * size;
+
+		for (k = 0; k < size; k++) {
+			this._inputs[m] += this._resetContext[k] * this._recurrentWeights[row + k];
+		}
+	}
+};
+
+/**
+ * Computes the activations of the candidates and gates and the output of the units
+ *
+ * @private
+ */
+GatedRecurrentUnitLayer.prototype._activateCells = function () {
+	var size = this.getSize();
+	var i;
+
+	for (i = 0; i < size; i++) {
+		this._gates[i] = this._activationFunction.evaluate(this._inputs[i]);
+	}
+
+	for (i = size; i < 3 * size; i++) {
+		this._gates[i] = this._gateActivationFunction.evaluate(this._inputs[i]);
+	}
+
+	// for every unit
+	for (i = 0; i < size; i++) {
+		// move from the previous output towards the candidate
+		this._hidden[i] = (1 - this._gates[size + i]) * this._context[i] + this._gates[size + i] * this._gates[i];
+	}
+};
+
+/**
+ * Updates the deltas of all blocks in this layer
+ *
+ * @param {Float64Array|null} [additionalErrors] - the errors of the output from the following time step
+ */
+GatedRecurrentUnitLayer.prototype.updateDeltas = function (additionalErrors) {
+	var size = this.getSize();
+	var gateActivationFunction = this._gateActivationFunction;
+	var i;
+	var k;
+
+	this._hiddenErrors = this._calculateHiddenErrors(additionalErrors || null);
+
+	// for every unit
+	for (i = 0; i < size; i++) {
+		this._deltas[i] = this._hiddenErrors[i] * this._gates[size + i] * this._activationFunction.evaluateDerivative(this._inputs[i]);
+		this._deltas[size + i] = this._hiddenErrors[i] * (this._gates[i] - this._context[i]) * gateActivationFunction.evaluateDerivative(this._inputs[size + i]);
+	}
+
+	this._resetContextErrors.fill(0);
+
+	// propagate the deltas of the candidates back to the output from the previous time step after the reset
+	for (i = 0; i < size; i++) {
+		for (k = 0; k < size; k++) {
+			this._resetContextErrors[k] += this._deltas[i] * this._recurrentWeights[i * size + k];
+		}
+	}
+
+	for (k = 0; k < size; k++) {
+		this._deltas[2 * size + k] = this._resetContextErrors[k] * this._context[k] * gateActivationFunction.evaluateDerivative(this._inputs[2 * size + k]);
+	}
+};
+
+/**
+ * Adds the errors of the state passed on from the previous time step, i.e. of the output of this layer
+ *
+ * @param {Float64Array} errors - the errors of the output to add to
+ */
+GatedRecurrentUnitLayer.prototype.addContextErrors = function (errors) {
+	var size = this.getSize();
+
+	// the previous output reaches the output directly, through the candidates and through the gates
+	for (var k = 0; k < size; k++) {
+		errors[k] += this._hiddenErrors[k] * (1 - this._gates[size + k]) + this._resetContextErrors[k] * this._gates[2 * size + k];
+	}
+
+	this._addContextErrors(size, 3 * size, errors);
+};
+
+/**
+ * Updates the weights of the connections leading into this layer, including the recurrent ones, and the biases
+ *
+ * @param {Optimizer} optimizer - the optimizer that determines the changes of the weights
+ * @param {number} learningRate - the learning rate to use
+ * @param {boolean} immediate - whether to update the weights immediately or defer the update until later
+ * @param {{l1: number, l2: number, weightDecay: number}} regularization - the strengths of the regularization
+ */
+GatedRecurrentUnitLayer.prototype.updateWeightsInLayer = function (optimizer, learningRate, immediate, regularization) {
+	var size = this.getSize();
+
+	Layer.prototype.updateWeightsInLayer.call(this, optimizer, learningRate, immediate, regularization);
+
+	// the candidates have received the previous output after the reset, the gates have received it unchanged
+	this._updateRecurrentWeights(0, size, this._resetContext, optimizer, learningRate, immediate, regularization);
+	this._updateRecurrentWeights(size, 3 * size, this._context, optimizer, learningRate, immediate, regularization);
+};
+
+/** Resets the units and the context units in this layer */
+GatedRecurrentUnitLayer.prototype.reset = function () {
+	GatedLayer.prototype.reset.call(this);
+
+	this._resetContext.fill(0);
+};
+
+/**
+ * Returns a copy of the current state of this layer, including the previous output after the reset
+ *
+ * @return {Object} the state
+ */
+GatedRecurrentUnitLayer.prototype.saveState = function () {
+	var state = GatedLayer.prototype.saveState.call(this);
+
+	state.resetContext = new Float64Array(this._resetContext);
+
+	return state;
+};
+
+/**
+ * Replaces the current state of this layer, including the previous output after the reset, with a saved copy
+ *
+ * @param {Object} state - the state
+ */
+GatedRecurrentUnitLayer.prototype.restoreState = function (state) {
+	GatedLayer.prototype.restoreState.call(this, state);
+
+	this._resetContext.set(state.resetContext);
+};
+
+/**
+ * Returns the type of the units in this layer as used in serialized documents
+ *
+ * @return {string} the type of the units
+ */
+GatedRecurrentUnitLayer.prototype.getCellType = function () {
+	return "gru";
+};
+
+module.exports = GatedRecurrentUnitLayer;
@@ -0,0 +1,58 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+/**
+ * Helpers for comparing derivatives from formulas with numerical approximations by central finite differences
+ *
+ * These are shared by the checks of activation functions and of whole networks
+ */
+var GradientCheck = {};
+
+/**
+ * Validates the step for finite differences
+ *
+ * @param {number|undefined} epsilon - the step
+ * @return {number} the step, which defaults to `1e-6`
+ */
+GradientCheck.parseStep = function (epsilon) {
+	if (typeof epsilon === "undefined") {
+		return 1e-6;
+	}
+
+	if (typeof epsilon !== "number" || !(epsilon > 0)) {
+		throw "Step for finite differences (`"+epsilon+"`) must be a positive number";
+	}
+
+	return epsilon;
+};
+
+/**
+ * Calculates the relative error between a derivative from a formula and its numerical approximation
+ *
+ * Derivatives whose magnitudes are negligible count as equal, since their approximations are dominated by rounding
+ *
+ * @param {number} analytic - the derivative from the formula
+ * @param {number} numerical - the approximation by finite differences
+ * @return {number} the relative error from `0` to `1`
+ */
+GradientCheck.getRelativeError = function (analytic, numerical) {
+	return Math.abs(analytic - numerical) / Math.max(Math.abs(analytic) + Math.abs(numerical), 1e-7);
+};
+
+/**
+ * Sorts the results of a check so that the largest relative errors come first
+ *
+ * @param {Array.<{relativeError: number}>} results - the results to sort in place
+ */
+GradientCheck.sortByRelativeError = function (results) {
+	results.sort(function (a, b) {
+		return b.relativeError - a.relativeError;
+	});
+};
+
+module.exports = GradientCheck;
@@ -11,6 +11,12 @@ var Neuron = require("./Neuron.js");
 /**
  * A layer that may be part of an artificial neural network
  *
+ * All values of the layer are stored in typed arrays so that the forward and backward passes are simple loops
+ *
+ * The weights of the connections leading into this layer are stored here as a matrix with one row per neuron
+ *
+ * Individual neurons and connections are only views on these arrays and are available for inspection
+ *
  * @param {number} size - the number of neurons to use in this layer
  * @param {ActivationFunction} activationFunction - the activation function that this layer should use
  * @param {Prng} prng - the PRNG that this layer should use
@@ -42,9 +48,121 @@ function Layer(size, activationFunction, prng) {
 	 */
 	this._prng = prng;
 
+	/**
+	 * The current inputs of the neurons in this layer, i.e. the weighted sums including the biases
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._inputs = new Float64Array(size);
+
+	/**
+	 * The current activations of the neurons in this layer
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._activations = new Float64Array(size);
+
+	/**
+	 * The current errors of the neurons in this layer scaled by the confidence they showed in predicting their output
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._deltas = new Float64Array(size);
+
+	/**
+	 * The biases of the neurons in this layer
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._biases = new Float64Array(size);
+
+	/**
+	 * Accumulates the gradients of all bias updates that are deferred until later
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._biasUpdatesPending = new Float64Array(size);
+
+	/**
+	 * The states that the optimizer keeps for the biases (where created already)
+	 *
+	 * @type {Array.<Object|null|undefined>}
+	 * @private
+	 */
+	this._biasOptimizerStates = new Array(size);
+
+	/**
+	 * The weights of the connections from the previous layer as a matrix with one row per neuron in this layer
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._weights = new Float64Array(0);
+
+	/**
+	 * Accumulates the gradients of all weight updates that are deferred until later
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._weightUpdatesPending = new Float64Array(0);
+
+	/**
+	 * The states that the optimizer keeps for the weights (where created already)
+	 *
+	 * @type {Array.<Object|null|undefined>}
+	 * @private
+	 */
+	this._weightOptimizerStates = [];
+
+	/**
+	 * The previous layer that this layer receives its input from (if any)
+	 *
+	 * @type {Layer|null}
+	 * @private
+	 */
+	this._previousLayer = null;
+
+	/**
+	 * The next layer that this layer sends its output to (if any)
+	 *
+	 * @type {Layer|null}
+	 * @private
+	 */
+	this._nextLayer = null;
+
+	/**
+	 * The probability that a neuron in this layer is dropped during training
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._dropout = 0;
+
+	/**
+	 * Whether this layer is in training mode, where dropout is applied, as opposed to inference mode
+	 *
+	 * @type {boolean}
+	 * @private
+	 */
+	this._training = false;
+
+	/**
+	 * The factors that the activations have been scaled by due to dropout, i.e. `0` for dropped neurons
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._dropoutMask = new Float64Array(size);
+
 	// create the neurons for this layer
 	for (var i = 0; i < size; i++) {
-		this._neurons.push(this._createNeuron());
+		this._neurons.push(this._createNeuron(i));
 	}
 
 }
@@ -52,29 +170,260 @@ function Layer(size, activationFunction, prng) {
 /**
  * Creates a new neuron for this layer
  *
+ * @param {number} index - the index of the neuron within this layer
  * @return {Neuron} the new neuron
  * @private
  */
-Layer.prototype._createNeuron = function () {
-	return new Neuron(this);
+Layer.prototype._createNeuron = function (index) {
+	return new Neuron(this, index);
+};
+
+/**
+ * Connects every neuron of the previous layer that is specified to every neuron in this layer
+ *
+ * @param {Layer} previousLayer - the layer that this layer should receive its input from
+ * @param {WeightInitializer} weightInitializer - the scheme that determines the initial weights of the connections
+ */
+Layer.prototype.connectFrom = function (previousLayer, weightInitializer) {
+	var size = this.getSize();
+	var previousSize = previousLayer.getSize();
+
+	this._previousLayer = previousLayer;
+	previousLayer._nextLayer = this;
+
+	this._weights = weightInitializer.initializeLayer(previousSize, size, this._prng);
+	this._weightUpdatesPending = new Float64Array(size * previousSize);
+	this._weightOptimizerStates = new Array(size * previousSize);
+};
+
+/**
+ * Feeds the specified input into this layer, which must be the input layer of a network
+ *
+ * @param {number[]} input - the input to process
+ */
+Layer.prototype.feedInput = function (input) {
+	for (var i = 0; i < this._inputs.length; i++) {
+		this._inputs[i] = input[i];
+	}
+
+	this._activate();
+};
+
+/** Computes the inputs and activations of this layer from the activations of the previous layer */
+Layer.prototype.feedForward = function () {
+	this._calculateInputs();
+	this._activate();
 };
 
-/** Propagates the output of all neurons in this layer */
-Layer.prototype.propagateAllNeurons = function () {
+/**
+ * Computes the inputs of this layer, i.e. the weighted sums of the activations of the previous layer plus the biases
+ *
+ * @private
+ */
+Layer.prototype._calculateInputs = function () {
+	var size = this._inputs.length;
+	var previousActivations = this._previousLayer._activations;
+	var previousSize = previousActivations.length;
+	var weights = this._weights;
+	var sum;
+	var row;
+
 	// for every neuron
-	for (var i = 0; i < this._neurons.length; i++) {
-		// propagate the neuron's activation
-		this._neurons[i].propagate();
+	for (var m = 0; m < size; m++) {
+		sum = this._biases[m];
+		row = m * previousSize;
+
+		// add the weighted activations of all neurons in the previous layer
+		for (var k = 0; k < previousSize; k++) {
+			sum += previousActivations[k] * weights[row + k];
+		}
+
+		this._inputs[m] = sum;
+	}
+};
+
+/**
+ * Determines the activations of all neurons in this layer from their current inputs
+ *
+ * @private
+ */
+Layer.prototype._activate = function () {
+	var activationFunction = this._activationFunction;
+	var i;
+
+	if (activationFunction.isElementWise()) {
+		for (i = 0; i < this._inputs.length; i++) {
+			this._activations[i] = activationFunction.evaluate(this._inputs[i]);
+		}
+	}
+	else {
+		// determine the activations of all neurons at once since the function depends on the whole layer
+		var activations = activationFunction.evaluateLayer(this._inputs);
+
+		for (i = 0; i < this._inputs.length; i++) {
+			this._activations[i] = activations[i];
+		}
+	}
+
+	if (this._isDropoutActive()) {
+		for (i = 0; i < this._inputs.length; i++) {
+			this._dropoutMask[i] = this._drawDropoutFactor();
+			this._activations[i] *= this._dropoutMask[i];
+		}
+	}
+};
+
+/**
+ * Returns whether dropout is currently applied to this layer
+ *
+ * @return {boolean} whether dropout is applied
+ * @private
+ */
+Layer.prototype._isDropoutActive = function () {
+	return this._training && this._dropout > 0;
+};
+
+/**
+ * Draws whether a neuron is dropped and returns the factor that its activation must be scaled by
+ *
+ * The activations of the remaining neurons are scaled up so that their expected sum is the same as without dropout
+ *
+ * @return {number} the factor, i.e. `0` if the neuron is dropped
+ * @private
+ */
+Layer.prototype._drawDropoutFactor = function () {
+	if (this._prng.getRandom() < this._dropout) {
+		return 0;
+	}
+	else {
+		return 1 / (1 - this._dropout);
+	}
+};
+
+/**
+ * Computes the activations of this layer for the specified rows of input, which must be fed into the input layer
+ *
+ * This does not change the state of the layer
+ *
+ * @param {Float64Array} inputs - the rows of input, stored consecutively
+ * @param {number} numRows - the number of rows
+ * @return {Float64Array} the rows of activations, stored consecutively
+ */
+Layer.prototype.feedInputBatch = function (inputs, numRows) {
+	var activations = new Float64Array(inputs);
+
+	this._activateBatch(activations, numRows);
+
+	return activations;
+};
+
+/**
+ * Computes the activations of this layer for the specified rows of activations from the previous layer
+ *
+ * This does not change the state of the layer
+ *
+ * @param {Float64Array} previousActivations - the rows of activations of the previous layer, stored consecutively
+ * @param {number} numRows - the number of rows
+ * @return {Float64Array} the rows of activations, stored consecutively
+ */
+Layer.prototype.feedForwardBatch = function (previousActivations, numRows) {
+	var size = this._inputs.length;
+	var previousSize = this._previousLayer.getSize();
+	var weights = this._weights;
+	var biases = this._biases;
+	var activations = new Float64Array(numRows * size);
+	var r = 0;
+	var m;
+	var k;
+	var row;
+	var weight;
+	var o0, o1, o2, o3;
+	var s0, s1, s2, s3;
+
+	// process four rows at a time so that every weight that is loaded is used four times
+	for (; r + 4 <= numRows; r += 4) {
+		o0 = r * previousSize;
+		o1 = o0 + previousSize;
+		o2 = o1 + previousSize;
+		o3 = o2 + previousSize;
+
+		// for every neuron
+		for (m = 0; m < size; m++) {
+			s0 = s1 = s2 = s3 = biases[m];
+			row = m * previousSize;
+
+			// add the weighted activations of all neurons in the previous layer
+			for (k = 0; k < previousSize; k++) {
+				weight = weights[row + k];
+				s0 += previousActivations[o0 + k] * weight;
+				s1 += previousActivations[o1 + k] * weight;
+				s2 += previousActivations[o2 + k] * weight;
+				s3 += previousActivations[o3 + k] * weight;
+			}
+
+			activations[r * size + m] = s0;
+			activations[(r + 1) * size + m] = s1;
+			activations[(r + 2) * size + m] = s2;
+			activations[(r + 3) * size + m] = s3;
+		}
+	}
+
+	// process the remaining rows one at a time
+	for (; r < numRows; r++) {
+		o0 = r * previousSize;
+
+		for (m = 0; m < size; m++) {
+			s0 = biases[m];
+			row = m * previousSize;
+
+			for (k = 0; k < previousSize; k++) {
+				s0 += previousActivations[o0 + k] * weights[row + k];
+			}
+
+			activations[r * size + m] = s0;
+		}
+	}
+
+	this._activateBatch(activations, numRows);
+
+	return activations;
+};
+
+/**
+ * Replaces the specified rows of inputs with the activations of the neurons in this layer
+ *
+ * @param {Float64Array} values - the rows of inputs, stored consecutively
+ * @param {number} numRows - the number of rows
+ * @private
+ */
+Layer.prototype._activateBatch = function (values, numRows) {
+	var activationFunction = this._activationFunction;
+	var size = this._inputs.length;
+	var i;
+
+	if (activationFunction.isElementWise()) {
+		for (i = 0; i < values.length; i++) {
+			values[i] = activationFunction.evaluate(values[i]);
+		}
+	}
+	else {
+		// determine the activations of each row at once since the function depends on the whole layer
+		for (var r = 0; r < numRows; r++) {
+			values.set(activationFunction.evaluateLayer(values.subarray(r * size, (r + 1) * size)), r * size);
+		}
+	}
+
+	if (this._isDropoutActive()) {
+		for (i = 0; i < values.length; i++) {
+			values[i] *= this._drawDropoutFactor();
+		}
 	}
 };
 
 /** Resets the neurons in this layer */
 Layer.prototype.reset = function () {
-	// for every neuron
-	for (var i = 0; i < this._neurons.length; i++) {
-		// reset the neuron
-		this._neurons[i].reset();
-	}
+	this._inputs.fill(0);
+	this._activations.fill(0);
 };
 
 /**
@@ -86,6 +435,24 @@ Layer.prototype.getSize = function () {
 	return this._neurons.length;
 };
 
+/**
+ * Returns the shape of the activations of this layer for layers that process spatial data
+ *
+ * @return {number[]|null} the height, width and number of channels, or `null` if the activations have no shape
+ */
+Layer.prototype.getShape = function () {
+	return null;
+};
+
+/**
+ * Returns whether every neuron in this layer has its own connection with its own weight to every neuron in the previous layer
+ *
+ * @return {boolean} whether this layer is fully connected
+ */
+Layer.prototype.isFullyConnected = function () {
+	return true;
+};
+
 /**
  * Returns the neuron at the specified index
  *
@@ -96,66 +463,802 @@ Layer.prototype.getNeuron = function (index) {
 	return this._neurons[index];
 };
 
-/** Updates the deltas in this layer */
-Layer.prototype.updateDeltas = function () {
-	// for every neuron
-	for (var i = 0; i < this._neurons.length; i++) {
-		// update the delta
-		this._neurons[i].updateDelta();
-	}
+/**
+ * Returns the previous layer that this layer receives its input from
+ *
+ * @return {Layer|null} the previous layer or `null` for the input layer
+ */
+Layer.prototype.getPreviousLayer = function () {
+	return this._previousLayer;
 };
 
 /**
- * Updates the weights for all neurons in this layer
+ * Returns the next layer that this layer sends its output to
  *
- * @param {number} learningRate - the learning rate to use
- * @param {boolean} immediate - whether to update the weights immediately or defer the update until later
+ * @return {Layer|null} the next layer or `null` for the output layer
  */
-Layer.prototype.updateWeightsInLayer = function (learningRate, immediate) {
-	// for every neuron
-	for (var i = 0; i < this._neurons.length; i++) {
-		// update the weights
-		this._neurons[i].updateWeightsAtConnections(learningRate, immediate);
-	}
+Layer.prototype.getNextLayer = function () {
+	return this._nextLayer;
 };
 
-/** Releases all deferred weight updates */
-Layer.prototype.releaseWeightUpdatesInLayer = function () {
-	// for every neuron
-	for (var i = 0; i < this._neurons.length; i++) {
-		// release all pending weight updates
-		this._neurons[i].releaseWeightUpdatesAtConnections();
-	}
+/**
+ * Returns the current inputs of all neurons in this layer
+ *
+ * @return {number[]} the inputs
+ */
+Layer.prototype.getInputs = function () {
+	return Array.prototype.slice.call(this._inputs);
 };
 
 /**
- * Returns the activation function for this layer
+ * Returns the current input of the neuron at the specified index
  *
- * @return {ActivationFunction} the activation function used by this layer
+ * @param {number} index - the index of the neuron
+ * @return {number} the input
  */
-Layer.prototype.getActivationFunction = function () {
-	return this._activationFunction;
+Layer.prototype.getInput = function (index) {
+	return this._inputs[index];
 };
 
 /**
- * Returns the PRNG for this layer
+ * Replaces the current input of the neuron at the specified index
  *
- * @return {Prng} the PRNG used by this layer
+ * @param {number} index - the index of the neuron
+ * @param {number} input - the new input
  */
-Layer.prototype.getPrng = function () {
-	return this._prng;
+Layer.prototype.setInput = function (index, input) {
+	this._inputs[index] = input;
 };
 
-Layer.prototype.toJSON = function () {
-	var neurons = [];
-	for (var i = 0; i < this._neurons.length; i++) {
-		neurons.push(this._neurons[i].toJSON());
+/**
+ * Returns the current activations of all neurons in this layer
+ *
+ * @return {number[]} the activations
+ */
+Layer.prototype.getActivations = function () {
+	return Array.prototype.slice.call(this._activations);
+};
+
+/**
+ * Returns the current activation of the neuron at the specified index
+ *
+ * @param {number} index - the index of the neuron
+ * @return {number} the activation
+ */
+Layer.prototype.getActivation = function (index) {
+	return this._activations[index];
+};
+
+/**
+ * Replaces the current activation of the neuron at the specified index
+ *
+ * @param {number} index - the index of the neuron
+ * @param {number} activation - the new activation
+ */
+Layer.prototype.setActivation = function (index, activation) {
+	this._activations[index] = activation;
+};
+
+/**
+ * Returns the current delta of the neuron at the specified index
+ *
+ * @param {number} index - the index of the neuron
+ * @return {number} the delta
+ */
+Layer.prototype.getDelta = function (index) {
+	return this._deltas[index];
+};
+
+/**
+ * Replaces the current delta of the neuron at the specified index
+ *
+ * @param {number} index - the index of the neuron
+ * @param {number} delta - the new delta
+ */
+Layer.prototype.setDelta = function (index, delta) {
+	this._deltas[index] = delta;
+};
+
+/**
+ * Calculates the error of the neuron at the specified index from the deltas of the next layer
+ *
+ * @param {number} index - the index of the neuron
+ * @return {number} the error of the neuron
+ */
+Layer.prototype.calculateError = function (index) {
+	var nextLayer = this._nextLayer;
+
+	if (nextLayer === null) {
+		return 0;
 	}
 
-	return {
-		"neurons": neurons,
-		"activationFunction": this._activationFunction.toJSON()
+	// the weights of layers that are not fully connected are shared between many connections
+	if (!nextLayer.isFullyConnected()) {
+		return this._calculateErrors()[index];
+	}
+
+	var size = this._activations.length;
+	var error = 0;
+
+	// for every neuron in the next layer
+	for (var m = 0; m < nextLayer._deltas.length; m++) {
+		// accumulate the error by adding the weighted delta from the connection
+		error += nextLayer._deltas[m] * nextLayer._weights[m * size + index];
+	}
+
+	return error;
+};
+
+/**
+ * Updates the deltas in this layer
+ *
+ * @param {Float64Array|null} [additionalErrors] - the errors of the activations from elsewhere, e.g. from a later time step
+ */
+Layer.prototype.updateDeltas = function (additionalErrors) {
+	var errors = this._calculateErrors();
+
+	if (additionalErrors) {
+		for (var k = 0; k < errors.length; k++) {
+			errors[k] += additionalErrors[k];
+		}
 	}
+
+	this._propagateErrors(errors, false);
+};
+
+/**
+ * Calculates the errors of the activations of this layer from the deltas of the next layer
+ *
+ * @return {Float64Array} the errors
+ * @private
+ */
+Layer.prototype._calculateErrors = function () {
+	var errors = new Float64Array(this._activations.length);
+
+	this._nextLayer.addPreviousLayerErrors(errors);
+
+	return errors;
+};
+
+/**
+ * Adds the errors of the activations of the previous layer that are caused by the deltas of this layer
+ *
+ * @param {Float64Array} errors - the errors per neuron in the previous layer to add to
+ */
+Layer.prototype.addPreviousLayerErrors = function (errors) {
+	var size = errors.length;
+	var delta;
+	var row;
+
+	// for every neuron in this layer
+	for (var m = 0; m < this._deltas.length; m++) {
+		delta = this._deltas[m];
+		row = m * size;
+
+		// propagate the delta back to every neuron in the previous layer, weighted by the connection
+		for (var k = 0; k < size; k++) {
+			errors[k] += delta * this._weights[row + k];
+		}
+	}
+};
+
+/**
+ * Turns the errors of the activations of this layer into deltas by propagating them back through the activation function
+ *
+ * @param {Float64Array} errors - the errors of the activations, which may be modified
+ * @param {boolean} accumulate - whether to add the results to the current deltas instead of replacing them
+ * @private
+ */
+Layer.prototype._propagateErrors = function (errors, accumulate) {
+	var size = this._inputs.length;
+	var k;
+
+	// dropped neurons have not contributed to the output and the others have been scaled
+	if (this._isDropoutActive()) {
+		for (k = 0; k < size; k++) {
+			errors[k] *= this._dropoutMask[k];
+		}
+	}
+
+	var activationFunction = this._activationFunction;
+	var deltas;
+
+	if (activationFunction.isElementWise()) {
+		deltas = errors;
+
+		// scale the errors by the derivative of the activation function
+		for (k = 0; k < size; k++) {
+			deltas[k] = activationFunction.evaluateDerivative(this._inputs[k]) * errors[k];
+		}
+	}
+	else {
+		// scale the errors by the derivative of the activation function across the whole layer
+		deltas = activationFunction.backpropagateLayer(this._inputs, errors);
+	}
+
+	for (k = 0; k < size; k++) {
+		if (accumulate) {
+			this._deltas[k] += deltas[k];
+		}
+		else {
+			this._deltas[k] = deltas[k];
+		}
+	}
+};
+
+/**
+ * Updates the weights of the connections leading into this layer and the biases of this layer
+ *
+ * The penalties of the regularization only apply to the weights and are added to their gradients
+ *
+ * @param {Optimizer} optimizer - the optimizer that determines the changes of the weights
+ * @param {number} learningRate - the learning rate to use
+ * @param {boolean} immediate - whether to update the weights immediately or defer the update until later
+ * @param {{l1: number, l2: number, weightDecay: number}} regularization - the strengths of the regularization
+ */
+Layer.prototype.updateWeightsInLayer = function (optimizer, learningRate, immediate, regularization) {
+	var size = this._inputs.length;
+	var previousActivations = this._previousLayer._activations;
+	var previousSize = previousActivations.length;
+	var penalized = (regularization.l1 !== 0 || regularization.l2 !== 0);
+	var delta;
+	var row;
+	var gradient;
+
+	// for every neuron
+	for (var m = 0; m < size; m++) {
+		delta = this._deltas[m];
+		row = m * previousSize;
+
+		// for every connection leading into the neuron
+		for (var k = 0; k < previousSize; k++) {
+			// calculate the gradient of the error with respect to the weight
+			gradient = -delta * previousActivations[k];
+
+			if (penalized) {
+				gradient += Layer._getPenaltyGradient(this._weights[row + k], regularization);
+			}
+
+			if (immediate) {
+				// update the weight to move in the direction of a minimum of the error function
+				this._applyWeightGradient(this._weights, this._weightOptimizerStates, row + k, gradient, optimizer, learningRate, regularization);
+			}
+			else {
+				this._weightUpdatesPending[row + k] += gradient;
+			}
+		}
+
+		// the bias is fed by a constant activation of `1` so that the gradient is just the negative delta
+		if (immediate) {
+			this._applyGradient(this._biases, this._biasOptimizerStates, m, -delta, optimizer, learningRate);
+		}
+		else {
+			this._biasUpdatesPending[m] -= delta;
+		}
+	}
+};
+
+/**
+ * Releases all deferred weight and bias updates
+ *
+ * @param {Optimizer} optimizer - the optimizer that determines the changes of the weights
+ * @param {number} learningRate - the learning rate to use
+ * @param {{l1: number, l2: number, weightDecay: number}} regularization - the strengths of the regularization
+ */
+Layer.prototype.releaseWeightUpdatesInLayer = function (optimizer, learningRate, regularization) {
+	var i;
+
+	for (i = 0; i < this._weights.length; i++) {
+		// update the weight with the deferred changes
+		this._applyWeightGradient(this._weights, this._weightOptimizerStates, i, this._weightUpdatesPending[i], optimizer, learningRate, regularization);
+	}
+
+	for (i = 0; i < this._biases.length; i++) {
+		// update the bias with the deferred changes
+		this._applyGradient(this._biases, this._biasOptimizerStates, i, this._biasUpdatesPending[i], optimizer, learningRate);
+	}
+
+	// reset the accumulated changes
+	this._weightUpdatesPending.fill(0);
+	this._biasUpdatesPending.fill(0);
+};
+
+/**
+ * Calculates the sum of the squares of all deferred weight and bias updates
+ *
+ * @return {number} the squared L2 norm of the deferred updates
+ */
+Layer.prototype.calculateSquaredUpdateNorm = function () {
+	var sum = 0;
+	var i;
+
+	for (i = 0; i < this._weightUpdatesPending.length; i++) {
+		sum += this._weightUpdatesPending[i] * this._weightUpdatesPending[i];
+	}
+
+	for (i = 0; i < this._biasUpdatesPending.length; i++) {
+		sum += this._biasUpdatesPending[i] * this._biasUpdatesPending[i];
+	}
+
+	return sum;
+};
+
+/**
+ * Limits all deferred weight and bias updates to the range from the negative to the positive of the specified value
+ *
+ * @param {number} value - the maximum absolute value of every update
+ */
+Layer.prototype.clipWeightUpdates = function (value) {
+	var i;
+
+	for (i = 0; i < this._weightUpdatesPending.length; i++) {
+		this._weightUpdatesPending[i] = Math.max(-value, Math.min(value, this._weightUpdatesPending[i]));
+	}
+
+	for (i = 0; i < this._biasUpdatesPending.length; i++) {
+		this._biasUpdatesPending[i] = Math.max(-value, Math.min(value, this._biasUpdatesPending[i]));
+	}
+};
+
+/**
+ * Multiplies all deferred weight and bias updates by the specified factor
+ *
+ * @param {number} factor - the factor to multiply by
+ */
+Layer.prototype.scaleWeightUpdates = function (factor) {
+	var i;
+
+	for (i = 0; i < this._weightUpdatesPending.length; i++) {
+		this._weightUpdatesPending[i] *= factor;
+	}
+
+	for (i = 0; i < this._biasUpdatesPending.length; i++) {
+		this._biasUpdatesPending[i] *= factor;
+	}
+};
+
+/**
+ * Returns the deferred weight and bias updates, which are the accumulated gradients, and discards them
+ *
+ * @return {{biases: Float64Array, weights: Float64Array}} the gradients in the same layout as the parameters
+ */
+Layer.prototype.takeWeightUpdates = function () {
+	var updates = {
+		biases: new Float64Array(this._biasUpdatesPending),
+		weights: new Float64Array(this._weightUpdatesPending)
+	};
+
+	this._weightUpdatesPending.fill(0);
+	this._biasUpdatesPending.fill(0);
+
+	return updates;
+};
+
+/**
+ * Changes a weight as the optimizer dictates for the specified gradient and applies the decoupled weight decay
+ *
+ * @param {Float64Array} weights - the weights
+ * @param {Array.<Object|null|undefined>} states - the states that the optimizer keeps for the weights
+ * @param {number} index - the index of the weight
+ * @param {number} gradient - the partial derivative of the error with respect to the weight
+ * @param {Optimizer} optimizer - the optimizer that determines the change
+ * @param {number} learningRate - the learning rate to use
+ * @param {{l1: number, l2: number, weightDecay: number}} regularization - the strengths of the regularization
+ * @private
+ */
+Layer.prototype._applyWeightGradient = function (weights, states, index, gradient, optimizer, learningRate, regularization) {
+	if (regularization.weightDecay === 0) {
+		this._applyGradient(weights, states, index, gradient, optimizer, learningRate);
+	}
+	else {
+		// the decay is independent of the optimizer and proportional to the weight before the update
+		var decay = learningRate * regularization.weightDecay * weights[index];
+
+		this._applyGradient(weights, states, index, gradient, optimizer, learningRate);
+
+		weights[index] -= decay;
+	}
+};
+
+/**
+ * Calculates the penalty that the regularization imposes on the weights of the connections leading into this layer
+ *
+ * @param {{l1: number, l2: number, weightDecay: number}} regularization - the strengths of the regularization
+ * @return {number} the penalty
+ */
+Layer.prototype.calculatePenalty = function (regularization) {
+	return Layer._calculatePenalty(this._weights, regularization);
+};
+
+/**
+ * Changes a weight or bias as the optimizer dictates for the specified gradient
+ *
+ * @param {Float64Array} parameters - the weights or biases
+ * @param {Array.<Object|null|undefined>} states - the states that the optimizer keeps for the weights or biases
+ * @param {number} index - the index of the weight or bias
+ * @param {number} gradient - the partial derivative of the error with respect to the weight or bias
+ * @param {Optimizer} optimizer - the optimizer that determines the change
+ * @param {number} learningRate - the learning rate to use
+ * @private
+ */
+Layer.prototype._applyGradient = function (parameters, states, index, gradient, optimizer, learningRate) {
+	// lazily create the state that the optimizer keeps for the weight or bias
+	if (states[index] === undefined) {
+		states[index] = optimizer.createState();
+	}
+
+	parameters[index] += optimizer.computeUpdate(gradient, states[index], learningRate);
+};
+
+/**
+ * Searches this layer for a value that is not a finite number
+ *
+ * @param {boolean} parameters - whether to search the weights and biases instead of the activations and deltas
+ * @return {{quantity: string, neuron: number, value: number}|null} the first value found or `null` if there is none
+ */
+Layer.prototype.findNonFiniteValue = function (parameters) {
+	var size = this.getSize();
+	var i;
+
+	if (!parameters) {
+		for (i = 0; i < this._activations.length; i++) {
+			if (!isFinite(this._activations[i])) {
+				return { quantity: "activation", neuron: i, value: this._activations[i] };
+			}
+		}
+
+		for (i = 0; i < this._deltas.length; i++) {
+			if (!isFinite(this._deltas[i])) {
+				// layers with gates store one block of deltas per gate
+				return { quantity: "delta", neuron: i % size, value: this._deltas[i] };
+			}
+		}
+	}
+	else {
+		for (i = 0; i < this._biases.length; i++) {
+			if (!isFinite(this._biases[i])) {
+				return { quantity: "bias", neuron: i % size, value: this._biases[i] };
+			}
+		}
+
+		for (i = 0; i < this._weights.length; i++) {
+			if (!isFinite(this._weights[i])) {
+				// the weights are stored with one row per neuron
+				return { quantity: "weight", neuron: Math.floor(i / this._previousLayer.getSize()) % size, value: this._weights[i] };
+			}
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Returns the bias of the neuron at the specified index
+ *
+ * @param {number} index - the index of the neuron
+ * @return {number} the bias
+ */
+Layer.prototype.getBias = function (index) {
+	return this._biases[index];
+};
+
+/**
+ * Replaces the bias of the neuron at the specified index
+ *
+ * @param {number} index - the index of the neuron
+ * @param {number} bias - the new bias
+ */
+Layer.prototype.setBias = function (index, bias) {
+	this._biases[index] = bias;
+};
+
+/**
+ * Returns the state that the optimizer keeps for the bias of the neuron at the specified index
+ *
+ * @param {number} index - the index of the neuron
+ * @return {Object|null} the state or `null` if there is none (yet)
+ */
+Layer.prototype.getBiasOptimizerState = function (index) {
+	return this._biasOptimizerStates[index] || null;
+};
+
+/**
+ * Replaces the state that the optimizer keeps for the bias of the neuron at the specified index
+ *
+ * @param {number} index - the index of the neuron
+ * @param {Object|null} state - the new state or `null` to let the optimizer create a new state when needed
+ */
+Layer.prototype.setBiasOptimizerState = function (index, state) {
+	this._biasOptimizerStates[index] = state || undefined;
+};
+
+/**
+ * Returns the weight of the connection from a neuron in the previous layer to a neuron in this layer
+ *
+ * @param {number} index - the index of the neuron in this layer
+ * @param {number} previousIndex - the index of the neuron in the previous layer
+ * @return {number} the weight
+ */
+Layer.prototype.getIncomingWeight = function (index, previousIndex) {
+	return this._weights[index * this._previousLayer.getSize() + previousIndex];
+};
+
+/**
+ * Replaces the weight of the connection from a neuron in the previous layer to a neuron in this layer
+ *
+ * @param {number} index - the index of the neuron in this layer
+ * @param {number} previousIndex - the index of the neuron in the previous layer
+ * @param {number} weight - the new weight
+ */
+Layer.prototype.setIncomingWeight = function (index, previousIndex, weight) {
+	this._weights[index * this._previousLayer.getSize() + previousIndex] = weight;
+};
+
+/**
+ * Returns the state that the optimizer keeps for the connection from a neuron in the previous layer
+ *
+ * @param {number} index - the index of the neuron in this layer
+ * @param {number} previousIndex - the index of the neuron in the previous layer
+ * @return {Object|null} the state or `null` if there is none (yet)
+ */
+Layer.prototype.getIncomingWeightOptimizerState = function (index, previousIndex) {
+	return this._weightOptimizerStates[index * this._previousLayer.getSize() + previousIndex] || null;
+};
+
+/**
+ * Replaces the state that the optimizer keeps for the connection from a neuron in the previous layer
+ *
+ * @param {number} index - the index of the neuron in this layer
+ * @param {number} previousIndex - the index of the neuron in the previous layer
+ * @param {Object|null} state - the new state or `null` to let the optimizer create a new state when needed
+ */
+Layer.prototype.setIncomingWeightOptimizerState = function (index, previousIndex, state) {
+	this._weightOptimizerStates[index * this._previousLayer.getSize() + previousIndex] = state || undefined;
+};
+
+/**
+ * Returns a copy of the biases of all neurons in this layer
+ *
+ * @return {Float64Array} the biases
+ */
+Layer.prototype.getBiases = function () {
+	return new Float64Array(this._biases);
+};
+
+/**
+ * Replaces the biases of all neurons in this layer
+ *
+ * @param {Float64Array|number[]} biases - the new biases
+ */
+Layer.prototype.setBiases = function (biases) {
+	this._biases.set(biases);
+};
+
+/**
+ * Returns a copy of the weights of all connections leading into this layer
+ *
+ * @return {Float64Array} the weights as a matrix with one row per neuron in this layer
+ */
+Layer.prototype.getWeights = function () {
+	return new Float64Array(this._weights);
+};
+
+/**
+ * Replaces the weights of all connections leading into this layer
+ *
+ * @param {Float64Array|number[]} weights - the new weights as a matrix with one row per neuron in this layer
+ */
+Layer.prototype.setWeights = function (weights) {
+	this._weights.set(weights);
+};
+
+/**
+ * Returns copies of the states that the optimizer keeps for the weights and biases
+ *
+ * @return {{weights: Array.<Object|undefined>, biases: Array.<Object|undefined>}} the states
+ */
+Layer.prototype.getOptimizerStates = function () {
+	return {
+		weights: this._weightOptimizerStates.map(Layer._copyOptimizerState),
+		biases: this._biasOptimizerStates.map(Layer._copyOptimizerState)
+	};
+};
+
+/**
+ * Replaces the states that the optimizer keeps for the weights and biases with copies of the specified states
+ *
+ * @param {{weights: Array.<Object|undefined>, biases: Array.<Object|undefined>}} states - the new states
+ */
+Layer.prototype.setOptimizerStates = function (states) {
+	this._weightOptimizerStates = states.weights.map(Layer._copyOptimizerState);
+	this._biasOptimizerStates = states.biases.map(Layer._copyOptimizerState);
+};
+
+/**
+ * Returns copies of all weights and biases of this layer
+ *
+ * @param {boolean} [optimizerStates] - whether to include copies of the states that the optimizer keeps
+ * @return {{biases: Float64Array, weights: Float64Array, optimizerStates: Object|undefined}} the values
+ */
+Layer.prototype.getParameters = function (optimizerStates) {
+	return {
+		biases: this.getBiases(),
+		weights: this.getWeights(),
+		optimizerStates: optimizerStates ? this.getOptimizerStates() : undefined
+	};
+};
+
+/**
+ * Replaces all weights and biases of this layer with the values from the specified copies
+ *
+ * @param {{biases: Float64Array, weights: Float64Array, optimizerStates: Object|undefined}} parameters - the values
+ */
+Layer.prototype.setParameters = function (parameters) {
+	this.setBiases(parameters.biases);
+	this.setWeights(parameters.weights);
+
+	if (parameters.optimizerStates) {
+		this.setOptimizerStates(parameters.optimizerStates);
+	}
+};
+
+/**
+ * Returns a copy of the current inputs, activations and dropout mask of this layer
+ *
+ * @return {Object} the state
+ */
+Layer.prototype.saveState = function () {
+	return {
+		inputs: new Float64Array(this._inputs),
+		activations: new Float64Array(this._activations),
+		dropoutMask: new Float64Array(this._dropoutMask)
+	};
+};
+
+/**
+ * Replaces the current inputs, activations and dropout mask of this layer with a copy that has been saved before
+ *
+ * @param {Object} state - the state
+ */
+Layer.prototype.restoreState = function (state) {
+	this._inputs.set(state.inputs);
+	this._activations.set(state.activations);
+	this._dropoutMask.set(state.dropoutMask);
+};
+
+/**
+ * Returns the activation function for this layer
+ *
+ * @return {ActivationFunction} the activation function used by this layer
+ */
+Layer.prototype.getActivationFunction = function () {
+	return this._activationFunction;
+};
+
+/**
+ * Replaces the activation function for this layer
+ *
+ * @param {ActivationFunction} activationFunction - the new activation function
+ */
+Layer.prototype.setActivationFunction = function (activationFunction) {
+	this._activationFunction = activationFunction;
+};
+
+/**
+ * Returns the probability that a neuron in this layer is dropped during training
+ *
+ * @return {number} the dropout rate
+ */
+Layer.prototype.getDropout = function () {
+	return this._dropout;
+};
+
+/**
+ * Replaces the probability that a neuron in this layer is dropped during training
+ *
+ * @param {number} dropout - the new dropout rate, i.e. `0` to disable dropout
+ */
+Layer.prototype.setDropout = function (dropout) {
+	if (typeof dropout !== "number" || !(dropout >= 0 && dropout < 1)) {
+		throw "Dropout rate (`"+dropout+"`) must be at least `0` and less than `1`";
+	}
+
+	this._dropout = dropout;
+};
+
+/**
+ * Returns whether this layer is in training mode, where dropout is applied, as opposed to inference mode
+ *
+ * @return {boolean} whether the layer is in training mode
+ */
+Layer.prototype.isTraining = function () {
+	return this._training;
+};
+
+/**
+ * Switches this layer between training mode, where dropout is applied, and inference mode
+ *
+ * @param {boolean} training - whether to switch to training mode
+ */
+Layer.prototype.setTraining = function (training) {
+	this._training = training;
+};
+
+/**
+ * Returns the PRNG for this layer
+ *
+ * @return {Prng} the PRNG used by this layer
+ */
+Layer.prototype.getPrng = function () {
+	return this._prng;
+};
+
+Layer.prototype.toJSON = function () {
+	var neurons = [];
+	for (var i = 0; i < this._neurons.length; i++) {
+		neurons.push(this._neurons[i].toJSON());
+	}
+
+	return {
+		"neurons": neurons,
+		"activationFunction": this._activationFunction.toJSON(),
+		"dropout": this._dropout
+	}
+};
+
+/**
+ * Calculates the gradient of the penalty that the regularization imposes on a weight
+ *
+ * @param {number} weight - the weight
+ * @param {{l1: number, l2: number, weightDecay: number}} regularization - the strengths of the regularization
+ * @return {number} the partial derivative of the penalty with respect to the weight
+ * @private
+ */
+Layer._getPenaltyGradient = function (weight, regularization) {
+	var sign = (weight > 0) ? 1 : ((weight < 0) ? -1 : 0);
+
+	return regularization.l1 * sign + regularization.l2 * weight;
+};
+
+/**
+ * Calculates the penalty that the regularization imposes on the specified weights
+ *
+ * @param {Float64Array} weights - the weights
+ * @param {{l1: number, l2: number, weightDecay: number}} regularization - the strengths of the regularization
+ * @return {number} the penalty
+ * @private
+ */
+Layer._calculatePenalty = function (weights, regularization) {
+	var penalty = 0;
+
+	for (var i = 0; i < weights.length; i++) {
+		penalty += regularization.l1 * Math.abs(weights[i]) + regularization.l2 / 2 * weights[i] * weights[i];
+	}
+
+	return penalty;
+};
+
+/**
+ * Creates a copy of the state that an optimizer keeps for a weight or bias
+ *
+ * @param {Object|null|undefined} state - the state to copy
+ * @return {Object|null|undefined} the copy
+ * @private
+ */
+Layer._copyOptimizerState = function (state) {
+	if (typeof state !== "object" || state === null) {
+		return state;
+	}
+
+	var copy = {};
+
+	for (var key in state) {
+		if (state.hasOwnProperty(key)) {
+			copy[key] = state[key];
+		}
+	}
+
+	return copy;
 };
 
 module.exports = Layer;
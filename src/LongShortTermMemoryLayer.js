@@ -0,0 +1,202 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var GatedLayer = require("./GatedLayer.js");
+
+/**
+ * A recurrent hidden layer of long short-term memory (LSTM) cells
+ *
+ * Every cell keeps an internal state that an input gate adds to, a forget gate decays and an output gate exposes
+ *
+ * The blocks are the input of the cells, the input gates, the forget gates and the output gates, in that order
+ *
+ * The biases of the forget gates start at `1` so that the cells initially remember their state
+ *
+ * @param {number} size - the number of cells to use in this layer
+ * @param {ActivationFunction} activationFunction - the activation function for the input and output of the cells
+ * @param {ActivationFunction} gateActivationFunction - the activation function for the gates
+ * @param {Prng} prng - the PRNG that this layer should use
+ * @constructor
+ * @extends GatedLayer
+ */
+function LongShortTermMemoryLayer(size, activationFunction, gateActivationFunction, prng) {
+
+	// call the super class's constructor
+	GatedLayer.call(this, size, 4, activationFunction, gateActivationFunction, prng);
+
+	/**
+	 * The current internal states of the cells
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._cell = new Float64Array(size);
+
+	/**
+	 * The internal states of the cells from the previous time step
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._cellContext = new Float64Array(size);
+
+	/**
+	 * The errors of the internal states of the cells in the current time step during backpropagation
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._cellErrors = new Float64Array(size);
+
+	this._biases.fill(1, 2 * size, 3 * size);
+
+}
+
+// create a prototype that inherits from the super class's prototype
+LongShortTermMemoryLayer.prototype = Object.create(GatedLayer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+LongShortTermMemoryLayer.prototype.constructor = LongShortTermMemoryLayer;
+
+/**
+ * Computes the activations of the gates, the internal states of the cells and their output
+ *
+ * @private
+ */
+LongShortTermMemoryLayer.prototype._activateCells = function () {
+	var size = this.getSize();
+	var activationFunction = this._activationFunction;
+	var gateActivationFunction = this._gateActivationFunction;
+	var i;
+
+	for (i = 0; i < size; i++) {
+		this._gates[i] = activationFunction.evaluate(this._inputs[i]);
+	}
+
+	for (i = size; i < 4 * size; i++) {
+		this._gates[i] = gateActivationFunction.evaluate(this._inputs[i]);
+	}
+
+	// for every cell
+	for (i = 0; i < size; i++) {
+		// forget part of the previous state and add the gated input
+		this._cell[i] = this._gates[2 * size + i] * this._cellContext[i] + this._gates[size + i] * this._gates[i];
+		this._hidden[i] = this._gates[3 * size + i] * activationFunction.evaluate(this._cell[i]);
+	}
+};
+
+/**
+ * Updates the deltas of all blocks in this layer
+ *
+ * @param {Float64Array|null} [additionalErrors] - the errors of the output and of the internal states of the cells from the following time step
+ */
+LongShortTermMemoryLayer.prototype.updateDeltas = function (additionalErrors) {
+	var size = this.getSize();
+	var activationFunction = this._activationFunction;
+	var gateActivationFunction = this._gateActivationFunction;
+	var errors = this._calculateHiddenErrors(additionalErrors ? additionalErrors.subarray(0, size) : null);
+	var cellDerivative;
+
+	// for every cell
+	for (var i = 0; i < size; i++) {
+		cellDerivative = activationFunction.evaluateDerivative(this._cell[i]);
+
+		// the internal state affects the output of this time step and the internal state of the next
+		this._cellErrors[i] = errors[i] * this._gates[3 * size + i] * cellDerivative + (additionalErrors ? additionalErrors[size + i] : 0);
+
+		this._deltas[i] = this._cellErrors[i] * this._gates[size + i] * activationFunction.evaluateDerivative(this._inputs[i]);
+		this._deltas[size + i] = this._cellErrors[i] * this._gates[i] * gateActivationFunction.evaluateDerivative(this._inputs[size + i]);
+		this._deltas[2 * size + i] = this._cellErrors[i] * this._cellContext[i] * gateActivationFunction.evaluateDerivative(this._inputs[2 * size + i]);
+		this._deltas[3 * size + i] = errors[i] * activationFunction.evaluate(this._cell[i]) * gateActivationFunction.evaluateDerivative(this._inputs[3 * size + i]);
+	}
+};
+
+/**
+ * Returns the number of values that the state passed on to the next time step consists of
+ *
+ * @return {number} the size of the state, i.e. the output and the internal states of the cells
+ */
+LongShortTermMemoryLayer.prototype.getContextSize = function () {
+	return 2 * this.getSize();
+};
+
+/**
+ * Adds the errors of the state passed on from the previous time step, i.e. of the output and of the internal states
+ *
+ * @param {Float64Array} errors - the errors of the output followed by those of the internal states to add to
+ */
+LongShortTermMemoryLayer.prototype.addContextErrors = function (errors) {
+	var size = this.getSize();
+
+	this._addContextErrors(0, this._deltas.length, errors);
+
+	// the previous internal states have been scaled by the forget gates
+	for (var i = 0; i < size; i++) {
+		errors[size + i] += this._cellErrors[i] * this._gates[2 * size + i];
+	}
+};
+
+/** Copies the current output and internal states of the cells into the context units for the next time step */
+LongShortTermMemoryLayer.prototype.updateContext = function () {
+	GatedLayer.prototype.updateContext.call(this);
+
+	this._cellContext.set(this._cell);
+};
+
+/** Resets the cells and the context units in this layer */
+LongShortTermMemoryLayer.prototype.reset = function () {
+	GatedLayer.prototype.reset.call(this);
+
+	this._cell.fill(0);
+	this._cellContext.fill(0);
+};
+
+/**
+ * Returns the current internal states of the cells
+ *
+ * @return {number[]} the states
+ */
+LongShortTermMemoryLayer.prototype.getCellStates = function () {
+	return Array.prototype.slice.call(this._cell);
+};
+
+/**
+ * Returns a copy of the current state of this layer, including the internal states of the cells
+ *
+ * @return {Object} the state
+ */
+LongShortTermMemoryLayer.prototype.saveState = function () {
+	var state = GatedLayer.prototype.saveState.call(this);
+
+	state.cell = new Float64Array(this._cell);
+	state.cellContext = new Float64Array(this._cellContext);
+
+	return state;
+};
+
+/**
+ * Replaces the current state of this layer, including the internal states of the cells, with a saved copy
+ *
+ * @param {Object} state - the state
+ */
+LongShortTermMemoryLayer.prototype.restoreState = function (state) {
+	GatedLayer.prototype.restoreState.call(this, state);
+
+	this._cell.set(state.cell);
+	this._cellContext.set(state.cellContext);
+};
+
+/**
+ * Returns the type of the cells in this layer as used in serialized documents
+ *
+ * @return {string} the type of the cells
+ */
+LongShortTermMemoryLayer.prototype.getCellType = function () {
+	return "lstm";
+};
+
+module.exports = LongShortTermMemoryLayer;
@@ -8,9 +8,23 @@
 
 var Prng = require("@delight-im/prng");
 var Layer = require("./Layer.js");
+var ConvolutionalLayer = require("./ConvolutionalLayer.js");
+var PoolingLayer = require("./PoolingLayer.js");
+var ActivationFunction = require("./activation/ActivationFunction.js");
 var Identity = require("./activation/Identity.js");
+var WeightInitializer = require("./initializer/WeightInitializer.js");
+var Uniform = require("./initializer/Uniform.js");
+var Custom = require("./initializer/Custom.js");
+var LearningRateSchedule = require("./schedule/LearningRateSchedule.js");
 var OutputLayer = require("./OutputLayer.js");
 var HyperbolicTangent = require("./activation/HyperbolicTangent.js");
+var StochasticGradientDescent = require("./optimizer/StochasticGradientDescent.js");
+var MeanSquaredError = require("./loss/MeanSquaredError.js");
+var Preprocessor = require("./preprocessing/Preprocessor.js");
+var Metric = require("./metric/Metric.js");
+var Registries = require("./Registries.js");
+var BinaryFormat = require("./BinaryFormat.js");
+var GradientCheck = require("./GradientCheck.js");
 
 /**
  * Artificial neural network
@@ -33,16 +47,38 @@ var HyperbolicTangent = require("./activation/HyperbolicTangent.js");
  *
  * Parameters that can be experimented with are hidden layer depth and size and choice of activation function
  *
+ * The choice of optimizer and learning rate often has a great effect on how fast and how well a network learns
+ *
  * While universal approximators in theory, there is no guarantee of convergence for neural networks in practice
  *
+ * Instead of the number of neurons, the hidden layers and the output layer may be specified as objects with a `size`
+ *
+ * Such a specification may contain settings for the individual layer, i.e. an `activation` function or a
+ * `weightInitializer`, which then take precedence over the settings for all hidden layers or the output layer from the
+ * options, and the `dropout` rate for hidden layers
+ *
+ * The `type` of a hidden layer may be `conv1d` or `conv2d` for convolution, or `pool1d` or `pool2d` for pooling,
+ * instead of the default of `dense`, in which case its size is determined by its input and its settings
+ *
  * @param {number} inputNeurons - the number of neurons to use in the input layer
- * @param {number[]} hiddenNeurons - the number of neurons to use per hidden layer
- * @param {number} outputNeurons - the number of neurons to use in the output layer
+ * @param {Array.<number|Object>} hiddenNeurons - the number of neurons or the specification per hidden layer
+ * @param {number|Object} outputNeurons - the number of neurons or the specification for the output layer
  * @param {Object} [options]
  * @param {number} [options.seed] - the seed to use for deterministic results
  * @param {number} [options.learningRate] - the learning rate to use
+ * @param {LearningRateSchedule} [options.learningRateSchedule] - the schedule that adjusts the learning rate over time
  * @param {ActivationFunction} [options.hiddenLayerActivationFunction] - the activation function for the hidden layer
  * @param {ActivationFunction} [options.outputLayerActivationFunction] - the activation function for the output layer
+ * @param {Optimizer} [options.optimizer] - the optimizer that determines how the weights are updated
+ * @param {Loss} [options.loss] - the loss function that training minimizes
+ * @param {string|null} [options.numericGuard] - `throw` or `rollback` to guard training against non-finite values
+ * @param {WeightInitializer|function} [options.weightInitializer] - the scheme or function for the initial weights
+ * @param {number} [options.l1] - the strength of the L1 penalty on the weights, which is added to the gradients
+ * @param {number} [options.l2] - the strength of the L2 penalty on the weights, which is added to the gradients
+ * @param {number} [options.weightDecay] - the fraction of each weight, scaled by the learning rate, to decay per update
+ * @param {{value: number, norm: number}|null} [options.gradientClip] - the maximum absolute value of every gradient and/or the maximum global L2 norm of all gradients per update
+ * @param {Preprocessor[]} [options.inputPreprocessing] - the steps that every input passes through before it is fed into the network
+ * @param {Preprocessor[]} [options.outputPreprocessing] - the steps that desired outputs pass through, which are reversed for predictions
  * @constructor
  */
 function NeuralNetwork(inputNeurons, hiddenNeurons, outputNeurons, options) {
@@ -65,21 +101,58 @@ function NeuralNetwork(inputNeurons, hiddenNeurons, outputNeurons, options) {
 	 */
 	this._seed = options.seed || undefined;
 
-	var prng = new Prng(this._seed);
+	/**
+	 * The PRNG of this network
+	 *
+	 * @type {Prng}
+	 * @private
+	 */
+	this._prng = new Prng(this._seed);
 
 	options.hiddenLayerActivationFunction = options.hiddenLayerActivationFunction || new HyperbolicTangent();
 	options.outputLayerActivationFunction = options.outputLayerActivationFunction || new HyperbolicTangent();
 
+	var weightInitializer = NeuralNetwork._parseWeightInitializer(options.weightInitializer, "network") || new Uniform();
+
+	/**
+	 * The schemes that determine the initial weights of the connections leading into each layer
+	 *
+	 * @type {Array.<WeightInitializer|null>}
+	 * @private
+	 */
+	this._weightInitializers = [ null ];
+
 	// add the input layer
-	this._layers.push(new Layer(inputNeurons, new Identity(), prng));
+	this._layers.push(new Layer(inputNeurons, new Identity(), this._prng));
+
+	var layerSpec;
 
 	// add the hidden layers
 	for (var i = 0; i < hiddenNeurons.length; i++) {
-		this._layers.push(new Layer(hiddenNeurons[i], options.hiddenLayerActivationFunction, prng));
+		layerSpec = NeuralNetwork._parseLayerSpec(hiddenNeurons[i], "hidden layer `"+i+"`");
+
+		this._layers.push(this._createHiddenLayer(i, layerSpec, layerSpec.activation || options.hiddenLayerActivationFunction));
+		this._layers[this._layers.length - 1].setDropout(layerSpec.dropout);
+		this._weightInitializers.push(layerSpec.weightInitializer || weightInitializer);
+	}
+
+	layerSpec = NeuralNetwork._parseLayerSpec(outputNeurons, "output layer");
+
+	if (layerSpec.dropout !== 0) {
+		throw "Dropout is not supported in the output layer";
+	}
+
+	if (layerSpec.cell !== null || layerSpec.gateActivation !== null) {
+		throw "Cells are not supported in the output layer";
+	}
+
+	if (layerSpec.type !== "dense") {
+		throw "Convolution and pooling are not supported in the output layer";
 	}
 
 	// add the output layer
-	this._layers.push(new OutputLayer(outputNeurons, options.outputLayerActivationFunction, prng));
+	this._layers.push(new OutputLayer(layerSpec.size, layerSpec.activation || options.outputLayerActivationFunction, this._prng));
+	this._weightInitializers.push(layerSpec.weightInitializer || weightInitializer);
 
 	/**
 	 * The current learning rate of this network
@@ -89,245 +162,2308 @@ function NeuralNetwork(inputNeurons, hiddenNeurons, outputNeurons, options) {
 	 */
 	this._learningRate = options.learningRate || 0.3;
 
+	/**
+	 * The schedule that adjusts the learning rate over the course of training (if any)
+	 *
+	 * @type {LearningRateSchedule|null}
+	 * @private
+	 */
+	this._learningRateSchedule = null;
+
+	this.setLearningRateSchedule(options.learningRateSchedule || null);
+
+	/**
+	 * The optimizer that determines how the weights of this network are updated
+	 *
+	 * @type {Optimizer}
+	 * @private
+	 */
+	this._optimizer = options.optimizer || new StochasticGradientDescent();
+
+	/**
+	 * The loss function that training this network minimizes
+	 *
+	 * @type {Loss}
+	 * @private
+	 */
+	this._loss = options.loss || new MeanSquaredError();
+
+	// the output layer rejects this loss or later activation functions if their values are incompatible
+	this.getOutputLayer().setLoss(this._loss);
+
+	/**
+	 * The strengths of the regularization that counteracts overfitting by keeping the weights small
+	 *
+	 * The penalty `l1 * sum(|w|) + l2 / 2 * sum(w^2)` is added to the loss, while the weight decay is decoupled from it
+	 *
+	 * @type {{l1: number, l2: number, weightDecay: number}}
+	 * @private
+	 */
+	this._regularization = {
+		l1: options.l1 || 0,
+		l2: options.l2 || 0,
+		weightDecay: options.weightDecay || 0
+	};
+
+	/**
+	 * How training reacts to activations, deltas, weights or biases that are not finite, if at all
+	 *
+	 * @type {string|null}
+	 * @private
+	 */
+	this._numericGuard = null;
+
+	/**
+	 * The number of training steps that have been rolled back by the numeric guard
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._rolledBackSteps = 0;
+
+	this.setNumericGuard(options.numericGuard || null);
+
+	/**
+	 * The limits that the gradients are clipped to before every update (if any)
+	 *
+	 * @type {{value: number|null, norm: number|null}|null}
+	 * @private
+	 */
+	this._gradientClip = null;
+
+	this.setGradientClip(options.gradientClip || null);
+
+	/**
+	 * The global L2 norm of the gradients before clipping in the most recent update (if any)
+	 *
+	 * @type {number|null}
+	 * @private
+	 */
+	this._lastGradientNorm = null;
+
+	/**
+	 * The steps that every input passes through before it is fed into this network
+	 *
+	 * @type {Preprocessor[]}
+	 * @private
+	 */
+	this._inputPreprocessing = [];
+
+	/**
+	 * The steps that desired outputs pass through before training, which are reversed for the outputs of this network
+	 *
+	 * @type {Preprocessor[]}
+	 * @private
+	 */
+	this._outputPreprocessing = [];
+
+	this.setInputPreprocessing(options.inputPreprocessing || []);
+	this.setOutputPreprocessing(options.outputPreprocessing || []);
+
+	/**
+	 * Whether this network is in training mode, where dropout is applied, as opposed to inference mode
+	 *
+	 * @type {boolean}
+	 * @private
+	 */
+	this._training = false;
+
 }
 
 /**
- * Returns the network's output for the previously supplied input
+ * Creates a hidden layer for this network
  *
- * @return {number[]} the network's output
+ * @param {number} index - the index of the hidden layer, starting at zero for the first hidden layer
+ * @param {Object} layerSpec - the validated specification of the layer
+ * @param {ActivationFunction} activationFunction - the activation function that the layer should use
+ * @return {Layer} the new layer
  * @private
  */
-NeuralNetwork.prototype._getOutput = function () {
-	var outputLayer = this.getOutputLayer();
-	var outputLayerSize = outputLayer.getSize();
-
-	var output = [];
+NeuralNetwork.prototype._createHiddenLayer = function (index, layerSpec, activationFunction) {
+	if (layerSpec.cell !== null || layerSpec.gateActivation !== null) {
+		throw "Cells of hidden layer `"+index+"` are only supported by recurrent networks";
+	}
 
-	for (var i = 0; i < outputLayerSize; i++) {
-		output.push(outputLayer.getNeuron(i).getActivation());
+	if (layerSpec.type === "dense") {
+		return new Layer(layerSpec.size, activationFunction, this._prng);
 	}
 
-	return output;
+	var spatial = layerSpec.spatial;
+	var geometry = {
+		dimensions: spatial.dimensions,
+		inputShape: this._resolveInputShape(index, spatial),
+		windowSize: spatial.windowSize,
+		stride: spatial.stride,
+		padding: spatial.padding
+	};
+
+	if (spatial.filters !== null) {
+		return new ConvolutionalLayer(geometry, spatial.filters, activationFunction, this._prng);
+	}
+	else {
+		return new PoolingLayer(geometry, spatial.pooling, this._prng);
+	}
 };
 
 /**
- * Feeds the specified input into the network
+ * Determines the shape of the input of a hidden layer for convolution or pooling from the layer before it
  *
- * @param {number[]} input - the input to process
+ * @param {number} index - the index of the hidden layer, starting at zero for the first hidden layer
+ * @param {Object} spatial - the validated settings for convolution or pooling
+ * @return {number[]} the height, width and number of channels of the input
  * @private
- * @abstract
  */
-NeuralNetwork.prototype._feed = function (input) {
-	throw "Method not implemented in subclass `"+this.constructor.name+"`";
-};
+NeuralNetwork.prototype._resolveInputShape = function (index, spatial) {
+	var previousLayer = this._layers[this._layers.length - 1];
+	var inputShape = spatial.inputShape || previousLayer.getShape();
 
-/**
- * Tries to predict the output from the specified input
- *
- * @param {number[]} input - the input to process
- * @return {number[]} the output predicted by this network
- */
-NeuralNetwork.prototype.predict = function (input) {
-	this._feed(input);
+	if (inputShape === null) {
+		if (spatial.dimensions !== 1) {
+			throw "Input shape of hidden layer `"+index+"` must be specified since the previous layer does not have a shape";
+		}
+
+		// a flat input is a sequence with a single channel
+		inputShape = [ 1, previousLayer.getSize(), 1 ];
+	}
+
+	if (inputShape[0] * inputShape[1] * inputShape[2] !== previousLayer.getSize()) {
+		throw "Input shape of hidden layer `"+index+"` (`"+inputShape.join("x")+"`) and size of previous layer (`"+previousLayer.getSize()+"`) must match";
+	}
+
+	if (spatial.dimensions === 1 && inputShape[0] !== 1) {
+		throw "Input of one-dimensional hidden layer `"+index+"` must have a height of `1`";
+	}
 
-	return this._getOutput();
+	return inputShape;
 };
 
 /**
- * Uses backpropagation to update deltas in all layers starting with the output layer
+ * Returns the network's output for the previously supplied input
  *
- * @param {number[]} desiredOutput - the expected output
+ * @return {number[]} the network's output
  * @private
  */
-NeuralNetwork.prototype._backpropagate = function (desiredOutput) {
-	// update the deltas in the output layer
-	this.getOutputLayer().updateDeltas(desiredOutput);
-
-	// for all hidden layers (in reverse order)
-	for (var layerIndex = this._layers.length - 2; layerIndex > 0; layerIndex--) {
-		// update the deltas
-		this.getLayer(layerIndex).updateDeltas();
-	}
+NeuralNetwork.prototype._getOutput = function () {
+	return this.getOutputLayer().getActivations();
 };
 
 /**
- * Updates the weights for all layers in this network
+ * Feeds the specified input into the network
  *
- * @param {boolean} immediate - whether to update the weights immediately or defer the update until later
+ * @param {number[]} input - the input to process
  * @private
+ * @abstract
  */
-NeuralNetwork.prototype._updateWeightsInNetwork = function (immediate) {
-	// for the input layer and all hidden layers
-	for (var i = 0; i < this._layers.length - 1; i++) {
-		// update the weights
-		this._layers[i].updateWeightsInLayer(this._learningRate, immediate);
-	}
+NeuralNetwork.prototype._feed = function (input) {
+	throw "Method not implemented in subclass `"+this.constructor.name+"`";
 };
 
 /**
- * Releases all deferred weight updates
+ * Feeds the specified rows of input into the network without changing the state of its layers
  *
+ * @param {Float64Array} inputs - the rows of input to process, stored consecutively
+ * @param {number} numRows - the number of rows
+ * @return {Float64Array} the rows of output, stored consecutively
  * @private
+ * @abstract
  */
-NeuralNetwork.prototype._releaseWeightUpdatesInNetwork = function () {
-	// for the input layer and all hidden layers
-	for (var i = 0; i < this._layers.length - 1; i++) {
-		// release all pending weight updates
-		this._layers[i].releaseWeightUpdatesInLayer();
-	}
+NeuralNetwork.prototype._feedBatch = function (inputs, numRows) {
+	throw "Method not implemented in subclass `"+this.constructor.name+"`";
 };
 
 /**
- * Trains the network using supervised online ("single-pattern") learning (as opposed to batch learning)
- *
- * Use online learning to supply individual training examples at a time
- *
- * All subsequent training examples will thus be run on a network that has already updated by changings its weights
- *
- * This is useful when data becomes available in a sequential order and is not available all at once
+ * Tries to predict the output from the specified input
  *
- * The technique may also be used when train on the entire dataset is computationally too expensive
+ * If preprocessing has been set, it is applied to the input, and it is reversed for the output
  *
- * @param {number[]} input - the input for an individual training example
- * @param {number[]} desiredOutput - the expected output for an individual training example
- * @return {number} the mean squared error
+ * @param {Array} input - the input to process
+ * @return {Array} the output predicted by this network
  */
-NeuralNetwork.prototype.train = function (input, desiredOutput) {
-	var outputLayer = this.getOutputLayer();
-
-	// feed the training input into the network
-	this._feed(input);
-	// calculate and propagate back the errors from the output layer
-	this._backpropagate(desiredOutput);
-	// calculate the sum-squared error
-	var sumSquaredError = outputLayer.calculateSumSquaredError(desiredOutput);
-	// update the weights in this network
-	this._updateWeightsInNetwork(true);
+NeuralNetwork.prototype.predict = function (input) {
+	this._feed(this._preprocessInput(input));
 
-	// return the mean squared error
-	return sumSquaredError / outputLayer.getSize();
+	return this._postprocessOutput(this._getOutput());
 };
 
 /**
- * Trains the network using supervised batch ("all-at-once") learning (as opposed to online learning)
+ * Tries to predict the outputs from the specified inputs at once
  *
- * Use batch learning to supply multiple training examples (i.e. the entire dataset) at once
+ * The inputs may either be a list of rows or a flat typed array with all rows stored consecutively
  *
- * All training examples will be run on a network with the same weights per iteration
+ * The outputs are returned in the same form, i.e. as a list of rows or as a flat typed array of the same type
  *
- * This is the recommended technique if all training data is available apriori and it's computationally feasible
+ * If preprocessing has been set, it is applied to the inputs, and it is reversed for the outputs, which requires lists
  *
- * @param {number[][]} inputs - the inputs per training example
- * @param {number[][]} desiredOutputs - the expected outputs per training example
- * @param {number} [iterations] - the maximum number of iterations to train
- * @param {number} [errorThreshold] - the desired error threshold that will cause training to be finished when reached
- * @return {number} the mean squared error
+ * @param {Array[]|Float32Array|Float64Array} inputs - the inputs to process
+ * @param {number} [numRows] - the number of rows if the inputs are supplied as a flat typed array
+ * @return {Array[]|Float32Array|Float64Array} the outputs predicted by this network
  */
-NeuralNetwork.prototype.trainBatch = function (inputs, desiredOutputs, iterations, errorThreshold) {
-	if (inputs.length !== desiredOutputs.length) {
-		throw "Number of input patterns (`"+inputs.length+"`) and output patterns (`"+desiredOutputs.length+"`) must match";
+NeuralNetwork.prototype.predictBatch = function (inputs, numRows) {
+	var inputLayerSize = this.getInputLayer().getSize();
+	var outputLayerSize = this.getOutputLayer().getSize();
+	var flat = (inputs instanceof Float32Array || inputs instanceof Float64Array);
+	var preprocessed = (this._inputPreprocessing.length > 0 || this._outputPreprocessing.length > 0);
+	var i;
+
+	if (flat && preprocessed) {
+		throw "Flat input is not supported while preprocessing is set, supply a list of rows instead";
 	}
 
-	iterations = iterations || 1;
-	errorThreshold = errorThreshold || 0.005;
+	if (preprocessed) {
+		inputs = inputs.map(this._preprocessInput, this);
+	}
 
-	var outputLayer = this.getOutputLayer();
-	var outputLayerSize = outputLayer.getSize();
-	var error = Number.POSITIVE_INFINITY;
+	if (flat) {
+		if (typeof numRows !== "number" || numRows < 0 || numRows % 1 !== 0) {
+			throw "Number of rows (`"+numRows+"`) must be specified as a non-negative integer for flat input";
+		}
 
-	// until the maximum number of iterations or the desired error threshold has been reached (whichever comes first)
-	for (var i = 0; i < iterations && error > errorThreshold; i++) {
-		// reset the accumulated error
-		error = 0;
+		if (inputs.length !== numRows * inputLayerSize) {
+			throw "Size of input layer (`"+inputLayerSize+"`) and supplied input (`"+inputs.length+"` values in `"+numRows+"` rows) must match";
+		}
+	}
+	else {
+		numRows = inputs.length;
 
-		// for every training pattern
-		for (var k = 0; k < inputs.length; k++) {
-			// feed the training input into the network
-			this._feed(inputs[k]);
-			// calculate and propagate back the errors from the output layer
-			this._backpropagate(desiredOutputs[k]);
-			// update the weights in this network
-			this._updateWeightsInNetwork(false);
-			// accumulate the error
-			error += outputLayer.calculateSumSquaredError(desiredOutputs[k]);
+		// for every row
+		for (i = 0; i < numRows; i++) {
+			// validate the size of the supplied input
+			if (inputs[i].length !== inputLayerSize) {
+				throw "Size of input layer (`"+inputLayerSize+"`) and supplied input (`"+inputs[i].length+"`) must match";
+			}
 		}
+	}
 
-		// turn the total sum-squared error into the mean squared error
-		error /= inputs.length * outputLayerSize;
+	var outputs = flat ? new inputs.constructor(numRows * outputLayerSize) : new Float64Array(numRows * outputLayerSize);
+	var blockSize = NeuralNetwork.PREDICTION_BLOCK_SIZE;
+	var block = new Float64Array(Math.min(numRows, blockSize) * inputLayerSize);
+	var blockRows;
+	var k;
 
-		this._releaseWeightUpdatesInNetwork();
+	// process the rows in blocks so that the intermediate results stay small
+	for (var start = 0; start < numRows; start += blockSize) {
+		blockRows = Math.min(blockSize, numRows - start);
+
+		if (flat) {
+			block.set(inputs.subarray(start * inputLayerSize, (start + blockRows) * inputLayerSize));
+		}
+		else {
+			for (i = 0; i < blockRows; i++) {
+				for (k = 0; k < inputLayerSize; k++) {
+					block[i * inputLayerSize + k] = inputs[start + i][k];
+				}
+			}
+		}
+
+		outputs.set(this._feedBatch(block, blockRows), start * outputLayerSize);
 	}
 
-	// return the final mean squared error
-	return error;
-};
+	if (flat) {
+		return outputs;
+	}
 
-/** Resets the layers in this network */
-NeuralNetwork.prototype.reset = function () {
-	// for every layer
-	for (var i = 0; i < this._layers.length; i++) {
-		// reset the layer
-		this._layers[i].reset();
+	var rows = [];
+
+	// for every row
+	for (i = 0; i < numRows; i++) {
+		rows.push(this._postprocessOutput(Array.prototype.slice.call(outputs.subarray(i * outputLayerSize, (i + 1) * outputLayerSize))));
 	}
-};
 
-/**
- * Returns this network's learning rate
- *
- * @return {number} the current learning rate
- */
-NeuralNetwork.prototype.getLearningRate = function () {
-	return this._learningRate;
+	return rows;
 };
 
 /**
- * Returns the number of layers in this network
+ * Evaluates the predictions of this network for the specified examples with one or more metrics
  *
- * @return {Number} the number of layers
+ * The predictions are made as with `predict`, i.e. without dropout and with any preprocessing of desired outputs
+ * reversed, so that the desired outputs are expected before preprocessing as well
+ *
+ * Examples without a desired output, i.e. with `null` instead, are not evaluated
+ *
+ * @param {Array[]} inputs - the inputs per example
+ * @param {Array.<Array|null>} desiredOutputs - the expected outputs per example
+ * @param {Metric|Object.<string, Metric>} metrics - a single metric or the metrics by their names
+ * @return {number|Object} the value of the single metric or the values of the metrics by their names
  */
-NeuralNetwork.prototype.getNumberOfLayers = function () {
-	return this._layers.length;
+NeuralNetwork.prototype.evaluate = function (inputs, desiredOutputs, metrics) {
+	this._validatePatterns(inputs, desiredOutputs);
+
+	if (typeof metrics !== "object" || metrics === null) {
+		throw "Metrics must be a metric or an object with metrics by their names";
+	}
+
+	var predictions = this._runInMode(false, function () {
+		return this._predictExamples(inputs);
+	});
+
+	var outputs = [];
+	var targets = [];
+
+	for (var i = 0; i < predictions.length; i++) {
+		if (desiredOutputs[i] !== null) {
+			outputs.push(predictions[i]);
+			targets.push(desiredOutputs[i]);
+		}
+	}
+
+	if (metrics instanceof Metric) {
+		return metrics.evaluate(outputs, targets);
+	}
+
+	var results = {};
+
+	for (var name in metrics) {
+		if (metrics.hasOwnProperty(name)) {
+			if (!(metrics[name] instanceof Metric)) {
+				throw "Metric `"+name+"` must be a metric";
+			}
+
+			results[name] = metrics[name].evaluate(outputs, targets);
+		}
+	}
+
+	return results;
 };
 
 /**
- * Returns the layer at the specified index
+ * Calculates the loss of this network averaged over the specified examples without training it
  *
- * @param {number} index - the layer to return
- * @return {Layer|OutputLayer}
+ * The examples are evaluated as with `evaluate`, i.e. without dropout, while any preprocessing is applied to the desired
+ * outputs as for training, so that the result can be compared with the losses that training reports
+ *
+ * @param {Array[]} inputs - the inputs per example
+ * @param {Array[]} desiredOutputs - the expected outputs per example
+ * @return {number} the mean loss per example
  */
-NeuralNetwork.prototype.getLayer = function (index) {
-	return this._layers[index];
+NeuralNetwork.prototype.evaluateLoss = function (inputs, desiredOutputs) {
+	this._validatePatterns(inputs, desiredOutputs);
+
+	var patterns = this._preprocessPatterns(inputs, desiredOutputs);
+
+	return this._calculateMeanLoss(patterns.inputs, patterns.desiredOutputs);
 };
 
 /**
- * Returns the input layer for this network
+ * Predicts the outputs for the specified examples for the purpose of evaluation
  *
- * @return {Layer} the input layer
+ * @param {Array[]} inputs - the inputs per example
+ * @return {Array[]} the outputs per example
+ * @private
  */
-NeuralNetwork.prototype.getInputLayer = function () {
-	return this.getLayer(0);
+NeuralNetwork.prototype._predictExamples = function (inputs) {
+	return this.predictBatch(inputs);
 };
 
 /**
- * Returns the output layer for this network
+ * Compares the gradients from backpropagation with numerical approximations by finite differences of the loss
  *
- * @return {OutputLayer} the output layer
+ * This verifies the derivatives of activation functions, losses and layers for every weight and bias, e.g. after
+ * adding custom ones, since wrong gradients do not cause errors but let training slowly diverge
+ *
+ * The network is evaluated as it is used for predictions, i.e. without dropout, and its weights are left unchanged
+ *
+ * The loss is scaled as its gradient, as reported by `getGradientScale` of the loss, and includes the penalties of the
+ * L1 and L2 regularization, while the weight decay is not part of the gradients
+ *
+ * For recurrent networks, the examples are the time steps of a single sequence, which is run from the current state and
+ * propagated back through all time steps, regardless of the horizon
+ *
+ * @param {Array[]} inputs - the inputs per example
+ * @param {Array.<Array|null>} desiredOutputs - the expected outputs per example
+ * @param {Object} [options]
+ * @param {number} [options.epsilon] - the step for the finite differences, e.g. `1e-6`
+ * @param {number} [options.worst] - the number of weights and biases with the largest errors to report per layer, e.g. `5`
+ * @return {{maxRelativeError: number, layers: Object[]}} the largest relative error and the worst weights and biases per
+ * layer, which are identified by their index in the values that `getParameters` of the layer returns
  */
-NeuralNetwork.prototype.getOutputLayer = function () {
-	return this.getLayer(this._layers.length - 1);
-};
+NeuralNetwork.prototype.checkGradients = function (inputs, desiredOutputs, options) {
+	this._validatePatterns(inputs, desiredOutputs);
 
-NeuralNetwork.prototype.toJSON = function () {
-	var layers = [];
-	for (var i = 0; i < this._layers.length; i++) {
-		layers.push(this._layers[i].toJSON());
+	if (inputs.length === 0) {
+		throw "Gradient checking requires at least one example";
 	}
 
-	return {
-		"layers": layers,
-		"learningRate": this._learningRate,
-		"seed": this._seed
-	}
+	options = options || {};
+
+	var epsilon = GradientCheck.parseStep(options.epsilon);
+	var worst = (typeof options.worst === "number") ? options.worst : 5;
+	var patterns = this._preprocessPatterns(inputs, desiredOutputs);
+
+	return this._runInMode(false, function () {
+		var report = {
+			maxRelativeError: 0,
+			layers: []
+		};
+
+		var gradients = [];
+		var layer;
+		var parameters;
+		var results;
+		var original;
+		var plus;
+		var minus;
+		var numerical;
+		var i;
+
+		this._accumulateGradients(patterns.inputs, patterns.desiredOutputs);
+
+		// for all hidden layers and the output layer
+		for (i = 1; i < this._layers.length; i++) {
+			gradients[i] = this._layers[i].takeWeightUpdates();
+		}
+
+		// for all hidden layers and the output layer
+		for (i = 1; i < this._layers.length; i++) {
+			layer = this._layers[i];
+			parameters = layer.getParameters();
+			results = [];
+
+			// for the weights, biases and any other parameters of the layer
+			for (var name in gradients[i]) {
+				if (gradients[i].hasOwnProperty(name)) {
+					for (var k = 0; k < parameters[name].length; k++) {
+						original = parameters[name][k];
+
+						parameters[name][k] = original + epsilon;
+						layer.setParameters(parameters);
+						plus = this._calculateObjective(patterns.inputs, patterns.desiredOutputs);
+
+						parameters[name][k] = original - epsilon;
+						layer.setParameters(parameters);
+						minus = this._calculateObjective(patterns.inputs, patterns.desiredOutputs);
+
+						parameters[name][k] = original;
+
+						numerical = (plus - minus) / (2 * epsilon);
+
+						results.push({
+							parameter: name,
+							index: k,
+							analytic: gradients[i][name][k],
+							numerical: numerical,
+							relativeError: GradientCheck.getRelativeError(gradients[i][name][k], numerical)
+						});
+					}
+				}
+			}
+
+			layer.setParameters(parameters);
+			GradientCheck.sortByRelativeError(results);
+
+			report.layers.push({
+				layer: i,
+				maxRelativeError: (results.length > 0) ? results[0].relativeError : 0,
+				worst: results.slice(0, worst)
+			});
+
+			report.maxRelativeError = Math.max(report.maxRelativeError, report.layers[report.layers.length - 1].maxRelativeError);
+		}
+
+		return report;
+	});
+};
+
+/**
+ * Accumulates the gradients of the loss for the specified examples as deferred weight and bias updates
+ *
+ * @param {number[][]} inputs - the inputs per example
+ * @param {number[][]} desiredOutputs - the expected outputs per example
+ * @private
+ */
+NeuralNetwork.prototype._accumulateGradients = function (inputs, desiredOutputs) {
+	// for every pattern
+	for (var i = 0; i < inputs.length; i++) {
+		this._feed(inputs[i]);
+		this._backpropagate(desiredOutputs[i]);
+		this._updateWeightsInNetwork(false);
+	}
+};
+
+/**
+ * Calculates the function whose gradients are accumulated for the specified examples
+ *
+ * @param {number[][]} inputs - the inputs per example
+ * @param {number[][]} desiredOutputs - the expected outputs per example
+ * @return {number} the total loss, scaled as its gradient, and the penalty, which is added to the gradients once per example
+ * @private
+ */
+NeuralNetwork.prototype._calculateObjective = function (inputs, desiredOutputs) {
+	var scale = this._loss.getGradientScale(this.getOutputLayer().getSize());
+
+	return inputs.length * (scale * this._calculateMeanLoss(inputs, desiredOutputs) + this.getPenalty());
+};
+
+/**
+ * Uses backpropagation to update deltas in all layers starting with the output layer
+ *
+ * @param {number[]} desiredOutput - the expected output
+ * @private
+ */
+NeuralNetwork.prototype._backpropagate = function (desiredOutput) {
+	// update the deltas in the output layer
+	this.getOutputLayer().updateDeltas(desiredOutput, this._loss);
+
+	// for all hidden layers (in reverse order)
+	for (var layerIndex = this._layers.length - 2; layerIndex > 0; layerIndex--) {
+		// update the deltas
+		this.getLayer(layerIndex).updateDeltas();
+	}
+};
+
+/**
+ * Updates the weights and biases for all layers in this network
+ *
+ * @param {boolean} immediate - whether to update the weights immediately or defer the update until later
+ * @private
+ */
+NeuralNetwork.prototype._updateWeightsInNetwork = function (immediate) {
+	// clipping requires all gradients of an update at once, so immediate updates are deferred and released right away
+	var deferred = immediate && this._gradientClip !== null;
+
+	// for all hidden layers and the output layer
+	for (var i = 1; i < this._layers.length; i++) {
+		// update the incoming weights and the biases
+		this._layers[i].updateWeightsInLayer(this._optimizer, this.getLearningRate(), immediate && !deferred, this._regularization);
+	}
+
+	if (deferred) {
+		this._releaseWeightUpdatesInNetwork();
+	}
+};
+
+/**
+ * Releases all deferred weight and bias updates
+ *
+ * @return {number|null} the global L2 norm of the updates before clipping or `null` if gradient clipping is disabled
+ * @private
+ */
+NeuralNetwork.prototype._releaseWeightUpdatesInNetwork = function () {
+	var norm = (this._gradientClip !== null) ? this._clipWeightUpdates() : null;
+	this._lastGradientNorm = norm;
+
+	// for all hidden layers and the output layer
+	for (var i = 1; i < this._layers.length; i++) {
+		// release all pending weight and bias updates
+		this._layers[i].releaseWeightUpdatesInLayer(this._optimizer, this.getLearningRate(), this._regularization);
+	}
+
+	return norm;
+};
+
+/**
+ * Clips all deferred weight and bias updates to the configured value and then to the configured global norm
+ *
+ * @return {number} the global L2 norm of the updates before clipping
+ * @private
+ */
+NeuralNetwork.prototype._clipWeightUpdates = function () {
+	var norm = this._calculateUpdateNorm();
+	var i;
+
+	if (this._gradientClip.value !== null) {
+		// for all hidden layers and the output layer
+		for (i = 1; i < this._layers.length; i++) {
+			this._layers[i].clipWeightUpdates(this._gradientClip.value);
+		}
+	}
+
+	if (this._gradientClip.norm !== null) {
+		// the norm may have changed if the updates have just been clipped by value
+		var clippedNorm = (this._gradientClip.value !== null) ? this._calculateUpdateNorm() : norm;
+
+		// if the updates are too large in total, scale them down while preserving their direction
+		if (clippedNorm > this._gradientClip.norm) {
+			// for all hidden layers and the output layer
+			for (i = 1; i < this._layers.length; i++) {
+				this._layers[i].scaleWeightUpdates(this._gradientClip.norm / clippedNorm);
+			}
+		}
+	}
+
+	return norm;
+};
+
+/**
+ * Calculates the global L2 norm of all deferred weight and bias updates in this network
+ *
+ * @return {number} the norm
+ * @private
+ */
+NeuralNetwork.prototype._calculateUpdateNorm = function () {
+	var sum = 0;
+
+	// for all hidden layers and the output layer
+	for (var i = 1; i < this._layers.length; i++) {
+		sum += this._layers[i].calculateSquaredUpdateNorm();
+	}
+
+	return Math.sqrt(sum);
+};
+
+/**
+ * Runs an individual training example through the network and updates the weights
+ *
+ * @param {number[]} input - the input for the training example
+ * @param {number[]} desiredOutput - the expected output for the training example
+ * @param {boolean} immediate - whether to update the weights immediately or defer the update until later
+ * @return {number|null} the loss for the training example or `null` if the numeric guard has rolled back the step
+ * @private
+ */
+NeuralNetwork.prototype._trainPattern = function (input, desiredOutput, immediate) {
+	// feed the training input into the network
+	this._feed(input);
+	// calculate and propagate back the errors from the output layer
+	this._backpropagate(desiredOutput);
+	// calculate the loss
+	var loss = this.getOutputLayer().calculateLoss(desiredOutput, this._loss);
+
+	// if the numeric guard is enabled and rejects the activations or deltas, skip the update
+	if (this._numericGuard !== null && !this._guard(false)) {
+		return null;
+	}
+
+	// update the weights in this network
+	this._updateWeightsInNetwork(immediate);
+
+	// return the loss
+	return loss;
+};
+
+/**
+ * Ensures that the numbers of input patterns and output patterns for training match
+ *
+ * @param {number[][]} inputs - the inputs per training example
+ * @param {number[][]} desiredOutputs - the expected outputs per training example
+ * @private
+ */
+NeuralNetwork.prototype._validatePatterns = function (inputs, desiredOutputs) {
+	if (inputs.length !== desiredOutputs.length) {
+		throw "Number of input patterns (`"+inputs.length+"`) and output patterns (`"+desiredOutputs.length+"`) must match";
+	}
+};
+
+/**
+ * Trains the network using supervised online ("single-pattern") learning (as opposed to batch learning)
+ *
+ * Use online learning to supply individual training examples at a time
+ *
+ * All subsequent training examples will thus be run on a network that has already updated by changings its weights
+ *
+ * This is useful when data becomes available in a sequential order and is not available all at once
+ *
+ * The technique may also be used when train on the entire dataset is computationally too expensive
+ *
+ * @param {Array} input - the input for an individual training example
+ * @param {Array} desiredOutput - the expected output for an individual training example
+ * @return {number|null} the loss (by default, the mean squared error) or `null` if the numeric guard has rolled back the step
+ */
+NeuralNetwork.prototype.train = function (input, desiredOutput) {
+	return this._runInMode(true, function () {
+		var snapshot = (this._numericGuard === "rollback") ? this._getParameters(true) : null;
+
+		var loss = this._trainPattern(this._preprocessInput(input), this._preprocessOutput(desiredOutput), true);
+
+		if (loss === null) {
+			return null;
+		}
+
+		// if the numeric guard is enabled and rejects the updated weights
+		if (this._numericGuard !== null && !this._guard(true)) {
+			this._setParameters(snapshot);
+
+			return null;
+		}
+
+		if (this._learningRateSchedule !== null) {
+			this._learningRateSchedule.onIterationEnd(loss);
+		}
+
+		return loss;
+	});
+};
+
+/**
+ * Trains the network using supervised batch ("all-at-once") learning (as opposed to online learning)
+ *
+ * Use batch learning to supply multiple training examples (i.e. the entire dataset) at once
+ *
+ * All training examples will be run on a network with the same weights per iteration
+ *
+ * This is the recommended technique if all training data is available apriori and it's computationally feasible
+ *
+ * Instead of the number of iterations and the error threshold, an object with any number of options may be passed
+ *
+ * In that case, a detailed result with the history of errors is returned instead of the final error only
+ *
+ * @param {number[][]} inputs - the inputs per training example
+ * @param {number[][]} desiredOutputs - the expected outputs per training example
+ * @param {number|Object} [iterations] - the maximum number of iterations to train or an object with options
+ * @param {number} [iterations.iterations] - the maximum number of iterations to train
+ * @param {number} [iterations.errorThreshold] - the desired error threshold that will cause training to be finished
+ * @param {function} [iterations.onIterationEnd] - the callback invoked with the iteration and error after each update
+ * @param {function} [iterations.onEpochEnd] - the callback invoked with the epoch, error and validation error
+ * @param {number[][]} [iterations.validationInputs] - the inputs per validation example
+ * @param {number[][]} [iterations.validationOutputs] - the expected outputs per validation example
+ * @param {number} [iterations.patience] - the number of epochs without improvement of the validation error to accept
+ * @param {boolean} [iterations.restoreBestWeights] - whether to restore the weights with the best validation error
+ * @param {Metric} [iterations.validationMetric] - the metric to use as the validation error instead of the loss
+ * @param {number} [errorThreshold] - the desired error threshold that will cause training to be finished when reached
+ * @return {number|null|Object} the loss averaged over all training examples (by default, the mean squared error) or the result
+ */
+NeuralNetwork.prototype.trainBatch = function (inputs, desiredOutputs, iterations, errorThreshold) {
+	this._validatePatterns(inputs, desiredOutputs);
+
+	var options;
+
+	if (typeof iterations === "object" && iterations !== null) {
+		options = iterations;
+	}
+	else {
+		options = {
+			iterations: iterations,
+			errorThreshold: errorThreshold
+		};
+	}
+
+	var result = this._runInMode(true, function () {
+		return this._trainEpochs(inputs, desiredOutputs, options, {
+			batchSize: inputs.length,
+			epochs: options.iterations || 1,
+			shuffle: false,
+			errorThreshold: options.errorThreshold || 0.005
+		});
+	});
+
+	if (options === iterations) {
+		return result;
+	}
+	else {
+		// return the final mean loss
+		return result.error;
+	}
+};
+
+/**
+ * Trains the network using supervised mini-batch learning (in between online learning and batch learning)
+ *
+ * The training examples are split into small batches and the weights are updated once per batch
+ *
+ * This combines the more stable updates of batch learning with the more frequent updates of online learning
+ *
+ * Shuffling the training examples before every epoch prevents the order of the data from biasing the network
+ *
+ * @param {number[][]} inputs - the inputs per training example
+ * @param {number[][]} desiredOutputs - the expected outputs per training example
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - the number of training examples per batch
+ * @param {number} [options.epochs] - the number of passes over all training examples
+ * @param {boolean} [options.shuffle] - whether to shuffle the training examples before every epoch
+ * @param {number} [options.errorThreshold] - the desired error threshold that will cause training to be finished
+ * @param {function} [options.onIterationEnd] - the callback invoked with the iteration and error after each batch
+ * @param {function} [options.onEpochEnd] - the callback invoked with the epoch, error and validation error
+ * @param {number[][]} [options.validationInputs] - the inputs per validation example
+ * @param {number[][]} [options.validationOutputs] - the expected outputs per validation example
+ * @param {number} [options.patience] - the number of epochs without improvement of the validation error to accept
+ * @param {boolean} [options.restoreBestWeights] - whether to restore the weights with the best validation error
+ * @param {Metric} [options.validationMetric] - the metric to use as the validation error instead of the loss
+ * @return {number[]} the loss averaged over all training examples (by default, the mean squared error) per epoch
+ */
+NeuralNetwork.prototype.trainMiniBatch = function (inputs, desiredOutputs, options) {
+	this._validatePatterns(inputs, desiredOutputs);
+
+	options = options || {};
+
+	var result = this._runInMode(true, function () {
+		return this._trainEpochs(inputs, desiredOutputs, options, {
+			batchSize: options.batchSize || 32,
+			epochs: options.epochs || 1,
+			shuffle: (typeof options.shuffle === "boolean") ? options.shuffle : true,
+			errorThreshold: options.errorThreshold
+		});
+	});
+
+	// return the mean loss per epoch
+	return result.history;
+};
+
+/**
+ * Trains the network for a number of epochs and updates the weights after every batch of training examples
+ *
+ * Training ends early when the error threshold is reached, when the validation error has not improved for as many
+ * epochs as the patience allows, or when the callback for the end of an epoch returns `false`
+ *
+ * The result contains the final error, the error per epoch and, if validation examples have been supplied, the
+ * validation error per epoch along with the best epoch
+ *
+ * The errors only contain the data loss, while the penalty of the regularization after each epoch is reported separately
+ *
+ * If gradient clipping is enabled, the global L2 norm of the gradients before clipping is reported for every update
+ *
+ * Steps that the numeric guard rolls back are left out of the errors and are not reported to the callbacks or the
+ * schedule, while the error of an epoch is `null` if all of its steps have been rolled back
+ *
+ * With a validation metric, the validation error is the value of that metric, where greater values may be better
+ *
+ * @param {number[][]} inputs - the inputs per training example
+ * @param {number[][]} desiredOutputs - the expected outputs per training example
+ * @param {Object} options - the options for callbacks and validation as documented for the public methods
+ * @param {Object} settings
+ * @param {number} settings.batchSize - the number of training examples per batch
+ * @param {number} settings.epochs - the maximum number of passes over all training examples
+ * @param {boolean} settings.shuffle - whether to shuffle the training examples before every epoch
+ * @param {number} [settings.errorThreshold] - the desired error threshold that will cause training to be finished
+ * @return {{error: number|null, history: Array.<number|null>, validationHistory: number[], epochs: number, bestEpoch: number|null, bestValidationError: number|null, stoppedEarly: boolean, rolledBackSteps: number, penaltyHistory: number[], gradientNormHistory: number[]}} the result
+ * @private
+ */
+NeuralNetwork.prototype._trainEpochs = function (inputs, desiredOutputs, options, settings) {
+	var hasValidation = typeof options.validationInputs !== "undefined";
+	var validationMetric = options.validationMetric || null;
+	var patterns = this._preprocessPatterns(inputs, desiredOutputs);
+	var validationPatterns;
+
+	inputs = patterns.inputs;
+	desiredOutputs = patterns.desiredOutputs;
+
+	if (hasValidation) {
+		this._validatePatterns(options.validationInputs, options.validationOutputs);
+
+		validationPatterns = this._preprocessPatterns(options.validationInputs, options.validationOutputs);
+	}
+
+	if (validationMetric !== null && (!(validationMetric instanceof Metric) || !hasValidation)) {
+		throw "Validation metric must be a metric and requires validation examples";
+	}
+
+	// whether a greater validation error is an improvement
+	var greaterBetter = (validationMetric !== null && validationMetric.isGreaterBetter());
+
+	var result = {
+		error: Number.POSITIVE_INFINITY,
+		history: [],
+		validationHistory: [],
+		epochs: 0,
+		bestEpoch: null,
+		bestValidationError: null,
+		stoppedEarly: false,
+		rolledBackSteps: 0,
+		penaltyHistory: [],
+		gradientNormHistory: []
+	};
+
+	var rolledBackStepsBefore = this._rolledBackSteps;
+	var snapshot;
+
+	var order = [];
+	for (var i = 0; i < inputs.length; i++) {
+		order.push(i);
+	}
+
+	var bestParameters = null;
+	var iteration = 0;
+	var error;
+	var errorCount;
+	var batchError;
+	var batchLength;
+	var batchCount;
+	var loss;
+	var index;
+	var validationError;
+	var gradientNorm;
+
+	// for every epoch
+	for (var epoch = 0; epoch < settings.epochs; epoch++) {
+		if (settings.shuffle) {
+			this._shuffle(order);
+		}
+
+		// reset the accumulated errors
+		error = 0;
+		errorCount = 0;
+		batchError = 0;
+		batchLength = 0;
+		batchCount = 0;
+
+		// for every training pattern
+		for (var k = 0; k < order.length; k++) {
+			index = order[k];
+
+			// train on the pattern and accumulate the error unless the step has been rolled back
+			loss = this._trainPattern(inputs[index], desiredOutputs[index], false);
+			batchLength++;
+
+			if (loss !== null) {
+				batchError += loss;
+				batchCount++;
+			}
+
+			// if the current batch is complete or this has been the last training pattern
+			if (batchLength === settings.batchSize || k === order.length - 1) {
+				snapshot = (this._numericGuard === "rollback") ? this._getParameters(true) : null;
+
+				gradientNorm = this._releaseWeightUpdatesInNetwork();
+
+				if (gradientNorm !== null) {
+					result.gradientNormHistory.push(gradientNorm);
+				}
+
+				// if the numeric guard is enabled and rejects the updated weights
+				if (this._numericGuard !== null && !this._guard(true)) {
+					this._setParameters(snapshot);
+					batchCount = 0;
+				}
+
+				if (batchCount > 0) {
+					if (this._learningRateSchedule !== null) {
+						this._learningRateSchedule.onIterationEnd(batchError / batchCount);
+					}
+
+					if (options.onIterationEnd) {
+						options.onIterationEnd(iteration, batchError / batchCount);
+					}
+
+					error += batchError;
+					errorCount += batchCount;
+				}
+
+				iteration++;
+				batchError = 0;
+				batchLength = 0;
+				batchCount = 0;
+			}
+		}
+
+		// turn the total loss into the mean loss per training example that has not been rolled back
+		error = (errorCount > 0) ? error / errorCount : null;
+
+		result.error = error;
+		result.history.push(error);
+		result.penaltyHistory.push(this.getPenalty());
+		result.epochs++;
+
+		if (hasValidation) {
+			if (validationMetric !== null) {
+				validationError = this.evaluate(options.validationInputs, options.validationOutputs, validationMetric);
+
+				if (typeof validationError !== "number") {
+					throw "Validation metric `"+validationMetric.constructor.name+"` must evaluate to a number";
+				}
+			}
+			else {
+				validationError = this._calculateMeanLoss(validationPatterns.inputs, validationPatterns.desiredOutputs);
+			}
+
+			result.validationHistory.push(validationError);
+
+			// if the validation error has improved
+			if (result.bestEpoch === null || (greaterBetter ? validationError > result.bestValidationError : validationError < result.bestValidationError)) {
+				result.bestEpoch = epoch;
+				result.bestValidationError = validationError;
+
+				if (options.restoreBestWeights) {
+					bestParameters = this._getParameters();
+				}
+			}
+		}
+
+		if (this._learningRateSchedule !== null && (hasValidation || error !== null)) {
+			// schedules expect smaller errors to be better
+			this._learningRateSchedule.onEpochEnd(hasValidation ? (greaterBetter ? -validationError : validationError) : error);
+		}
+
+		if (options.onEpochEnd && options.onEpochEnd(epoch, error, validationError) === false) {
+			break;
+		}
+
+		// if the desired error threshold has been reached
+		if (typeof settings.errorThreshold === "number" && error !== null && error <= settings.errorThreshold) {
+			break;
+		}
+
+		// if the validation error has not improved for too long
+		if (hasValidation && typeof options.patience === "number" && epoch - result.bestEpoch >= options.patience) {
+			result.stoppedEarly = true;
+			break;
+		}
+	}
+
+	if (bestParameters !== null) {
+		this._setParameters(bestParameters);
+	}
+
+	result.rolledBackSteps = this._rolledBackSteps - rolledBackStepsBefore;
+
+	return result;
+};
+
+/**
+ * Calculates the loss averaged over the specified examples without training the network
+ *
+ * @param {number[][]} inputs - the inputs per example
+ * @param {number[][]} desiredOutputs - the expected outputs per example
+ * @return {number} the mean loss per example
+ * @private
+ */
+NeuralNetwork.prototype._calculateMeanLoss = function (inputs, desiredOutputs) {
+	var outputLayer = this.getOutputLayer();
+	var error = 0;
+
+	// evaluate the network as it is used for predictions, i.e. without dropout
+	this._runInMode(false, function () {
+		// for every pattern
+		for (var i = 0; i < inputs.length; i++) {
+			// feed the input into the network
+			this._feed(inputs[i]);
+			// accumulate the error
+			error += outputLayer.calculateLoss(desiredOutputs[i], this._loss);
+		}
+	});
+
+	return error / inputs.length;
+};
+
+/**
+ * Runs the specified function in training mode or in inference mode and restores the previous mode afterwards
+ *
+ * @param {boolean} training - whether to run the function in training mode
+ * @param {function} callback - the function to run, which is called on this network
+ * @return {*} the result of the function
+ * @private
+ */
+NeuralNetwork.prototype._runInMode = function (training, callback) {
+	var previousTraining = this._training;
+
+	this.setTraining(training);
+
+	try {
+		return callback.call(this);
+	}
+	finally {
+		this.setTraining(previousTraining);
+	}
+};
+
+/**
+ * Returns copies of all weights and biases of this network
+ *
+ * @param {boolean} [optimizerStates] - whether to include copies of the states that the optimizer keeps
+ * @return {Object[]} the values per layer
+ * @private
+ */
+NeuralNetwork.prototype._getParameters = function (optimizerStates) {
+	var parameters = [];
+
+	// for every layer
+	for (var i = 0; i < this._layers.length; i++) {
+		parameters.push(this._layers[i].getParameters(optimizerStates));
+	}
+
+	return parameters;
+};
+
+/**
+ * Replaces all weights and biases of this network with the values from the specified copies
+ *
+ * @param {Object[]} parameters - the values per layer
+ * @private
+ */
+NeuralNetwork.prototype._setParameters = function (parameters) {
+	// for every layer
+	for (var i = 0; i < this._layers.length; i++) {
+		this._layers[i].setParameters(parameters[i]);
+	}
+};
+
+/**
+ * Checks all layers for values that are not finite and reacts as the numeric guard has been configured
+ *
+ * @param {boolean} parameters - whether to check the weights and biases instead of the activations and deltas
+ * @return {boolean} whether all values are finite, as otherwise the step must be rolled back
+ * @private
+ */
+NeuralNetwork.prototype._guard = function (parameters) {
+	var found;
+
+	// for every layer
+	for (var i = 0; i < this._layers.length; i++) {
+		found = this._layers[i].findNonFiniteValue(parameters);
+
+		if (found !== null) {
+			if (this._numericGuard === "throw") {
+				throw "Non-finite "+found.quantity+" (`"+found.value+"`) at neuron `"+found.neuron+"` of "+this._getLayerType(i)+" layer `"+i+"`";
+			}
+
+			this._rolledBackSteps++;
+
+			return false;
+		}
+	}
+
+	return true;
+};
+
+/**
+ * Shuffles the specified array in place using this network's PRNG
+ *
+ * @param {Array} array - the array to shuffle
+ * @private
+ */
+NeuralNetwork.prototype._shuffle = function (array) {
+	var other;
+	var temp;
+
+	// use the Fisher-Yates algorithm and move backwards through the array
+	for (var i = array.length - 1; i > 0; i--) {
+		// pick one of the elements that have not been moved yet
+		other = this._prng.getRandomInt(0, i);
+
+		// swap the elements
+		temp = array[i];
+		array[i] = array[other];
+		array[other] = temp;
+	}
+};
+
+/** Resets the layers in this network */
+NeuralNetwork.prototype.reset = function () {
+	// for every layer
+	for (var i = 0; i < this._layers.length; i++) {
+		// reset the layer
+		this._layers[i].reset();
+	}
+};
+
+/**
+ * Returns whether this network is in training mode, where dropout is applied, as opposed to inference mode
+ *
+ * @return {boolean} whether the network is in training mode
+ */
+NeuralNetwork.prototype.isTraining = function () {
+	return this._training;
+};
+
+/**
+ * Switches this network between training mode, where dropout is applied, and inference mode
+ *
+ * The training methods always use training mode, and predictions are deterministic in the default inference mode
+ *
+ * Making predictions in training mode repeatedly allows for estimating their uncertainty (Monte Carlo dropout)
+ *
+ * @param {boolean} training - whether to switch to training mode
+ */
+NeuralNetwork.prototype.setTraining = function (training) {
+	this._training = training;
+
+	// for every layer
+	for (var i = 0; i < this._layers.length; i++) {
+		this._layers[i].setTraining(training);
+	}
+};
+
+/**
+ * Returns how training reacts to activations, deltas, weights or biases that are not finite
+ *
+ * @return {string|null} `throw`, `rollback` or `null` if the numeric guard is disabled
+ */
+NeuralNetwork.prototype.getNumericGuard = function () {
+	return this._numericGuard;
+};
+
+/**
+ * Returns the number of training steps that the numeric guard has rolled back since this network has been created
+ *
+ * @return {number} the number of steps
+ */
+NeuralNetwork.prototype.getRolledBackSteps = function () {
+	return this._rolledBackSteps;
+};
+
+/**
+ * Sets how training reacts to activations, deltas, weights or biases that are not finite
+ *
+ * With `throw`, training throws an error naming the layer and neuron where the first such value has been found
+ *
+ * With `rollback`, the affected training step is discarded and training continues with the next step
+ *
+ * @param {string|null} numericGuard - `throw`, `rollback` or `null` to disable the numeric guard
+ */
+NeuralNetwork.prototype.setNumericGuard = function (numericGuard) {
+	if (numericGuard !== null && numericGuard !== "throw" && numericGuard !== "rollback") {
+		throw "Numeric guard (`"+numericGuard+"`) must be one of `throw`, `rollback` or `null`";
+	}
+
+	this._numericGuard = numericGuard;
+};
+
+/**
+ * Returns the limits that the gradients are clipped to before every update
+ *
+ * @return {{value: number|null, norm: number|null}|null} the limits or `null` if gradient clipping is disabled
+ */
+NeuralNetwork.prototype.getGradientClip = function () {
+	if (this._gradientClip === null) {
+		return null;
+	}
+
+	return {
+		value: this._gradientClip.value,
+		norm: this._gradientClip.norm
+	};
+};
+
+/**
+ * Sets the limits that the gradients are clipped to before every update
+ *
+ * With a `value`, every gradient is limited to the range from the negative to the positive of that value
+ *
+ * With a `norm`, all gradients are scaled down together whenever their global L2 norm exceeds that norm
+ *
+ * If both limits are set, the gradients are clipped by value first
+ *
+ * In batch and mini-batch learning, the limits apply to the gradients accumulated over a batch
+ *
+ * @param {{value: number, norm: number}|null} gradientClip - the limits or `null` to disable gradient clipping
+ */
+NeuralNetwork.prototype.setGradientClip = function (gradientClip) {
+	if (gradientClip === null) {
+		this._gradientClip = null;
+		return;
+	}
+
+	if (typeof gradientClip !== "object") {
+		throw "Gradient clipping must be an object with a `value` and/or a `norm` or `null`";
+	}
+
+	var value = NeuralNetwork._parseGradientLimit(gradientClip.value, "value");
+	var norm = NeuralNetwork._parseGradientLimit(gradientClip.norm, "norm");
+
+	if (value === null && norm === null) {
+		throw "Gradient clipping requires a `value` and/or a `norm`";
+	}
+
+	this._gradientClip = {
+		value: value,
+		norm: norm
+	};
+};
+
+/**
+ * Returns the global L2 norm of the gradients before clipping in the most recent update
+ *
+ * This is the only way to monitor the gradients in online learning with `train`, which updates the weights after every example
+ *
+ * @return {number|null} the norm or `null` if there has been no update with gradient clipping enabled (yet)
+ */
+NeuralNetwork.prototype.getLastGradientNorm = function () {
+	return this._lastGradientNorm;
+};
+
+/**
+ * Returns the steps that every input passes through before it is fed into this network
+ *
+ * @return {Preprocessor[]} the preprocessors in the order that they are applied
+ */
+NeuralNetwork.prototype.getInputPreprocessing = function () {
+	return this._inputPreprocessing.slice();
+};
+
+/**
+ * Sets the steps that every input passes through before it is fed into this network
+ *
+ * The inputs supplied to the methods for prediction and training are then expected before preprocessing
+ *
+ * @param {Preprocessor[]} preprocessors - the preprocessors in the order that they should be applied
+ */
+NeuralNetwork.prototype.setInputPreprocessing = function (preprocessors) {
+	this._inputPreprocessing = NeuralNetwork._parsePreprocessing(preprocessors, "Input");
+	this._validatePreprocessing();
+};
+
+/**
+ * Returns the steps that desired outputs pass through, which are reversed for the outputs of this network
+ *
+ * @return {Preprocessor[]} the preprocessors in the order that they are applied to desired outputs
+ */
+NeuralNetwork.prototype.getOutputPreprocessing = function () {
+	return this._outputPreprocessing.slice();
+};
+
+/**
+ * Sets the steps that desired outputs pass through, which are reversed for the outputs of this network
+ *
+ * The desired outputs supplied to the methods for training are then expected before preprocessing, and the methods for
+ * prediction return outputs that have been restored in the same way, while the losses reported by training are not
+ *
+ * @param {Preprocessor[]} preprocessors - the preprocessors in the order that they should be applied to desired outputs
+ */
+NeuralNetwork.prototype.setOutputPreprocessing = function (preprocessors) {
+	this._outputPreprocessing = NeuralNetwork._parsePreprocessing(preprocessors, "Output");
+	this._validatePreprocessing();
+};
+
+/**
+ * Fits the preprocessing of inputs and desired outputs to the specified examples, e.g. the training data
+ *
+ * Every preprocessor is fitted to the examples as they have been transformed by the preprocessors before it
+ *
+ * Preprocessors for desired outputs without explicit bounds map to the range of the activation function of the
+ * output layer
+ *
+ * @param {number[][]} inputs - the inputs per example
+ * @param {Array.<number[]|null>} [desiredOutputs] - the expected outputs per example or `null` where there is none
+ */
+NeuralNetwork.prototype.fitPreprocessing = function (inputs, desiredOutputs) {
+	var activationFunction = this.getOutputLayer().getActivationFunction();
+
+	NeuralNetwork._fitPreprocessing(this._inputPreprocessing, inputs, null);
+
+	if (typeof desiredOutputs !== "undefined") {
+		NeuralNetwork._fitPreprocessing(this._outputPreprocessing, desiredOutputs, {
+			lower: activationFunction.getLowerBound(),
+			upper: activationFunction.getUpperBound()
+		});
+	}
+
+	this._validatePreprocessing();
+};
+
+/**
+ * Ensures that the fitted preprocessing produces as many values as the input layer and the output layer have neurons
+ *
+ * @private
+ */
+NeuralNetwork.prototype._validatePreprocessing = function () {
+	var inputSize = NeuralNetwork._getPreprocessedSize(this._inputPreprocessing);
+	var outputSize = NeuralNetwork._getPreprocessedSize(this._outputPreprocessing);
+
+	if (inputSize !== null && inputSize !== this.getInputLayer().getSize()) {
+		throw "Size of input layer (`"+this.getInputLayer().getSize()+"`) and number of values produced by input preprocessing (`"+inputSize+"`) must match";
+	}
+
+	if (outputSize !== null && outputSize !== this.getOutputLayer().getSize()) {
+		throw "Size of output layer (`"+this.getOutputLayer().getSize()+"`) and number of values produced by output preprocessing (`"+outputSize+"`) must match";
+	}
+};
+
+/**
+ * Applies the preprocessing to the specified input
+ *
+ * @param {Array} input - the input before preprocessing
+ * @return {number[]} the input to feed into the network
+ * @private
+ */
+NeuralNetwork.prototype._preprocessInput = function (input) {
+	for (var i = 0; i < this._inputPreprocessing.length; i++) {
+		input = this._inputPreprocessing[i].transform(input);
+	}
+
+	return input;
+};
+
+/**
+ * Applies the preprocessing to the specified desired output
+ *
+ * @param {Array|null} desiredOutput - the desired output before preprocessing or `null` if there is none
+ * @return {number[]|null} the desired output to train the network with
+ * @private
+ */
+NeuralNetwork.prototype._preprocessOutput = function (desiredOutput) {
+	if (desiredOutput === null) {
+		return null;
+	}
+
+	for (var i = 0; i < this._outputPreprocessing.length; i++) {
+		desiredOutput = this._outputPreprocessing[i].transform(desiredOutput);
+	}
+
+	return desiredOutput;
+};
+
+/**
+ * Reverses the preprocessing of desired outputs for the specified output of the network
+ *
+ * @param {number[]} output - the output of the network
+ * @return {Array} the output as it would have been before preprocessing
+ * @private
+ */
+NeuralNetwork.prototype._postprocessOutput = function (output) {
+	for (var i = this._outputPreprocessing.length - 1; i >= 0; i--) {
+		output = this._outputPreprocessing[i].inverseTransform(output);
+	}
+
+	return output;
+};
+
+/**
+ * Applies the preprocessing to all specified examples at once
+ *
+ * @param {Array[]} inputs - the inputs per example before preprocessing
+ * @param {Array.<Array|null>} desiredOutputs - the desired outputs per example before preprocessing
+ * @return {{inputs: number[][], desiredOutputs: Array.<number[]|null>}} the examples to train the network with
+ * @private
+ */
+NeuralNetwork.prototype._preprocessPatterns = function (inputs, desiredOutputs) {
+	// avoid copying the examples if there is nothing to do
+	if (this._inputPreprocessing.length === 0 && this._outputPreprocessing.length === 0) {
+		return {
+			inputs: inputs,
+			desiredOutputs: desiredOutputs
+		};
+	}
+
+	return {
+		inputs: inputs.map(this._preprocessInput, this),
+		desiredOutputs: desiredOutputs.map(this._preprocessOutput, this)
+	};
+};
+
+/**
+ * Returns the strengths of the regularization
+ *
+ * @return {{l1: number, l2: number, weightDecay: number}} the strengths of the L1 and L2 penalties and the weight decay
+ */
+NeuralNetwork.prototype.getRegularization = function () {
+	return {
+		l1: this._regularization.l1,
+		l2: this._regularization.l2,
+		weightDecay: this._regularization.weightDecay
+	};
+};
+
+/**
+ * Calculates the penalty that the L1 and L2 regularization currently imposes on the weights
+ *
+ * This term is not included in the loss that the training methods return, which only measures the fit to the data
+ *
+ * @return {number} the penalty
+ */
+NeuralNetwork.prototype.getPenalty = function () {
+	var penalty = 0;
+
+	// for all hidden layers and the output layer
+	for (var i = 1; i < this._layers.length; i++) {
+		penalty += this._layers[i].calculatePenalty(this._regularization);
+	}
+
+	return penalty;
+};
+
+/**
+ * Returns this network's learning rate
+ *
+ * If a schedule has been set, this is the learning rate that the schedule derives from the base learning rate
+ *
+ * @return {number} the current learning rate
+ */
+NeuralNetwork.prototype.getLearningRate = function () {
+	if (this._learningRateSchedule !== null) {
+		return this._learningRateSchedule.getLearningRate(this._learningRate);
+	}
+	else {
+		return this._learningRate;
+	}
+};
+
+/**
+ * Returns this network's base learning rate, which is not adjusted by any schedule
+ *
+ * @return {number} the base learning rate
+ */
+NeuralNetwork.prototype.getBaseLearningRate = function () {
+	return this._learningRate;
+};
+
+/**
+ * Replaces this network's base learning rate, which any schedule adjusts from now on
+ *
+ * @param {number} learningRate - the new learning rate
+ */
+NeuralNetwork.prototype.setLearningRate = function (learningRate) {
+	if (typeof learningRate !== "number" || !(learningRate > 0)) {
+		throw "Learning rate (`"+learningRate+"`) must be a positive number";
+	}
+
+	this._learningRate = learningRate;
+};
+
+/**
+ * Returns the schedule that adjusts the learning rate over the course of training
+ *
+ * @return {LearningRateSchedule|null} the schedule or `null` if the learning rate is constant
+ */
+NeuralNetwork.prototype.getLearningRateSchedule = function () {
+	return this._learningRateSchedule;
+};
+
+/**
+ * Replaces the schedule that adjusts the learning rate over the course of training
+ *
+ * @param {LearningRateSchedule|null} learningRateSchedule - the new schedule or `null` for a constant learning rate
+ */
+NeuralNetwork.prototype.setLearningRateSchedule = function (learningRateSchedule) {
+	if (learningRateSchedule !== null && !(learningRateSchedule instanceof LearningRateSchedule)) {
+		throw "Learning rate schedule must be an instance of `LearningRateSchedule` or `null`";
+	}
+
+	this._learningRateSchedule = learningRateSchedule;
+};
+
+/**
+ * Returns this network's optimizer
+ *
+ * @return {Optimizer} the optimizer
+ */
+NeuralNetwork.prototype.getOptimizer = function () {
+	return this._optimizer;
+};
+
+/**
+ * Returns this network's loss function
+ *
+ * @return {Loss} the loss function
+ */
+NeuralNetwork.prototype.getLoss = function () {
+	return this._loss;
+};
+
+/**
+ * Returns the number of layers in this network
+ *
+ * @return {Number} the number of layers
+ */
+NeuralNetwork.prototype.getNumberOfLayers = function () {
+	return this._layers.length;
+};
+
+/**
+ * Returns the layer at the specified index
+ *
+ * @param {number} index - the layer to return
+ * @return {Layer|OutputLayer}
+ */
+NeuralNetwork.prototype.getLayer = function (index) {
+	return this._layers[index];
+};
+
+/**
+ * Returns the input layer for this network
+ *
+ * @return {Layer} the input layer
+ */
+NeuralNetwork.prototype.getInputLayer = function () {
+	return this.getLayer(0);
+};
+
+/**
+ * Returns the output layer for this network
+ *
+ * @return {OutputLayer} the output layer
+ */
+NeuralNetwork.prototype.getOutputLayer = function () {
+	return this.getLayer(this._layers.length - 1);
+};
+
+/**
+ * Returns the type of this network as used in serialized documents
+ *
+ * @return {string} the type
+ * @private
+ * @abstract
+ */
+NeuralNetwork.prototype._getType = function () {
+	throw "Method not implemented in subclass `"+this.constructor.name+"`";
+};
+
+/**
+ * Returns the type of the layer at the specified index as used in serialized documents
+ *
+ * @param {number} index - the index of the layer
+ * @return {string} the type of the layer, i.e. `input`, `hidden` or `output`
+ * @private
+ */
+NeuralNetwork.prototype._getLayerType = function (index) {
+	if (index === 0) {
+		return "input";
+	}
+	else if (index === this._layers.length - 1) {
+		return "output";
+	}
+	else {
+		return "hidden";
+	}
+};
+
+/**
+ * Restores the activation functions, weights, biases and optimizer states from the supplied validated document
+ *
+ * The topology of this network must already match the document
+ *
+ * @param {Object} data - the validated document in the current version of the format
+ * @private
+ */
+NeuralNetwork.prototype._restoreFromJson = function (data) {
+	var layerObj;
+	var neuronObj;
+	var neuron;
+
+	// for every layer
+	for (var i = 0; i < data.layers.length; i++) {
+		layerObj = data.layers[i];
+
+		if (layerObj.neurons.length !== this._layers[i].getSize()) {
+			throw "Number of neurons (`"+layerObj.neurons.length+"`) in layer `"+i+"` of serialized network and size of layer (`"+this._layers[i].getSize()+"`) must match";
+		}
+
+		this._layers[i].setActivationFunction(Registries.activationFunctions.fromJson(layerObj.activationFunction));
+		this._layers[i].setDropout(layerObj.dropout);
+
+		// for every neuron in the layer
+		for (var k = 0; k < layerObj.neurons.length; k++) {
+			neuronObj = layerObj.neurons[k];
+			neuron = this._layers[i].getNeuron(k);
+
+			// documents from older versions do not contain biases
+			neuron.setBias(neuronObj.bias || 0);
+			neuron.setBiasOptimizerState(neuronObj.biasOptimizerState || null);
+
+			// for every connection of the neuron
+			for (var m = 0; m < neuronObj.connections.length; m++) {
+				neuron.getConnection(m).setWeight(neuronObj.connections[m].weight);
+				neuron.getConnection(m).setOptimizerState(neuronObj.connections[m].optimizerState || null);
+			}
+		}
+
+		if (typeof layerObj.convolution !== "undefined") {
+			this._restoreKernelsFromJson(i, layerObj.convolution);
+		}
+	}
+};
+
+/**
+ * Restores the weights of the kernels of a layer for convolution and their optimizer states
+ *
+ * @param {number} index - the index of the layer
+ * @param {Object} convolution - the serialized settings and weights of the convolution
+ * @private
+ */
+NeuralNetwork.prototype._restoreKernelsFromJson = function (index, convolution) {
+	var layer = this._layers[index];
+	var weights = convolution.weights;
+	var states = convolution.weightOptimizerStates;
+	var expectedWeights = layer.getWeights().length;
+	var k;
+
+	if (!Array.isArray(weights) || weights.length !== expectedWeights) {
+		throw "Layer `"+index+"` of serialized network must contain `"+expectedWeights+"` weights of kernels";
+	}
+
+	for (k = 0; k < weights.length; k++) {
+		if (typeof weights[k] !== "number" || !isFinite(weights[k])) {
+			throw "Weight `"+k+"` of kernels in layer `"+index+"` of serialized network must be a finite number";
+		}
+	}
+
+	if (typeof states !== "undefined" && (!Array.isArray(states) || states.length !== weights.length)) {
+		throw "Layer `"+index+"` of serialized network must contain one optimizer state per weight of kernels";
+	}
+
+	layer.setWeights(weights);
+
+	if (states) {
+		for (k = 0; k < states.length; k++) {
+			layer.setWeightOptimizerState(k, states[k]);
+		}
+	}
+};
+
+/**
+ * Serializes this network with all its properties into the compact binary format
+ *
+ * @param {Object} [options]
+ * @param {number} [options.precision] - the number of bits per weight, i.e. `64` (exact, default) or `32` (smaller)
+ * @return {ArrayBuffer} the serialized network
+ */
+NeuralNetwork.prototype.toArrayBuffer = function (options) {
+	options = options || {};
+
+	return BinaryFormat.encode(this.toJSON(), options.precision);
+};
+
+/**
+ * Serializes this network with all its properties into the compact binary format as a Node.js `Buffer`
+ *
+ * @param {Object} [options]
+ * @param {number} [options.precision] - the number of bits per weight, i.e. `64` (exact, default) or `32` (smaller)
+ * @return {Buffer} the serialized network
+ */
+NeuralNetwork.prototype.toBuffer = function (options) {
+	if (typeof Buffer === "undefined") {
+		throw "Buffers are only available in Node.js, use `toArrayBuffer` instead";
+	}
+
+	return Buffer.from(this.toArrayBuffer(options));
+};
+
+NeuralNetwork.prototype.toJSON = function () {
+	var layers = [];
+	var layer;
+	for (var i = 0; i < this._layers.length; i++) {
+		layer = this._layers[i].toJSON();
+		layer.type = this._getLayerType(i);
+		layers.push(layer);
+	}
+
+	return {
+		"formatVersion": NeuralNetwork.FORMAT_VERSION,
+		"type": this._getType(),
+		"layers": layers,
+		"learningRate": this._learningRate,
+		"learningRateSchedule": (this._learningRateSchedule !== null) ? this._learningRateSchedule.toJSON() : null,
+		"optimizer": this._optimizer.toJSON(),
+		"loss": this._loss.toJSON(),
+		"regularization": this.getRegularization(),
+		"gradientClip": this.getGradientClip(),
+		"inputPreprocessing": this._inputPreprocessing.map(function (preprocessor) {
+			return preprocessor.toJSON();
+		}),
+		"outputPreprocessing": this._outputPreprocessing.map(function (preprocessor) {
+			return preprocessor.toJSON();
+		}),
+		"seed": this._seed
+	}
+};
+
+/**
+ * Validates a limit for gradient clipping
+ *
+ * @param {number|null|undefined} limit - the limit
+ * @param {string} name - the name of the limit for error messages
+ * @return {number|null} the limit or `null` if there is none
+ * @private
+ */
+NeuralNetwork._parseGradientLimit = function (limit, name) {
+	if (typeof limit === "undefined" || limit === null) {
+		return null;
+	}
+
+	if (typeof limit !== "number" || !(limit > 0) || !isFinite(limit)) {
+		throw "Gradient clipping "+name+" (`"+limit+"`) must be a positive number";
+	}
+
+	return limit;
+};
+
+/**
+ * Turns the number of neurons or the specification for a layer into a validated specification
+ *
+ * @param {number|Object} spec - the number of neurons or the specification with a `size` and optional settings
+ * @param {string} description - the description of the layer for error messages
+ * @return {{type: string, size: number|undefined, activation: ActivationFunction|undefined, weightInitializer: WeightInitializer|null, dropout: number, cell: string|null, gateActivation: ActivationFunction|null, spatial: Object|null}} the specification
+ * @private
+ */
+NeuralNetwork._parseLayerSpec = function (spec, description) {
+	if (typeof spec === "number") {
+		spec = { size: spec };
+	}
+	else if (typeof spec !== "object" || spec === null) {
+		throw "Specification of "+description+" must be a number of neurons or an object";
+	}
+
+	var type = spec.type || "dense";
+
+	if ([ "dense", "conv1d", "conv2d", "pool1d", "pool2d" ].indexOf(type) === -1) {
+		throw "Type of "+description+" (`"+type+"`) must be either `dense`, `conv1d`, `conv2d`, `pool1d` or `pool2d`";
+	}
+
+	if (type === "dense") {
+		if (typeof spec.size !== "number" || spec.size < 1 || spec.size % 1 !== 0) {
+			throw "Size of "+description+" (`"+spec.size+"`) must be a positive integer";
+		}
+	}
+	else if (typeof spec.size !== "undefined") {
+		throw "Size of "+description+" is determined by its input and must not be specified";
+	}
+
+	if (typeof spec.activation !== "undefined" && !(spec.activation instanceof ActivationFunction)) {
+		throw "Activation of "+description+" must be an activation function";
+	}
+
+	if (typeof spec.dropout !== "undefined" && (typeof spec.dropout !== "number" || !(spec.dropout >= 0 && spec.dropout < 1))) {
+		throw "Dropout rate of "+description+" (`"+spec.dropout+"`) must be at least `0` and less than `1`";
+	}
+
+	if (typeof spec.cell !== "undefined" && typeof spec.cell !== "string") {
+		throw "Cell of "+description+" must be a string";
+	}
+
+	if (typeof spec.gateActivation !== "undefined" && !(spec.gateActivation instanceof ActivationFunction)) {
+		throw "Gate activation of "+description+" must be an activation function";
+	}
+
+	return {
+		type: type,
+		size: spec.size,
+		activation: spec.activation,
+		weightInitializer: NeuralNetwork._parseWeightInitializer(spec.weightInitializer, description),
+		dropout: spec.dropout || 0,
+		cell: spec.cell || null,
+		gateActivation: spec.gateActivation || null,
+		spatial: (type !== "dense") ? NeuralNetwork._parseSpatialSpec(spec, type, description) : null
+	};
+};
+
+/**
+ * Validates the settings of a layer for convolution or pooling
+ *
+ * Sizes, strides and padding may be specified as a single number for all dimensions or as a list with one number per dimension
+ *
+ * One-dimensional settings are turned into two-dimensional settings with a height of `1`
+ *
+ * @param {Object} spec - the specification of the layer
+ * @param {string} type - `conv1d`, `conv2d`, `pool1d` or `pool2d`
+ * @param {string} description - the description of the layer for error messages
+ * @return {{dimensions: number, inputShape: number[]|null, windowSize: number[], stride: number[], padding: string|number[], filters: number|null, pooling: string|null}} the settings
+ * @private
+ */
+NeuralNetwork._parseSpatialSpec = function (spec, type, description) {
+	var dimensions = (type === "conv1d" || type === "pool1d") ? 1 : 2;
+	var convolution = (type === "conv1d" || type === "conv2d");
+	var inputShape = null;
+
+	if (typeof spec.inputShape !== "undefined") {
+		if (!Array.isArray(spec.inputShape) || spec.inputShape.length !== dimensions + 1 || !spec.inputShape.every(function (value) { return typeof value === "number" && value >= 1 && value % 1 === 0; })) {
+			throw "Input shape of "+description+" must be a list of "+(dimensions + 1)+" positive integers";
+		}
+
+		inputShape = (dimensions === 1) ? [ 1 ].concat(spec.inputShape) : spec.inputShape.slice();
+	}
+
+	if (convolution) {
+		if (typeof spec.filters !== "number" || spec.filters < 1 || spec.filters % 1 !== 0) {
+			throw "Number of filters of "+description+" (`"+spec.filters+"`) must be a positive integer";
+		}
+
+		if (typeof spec.kernelSize === "undefined") {
+			throw "Kernel size of "+description+" must be specified";
+		}
+
+		var padding = spec.padding || "valid";
+
+		if (padding !== "valid" && padding !== "same") {
+			padding = NeuralNetwork._parseExtent(padding, dimensions, 0, "Padding", description);
+		}
+
+		return {
+			dimensions: dimensions,
+			inputShape: inputShape,
+			windowSize: NeuralNetwork._parseExtent(spec.kernelSize, dimensions, 1, "Kernel size", description),
+			stride: NeuralNetwork._parseExtent(spec.stride || 1, dimensions, 1, "Stride", description),
+			padding: padding,
+			filters: spec.filters,
+			pooling: null
+		};
+	}
+
+	if (typeof spec.activation !== "undefined") {
+		throw "Activation of "+description+" is not supported by pooling";
+	}
+
+	if (typeof spec.padding !== "undefined") {
+		throw "Padding of "+description+" is not supported by pooling";
+	}
+
+	if (typeof spec.pooling !== "undefined" && spec.pooling !== "max" && spec.pooling !== "average") {
+		throw "Pooling of "+description+" (`"+spec.pooling+"`) must be either `max` or `average`";
+	}
+
+	var poolSize = NeuralNetwork._parseExtent(spec.poolSize || 2, dimensions, 1, "Pool size", description);
+
+	return {
+		dimensions: dimensions,
+		inputShape: inputShape,
+		windowSize: poolSize,
+		// by default, the windows do not overlap
+		stride: (typeof spec.stride !== "undefined") ? NeuralNetwork._parseExtent(spec.stride, dimensions, 1, "Stride", description) : poolSize,
+		padding: "valid",
+		filters: null,
+		pooling: spec.pooling || "max"
+	};
+};
+
+/**
+ * Turns a size, stride or padding for convolution or pooling into a validated value per axis
+ *
+ * @param {number|number[]} value - a single number for all dimensions or a list with one number per dimension
+ * @param {number} dimensions - the number of dimensions, i.e. `1` or `2`
+ * @param {number} minimum - the smallest valid number, which is also used for the height of one-dimensional values
+ * @param {string} name - the name of the setting for error messages
+ * @param {string} description - the description of the layer for error messages
+ * @return {number[]} the vertical and the horizontal value
+ * @private
+ */
+NeuralNetwork._parseExtent = function (value, dimensions, minimum, name, description) {
+	var values = (typeof value === "number") ? [ value, value ].slice(2 - dimensions) : value;
+
+	if (!Array.isArray(values) || values.length !== dimensions || !values.every(function (v) { return typeof v === "number" && v >= minimum && v % 1 === 0; })) {
+		throw name+" of "+description+" (`"+value+"`) must be "+((minimum === 0) ? "a non-negative" : "a positive")+" integer or a list of "+dimensions+" such integers";
+	}
+
+	return (dimensions === 1) ? [ minimum, values[0] ] : values.slice();
+};
+
+/**
+ * Turns the supplied scheme or function for the initial weights into a validated scheme
+ *
+ * @param {WeightInitializer|function|undefined} weightInitializer - the scheme or the function `(fanIn, fanOut, prng) => weight`
+ * @param {string} description - the description of the network or layer for error messages
+ * @return {WeightInitializer|null} the scheme or `null` if none has been supplied
+ * @private
+ */
+NeuralNetwork._parseWeightInitializer = function (weightInitializer, description) {
+	if (typeof weightInitializer === "undefined" || weightInitializer === null) {
+		return null;
+	}
+	else if (typeof weightInitializer === "function") {
+		return new Custom(weightInitializer);
+	}
+	else if (weightInitializer instanceof WeightInitializer) {
+		return weightInitializer;
+	}
+	else {
+		throw "Weight initializer of "+description+" must be a weight initializer or a function";
+	}
+};
+
+/**
+ * Validates the steps of preprocessing
+ *
+ * @param {Preprocessor[]} preprocessors - the preprocessors
+ * @param {string} name - the name of the preprocessing for error messages, i.e. `Input` or `Output`
+ * @return {Preprocessor[]} a copy of the list of preprocessors
+ * @private
+ */
+NeuralNetwork._parsePreprocessing = function (preprocessors, name) {
+	if (!Array.isArray(preprocessors)) {
+		throw name+" preprocessing must be a list of preprocessors";
+	}
+
+	for (var i = 0; i < preprocessors.length; i++) {
+		if (!(preprocessors[i] instanceof Preprocessor)) {
+			throw "Step `"+i+"` of "+name.toLowerCase()+" preprocessing must be a preprocessor";
+		}
+	}
+
+	return preprocessors.slice();
+};
+
+/**
+ * Fits every step of preprocessing to the specified rows as transformed by the steps before it
+ *
+ * @param {Preprocessor[]} preprocessors - the preprocessors
+ * @param {Array.<Array|null>} rows - the rows of values or `null` where there is none
+ * @param {{lower: number, upper: number}|null} range - the range of values that the network can work with (if known)
+ * @private
+ */
+NeuralNetwork._fitPreprocessing = function (preprocessors, rows, range) {
+	var present = [];
+
+	for (var i = 0; i < rows.length; i++) {
+		if (rows[i] !== null) {
+			present.push(rows[i]);
+		}
+	}
+
+	for (var k = 0; k < preprocessors.length; k++) {
+		preprocessors[k].fit(present, range);
+		present = present.map(preprocessors[k].transform, preprocessors[k]);
+	}
+};
+
+/**
+ * Returns the number of values per row that the specified steps of preprocessing produce
+ *
+ * @param {Preprocessor[]} preprocessors - the preprocessors
+ * @return {number|null} the number of values or `null` if it is not known yet
+ * @private
+ */
+NeuralNetwork._getPreprocessedSize = function (preprocessors) {
+	if (preprocessors.length === 0) {
+		return null;
+	}
+
+	return preprocessors[preprocessors.length - 1].getOutputSize();
+};
+
+/**
+ * Restores the steps of preprocessing from their serialized forms
+ *
+ * @param {Object[]} json - the serialized preprocessors
+ * @return {Preprocessor[]} the restored preprocessors
+ * @private
+ */
+NeuralNetwork._restorePreprocessingFromJson = function (json) {
+	var preprocessors = [];
+
+	for (var i = 0; i < json.length; i++) {
+		preprocessors.push(Registries.preprocessors.fromJson(json[i]));
+		preprocessors[i].setState(json[i].state || null);
+	}
+
+	return preprocessors;
+};
+
+/**
+ * The current version of the format that networks are serialized in
+ *
+ * Version `1` is the original format without a version number, type, layer types or activation parameters
+ *
+ * Version `2` lacks everything listed in `FIELDS_SINCE_VERSION_3`, e.g. regularization, preprocessing and recurrent layers
+ *
+ * @type {number}
+ */
+NeuralNetwork.FORMAT_VERSION = 3;
+
+/**
+ * The settings of networks and layers that have been added to the format in version `3`
+ *
+ * @type {{network: string[], layer: string[]}}
+ */
+NeuralNetwork.FIELDS_SINCE_VERSION_3 = {
+	network: [ "learningRateSchedule", "regularization", "gradientClip", "inputPreprocessing", "outputPreprocessing" ],
+	layer: [ "dropout", "convolution", "pooling", "cell", "gateActivationFunction", "recurrentWeights", "recurrentOptimizerStates", "gates" ]
+};
+
+/**
+ * The maximum number of rows that are fed through the network at once during batched prediction
+ *
+ * @type {number}
+ */
+NeuralNetwork.PREDICTION_BLOCK_SIZE = 256;
+
+/**
+ * Returns whether a serialized layer is fully connected, i.e. not a layer for convolution or pooling
+ *
+ * @param {Object} layerObj - the serialized layer
+ * @return {boolean} whether the layer is fully connected
+ * @private
+ */
+NeuralNetwork._isFullyConnectedJson = function (layerObj) {
+	return typeof layerObj.convolution === "undefined" && typeof layerObj.pooling === "undefined";
+};
+
+/**
+ * Turns a validated serialized hidden layer back into the specification that it has been created from
+ *
+ * @param {Object} layerObj - the serialized layer
+ * @return {number|Object} the number of neurons or the specification
+ * @private
+ */
+NeuralNetwork._getLayerSpecFromJson = function (layerObj) {
+	var settings = layerObj.convolution || layerObj.pooling;
+
+	if (typeof settings === "undefined") {
+		return layerObj.neurons.length;
+	}
+
+	var spec = {
+		type: (layerObj.convolution ? "conv" : "pool")+settings.dimensions+"d",
+		inputShape: settings.inputShape,
+		stride: settings.stride
+	};
+
+	if (layerObj.convolution) {
+		spec.filters = settings.filters;
+		spec.kernelSize = settings.kernelSize;
+		spec.padding = settings.padding;
+	}
+	else {
+		spec.pooling = settings.mode;
+		spec.poolSize = settings.poolSize;
+	}
+
+	return spec;
+};
+
+/**
+ * Validates that a document from before version `3` of the format only contains what those versions could express
+ *
+ * The settings that have been added since are left out of such documents and thus take their defaults when restored
+ *
+ * @param {Object} data - the parsed document
+ * @param {number} formatVersion - the version of the format that the document is in
+ * @param {string} type - the expected type of the network
+ * @private
+ */
+NeuralNetwork._validateBeforeVersion3 = function (data, formatVersion, type) {
+	var fields = NeuralNetwork.FIELDS_SINCE_VERSION_3;
+	var i;
+
+	// recurrent networks have been added in version `3`
+	if (type !== "Feedforward") {
+		throw "Networks of type `"+type+"` require format version `3` or later, but serialized network is in format version `"+formatVersion+"`";
+	}
+
+	for (i = 0; i < fields.network.length; i++) {
+		if (typeof data[fields.network[i]] !== "undefined") {
+			throw "Setting `"+fields.network[i]+"` requires format version `3` or later, but serialized network is in format version `"+formatVersion+"`";
+		}
+	}
+
+	// for every layer
+	for (var k = 0; k < data.layers.length; k++) {
+		for (i = 0; i < fields.layer.length; i++) {
+			if (typeof data.layers[k][fields.layer[i]] !== "undefined") {
+				throw "Setting `"+fields.layer[i]+"` of layer `"+k+"` requires format version `3` or later, but serialized network is in format version `"+formatVersion+"`";
+			}
+		}
+	}
+};
+
+/**
+ * Parses and validates a serialized network of the specified type
+ *
+ * Documents in older versions of the format are upgraded to the current version
+ *
+ * @param {string|Object} json - the JSON string or the already parsed document
+ * @param {string} type - the expected type of the network
+ * @return {Object} the validated document in the current version of the format
+ * @private
+ */
+NeuralNetwork._parseJson = function (json, type) {
+	var data = (typeof json === "string") ? JSON.parse(json) : json;
+
+	if (typeof data !== "object" || data === null || Array.isArray(data)) {
+		throw "Serialized network must be an object";
+	}
+
+	// documents without a version number are in the original format
+	var formatVersion = (typeof data.formatVersion === "undefined") ? 1 : data.formatVersion;
+
+	if (formatVersion !== 1 && formatVersion !== 2 && formatVersion !== NeuralNetwork.FORMAT_VERSION) {
+		throw "Unsupported format version `"+formatVersion+"` of serialized network";
+	}
+
+	if (formatVersion > 1 && data.type !== type) {
+		throw "Type of serialized network (`"+data.type+"`) and expected type (`"+type+"`) must match";
+	}
+
+	if (!Array.isArray(data.layers) || data.layers.length < 2) {
+		throw "Serialized network must contain at least an input layer and an output layer";
+	}
+
+	var layers = data.layers;
+	var expectedType;
+	var nextLayerSize;
+	var neuronObj;
+
+	// for every layer
+	for (var i = 0; i < layers.length; i++) {
+		if (typeof layers[i] !== "object" || layers[i] === null || !Array.isArray(layers[i].neurons) || layers[i].neurons.length === 0) {
+			throw "Layer `"+i+"` of serialized network must contain at least one neuron";
+		}
+	}
+
+	if (formatVersion < 3) {
+		// documents from older versions are migrated by leaving all settings that have been added since at their defaults
+		NeuralNetwork._validateBeforeVersion3(data, formatVersion, type);
+	}
+
+	if (typeof data.inputPreprocessing !== "undefined" && !Array.isArray(data.inputPreprocessing)) {
+		throw "Input preprocessing of serialized network must be a list";
+	}
+
+	if (typeof data.outputPreprocessing !== "undefined" && !Array.isArray(data.outputPreprocessing)) {
+		throw "Output preprocessing of serialized network must be a list";
+	}
+
+	var upgradedLayers = [];
+
+	// for every layer
+	for (var k = 0; k < layers.length; k++) {
+		expectedType = (k === 0) ? "input" : ((k === layers.length - 1) ? "output" : "hidden");
+
+		// documents in the original format do not contain layer types
+		if (formatVersion > 1 && layers[k].type !== expectedType) {
+			throw "Type of layer `"+k+"` (`"+layers[k].type+"`) and expected type (`"+expectedType+"`) must match";
+		}
+
+		if (typeof layers[k].activationFunction === "undefined") {
+			throw "Layer `"+k+"` of serialized network must contain an activation function";
+		}
+
+		if ((typeof layers[k].convolution !== "undefined" || typeof layers[k].pooling !== "undefined") && expectedType !== "hidden") {
+			throw "Convolution and pooling in layer `"+k+"` of serialized network are only supported in hidden layers";
+		}
+
+		if (typeof layers[k].convolution !== "undefined" && (typeof layers[k].convolution !== "object" || layers[k].convolution === null)) {
+			throw "Convolution of layer `"+k+"` of serialized network must be an object";
+		}
+
+		if (typeof layers[k].pooling !== "undefined" && (typeof layers[k].pooling !== "object" || layers[k].pooling === null)) {
+			throw "Pooling of layer `"+k+"` of serialized network must be an object";
+		}
+
+		// neurons only have individual connections to fully connected layers
+		nextLayerSize = (k < layers.length - 1 && NeuralNetwork._isFullyConnectedJson(layers[k + 1])) ? layers[k + 1].neurons.length : 0;
+
+		// for every neuron in the layer
+		for (var m = 0; m < layers[k].neurons.length; m++) {
+			neuronObj = layers[k].neurons[m];
+
+			if (typeof neuronObj !== "object" || neuronObj === null || !Array.isArray(neuronObj.connections)) {
+				throw "Neuron `"+m+"` in layer `"+k+"` of serialized network must contain a list of connections";
+			}
+
+			if (neuronObj.connections.length !== nextLayerSize) {
+				throw "Number of connections (`"+neuronObj.connections.length+"`) of neuron `"+m+"` in layer `"+k+"` and size of next layer (`"+nextLayerSize+"`) must match";
+			}
+
+			if (typeof neuronObj.bias !== "undefined" && (typeof neuronObj.bias !== "number" || !isFinite(neuronObj.bias))) {
+				throw "Bias of neuron `"+m+"` in layer `"+k+"` of serialized network must be a finite number";
+			}
+
+			// for every connection of the neuron
+			for (var n = 0; n < neuronObj.connections.length; n++) {
+				if (typeof neuronObj.connections[n] !== "object" || neuronObj.connections[n] === null || typeof neuronObj.connections[n].weight !== "number" || !isFinite(neuronObj.connections[n].weight)) {
+					throw "Weight of connection `"+n+"` of neuron `"+m+"` in layer `"+k+"` of serialized network must be a finite number";
+				}
+			}
+		}
+
+		// documents from older versions do not contain dropout rates
+		if (typeof layers[k].dropout !== "undefined" && (typeof layers[k].dropout !== "number" || !(layers[k].dropout >= 0 && layers[k].dropout < 1) || (k === layers.length - 1 && layers[k].dropout !== 0))) {
+			throw "Dropout rate of layer `"+k+"` of serialized network (`"+layers[k].dropout+"`) is invalid";
+		}
+
+		upgradedLayers.push({
+			"type": expectedType,
+			"activationFunction": layers[k].activationFunction,
+			"dropout": layers[k].dropout || 0,
+			"neurons": layers[k].neurons
+		});
+
+		if (typeof layers[k].convolution !== "undefined") {
+			upgradedLayers[k].convolution = layers[k].convolution;
+		}
+
+		if (typeof layers[k].pooling !== "undefined") {
+			upgradedLayers[k].pooling = layers[k].pooling;
+		}
+	}
+
+	return {
+		"formatVersion": NeuralNetwork.FORMAT_VERSION,
+		"type": type,
+		"layers": upgradedLayers,
+		"learningRate": data.learningRate,
+		"learningRateSchedule": data.learningRateSchedule || null,
+		"optimizer": data.optimizer,
+		"loss": data.loss,
+		"regularization": data.regularization,
+		"gradientClip": data.gradientClip || null,
+		"inputPreprocessing": data.inputPreprocessing || [],
+		"outputPreprocessing": data.outputPreprocessing || [],
+		"seed": data.seed
+	};
 };
 
 module.exports = NeuralNetwork;
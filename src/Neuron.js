@@ -11,45 +11,32 @@ var Connection = require("./Connection.js");
 /**
  * An artificial neuron that may be part of a layer in an artificial neural network
  *
+ * The values of the neuron are stored in its layer so that this is only a view on the layer's arrays
+ *
  * @param {Layer} layer - the layer that this neuron belongs to
+ * @param {number} index - the index of this neuron within its layer
  * @constructor
  */
-function Neuron(layer) {
-
-	/**
-	 * The current input of this neuron
-	 *
-	 * @type {number}
-	 * @private
-	 */
-	this._input = 0;
+function Neuron(layer, index) {
 
 	/**
-	 * The current activation of this neuron
+	 * The layer that this neuron belongs to
 	 *
-	 * @type {number}
+	 * @type {Layer}
 	 * @private
 	 */
-	this._activation = 0;
+	this._layer = layer;
 
 	/**
-	 * The current error of this neuron scaled by the confidence it showed in predicting its output
+	 * The index of this neuron within its layer
 	 *
 	 * @type {number}
 	 * @private
 	 */
-	this._delta = 0;
-
-	/**
-	 * The layer that this neuron belongs to
-	 *
-	 * @type {Layer}
-	 * @private
-	 */
-	this._layer = layer;
+	this._index = index;
 
 	/**
-	 * The list of outgoing connections from this neuron
+	 * The list of outgoing connections from this neuron, created when they are first requested
 	 *
 	 * @type {Connection[]}
 	 * @private
@@ -64,7 +51,7 @@ function Neuron(layer) {
  * @return {number} the activation
  */
 Neuron.prototype.getActivation = function () {
-	return this._activation;
+	return this._layer.getActivation(this._index);
 };
 
 /**
@@ -73,7 +60,7 @@ Neuron.prototype.getActivation = function () {
  * @return {number}
  */
 Neuron.prototype.getDelta = function () {
-	return this._delta;
+	return this._layer.getDelta(this._index);
 };
 
 /**
@@ -82,7 +69,7 @@ Neuron.prototype.getDelta = function () {
  * @return {number} the input
  */
 Neuron.prototype.getInput = function () {
-	return this._input;
+	return this._layer.getInput(this._index);
 };
 
 /**
@@ -92,27 +79,76 @@ Neuron.prototype.getInput = function () {
  * @return {Connection} the connection
  */
 Neuron.prototype.getConnection = function (index) {
+	if (index < 0 || index >= this.getNumberOfConnections()) {
+		return undefined;
+	}
+
+	if (this._connections[index] === undefined) {
+		this._connections[index] = new Connection(this, this._layer.getNextLayer().getNeuron(index));
+	}
+
 	return this._connections[index];
 };
 
+/**
+ * Returns the number of outgoing connections from this neuron
+ *
+ * Layers that are not fully connected share their weights, which are not represented by individual connections
+ *
+ * @return {number} the number of connections
+ */
+Neuron.prototype.getNumberOfConnections = function () {
+	var nextLayer = this._layer.getNextLayer();
+
+	return (nextLayer !== null && nextLayer.isFullyConnected()) ? nextLayer.getSize() : 0;
+};
+
+/**
+ * Returns the current bias of this neuron
+ *
+ * @return {number} the bias
+ */
+Neuron.prototype.getBias = function () {
+	return this._layer.getBias(this._index);
+};
+
+/**
+ * Replaces the current bias of this neuron with the specified value
+ *
+ * @param {number} bias - the new bias
+ */
+Neuron.prototype.setBias = function (bias) {
+	this._layer.setBias(this._index, bias);
+};
+
+/**
+ * Replaces the current activation of this neuron with the specified value
+ *
+ * @param {number} activation - the new activation
+ */
+Neuron.prototype.setActivation = function (activation) {
+	this._layer.setActivation(this._index, activation);
+};
+
 /** Resets this neuron */
 Neuron.prototype.reset = function () {
-	this._input = 0;
-	this._activation = 0;
+	this._layer.setInput(this._index, 0);
+	this._layer.setActivation(this._index, 0);
 };
 
 /** Propagates the activation from this neuron to the connected neurons */
 Neuron.prototype.propagate = function () {
 	// determine this neuron's activation
-	this._activation = this._layer.getActivationFunction().evaluate(this._input);
+	var activation = this._layer.getActivationFunction().evaluate(this.getInput());
+	this.setActivation(activation);
 
 	var connection;
 
 	// for every connection from this neuron
-	for (var i = 0; i < this._connections.length; i++) {
-		connection = this._connections[i];
+	for (var i = 0; i < this.getNumberOfConnections(); i++) {
+		connection = this.getConnection(i);
 
-		connection.getTargetNeuron().feed(this._activation * connection.getWeight());
+		connection.getTargetNeuron().feed(activation * connection.getWeight());
 	}
 };
 
@@ -122,15 +158,21 @@ Neuron.prototype.propagate = function () {
  * @param {number} value - the value to add to this neuron's input
  */
 Neuron.prototype.feed = function (value) {
-	this._input += value;
+	this._layer.setInput(this._index, this.getInput() + value);
 };
 
 /**
- * Adds a new connection to the other neuron that is specified
+ * Initializes the connection to the other neuron that is specified
+ *
+ * Since the layers are fully connected already, this only draws a new weight for the existing connection
  *
- * @param {Neuron} targetNeuron - the other neuron to connect to
+ * @param {Neuron} targetNeuron - the other neuron to connect to, which must be part of the next layer
  */
 Neuron.prototype.connectTo = function (targetNeuron) {
+	if (targetNeuron.getLayer() !== this._layer.getNextLayer() || this.getNumberOfConnections() === 0) {
+		throw "Neuron can only be connected to neurons of the next layer if that is fully connected";
+	}
+
 	var initialWeight;
 	if (Neuron.preDefinedWeights.length) {
 		// use the next pre-defined weight
@@ -141,7 +183,7 @@ Neuron.prototype.connectTo = function (targetNeuron) {
 		initialWeight = this._layer.getPrng().getRandomFloat(0, 0.3) - 0.15;
 	}
 
-	this._connections.push(new Connection(targetNeuron, initialWeight));
+	this.getConnection(targetNeuron.getIndex()).setWeight(initialWeight);
 };
 
 /**
@@ -153,28 +195,36 @@ Neuron.prototype.getLayer = function () {
 	return this._layer;
 };
 
+/**
+ * Returns the index of this neuron within its layer
+ *
+ * @return {number} the index
+ */
+Neuron.prototype.getIndex = function () {
+	return this._index;
+};
+
 /**
  * Calculates the error of this neuron
  *
  * @return {number} the error of this neuron
  */
 Neuron.prototype.calculateError = function () {
-	// prepare a variable for the error to be accumulated
-	var error = 0;
-
-	// for every connection
-	for (var i = 0; i < this._connections.length; i++) {
-		// accumulate the error by adding the weighted delta from the connection
-		error += this._connections[i].getWeightedDelta();
-	}
+	return this._layer.calculateError(this._index);
+};
 
-	// return the accumulated error
-	return error;
+/**
+ * Replaces the delta of this neuron with the specified value
+ *
+ * @param {number} delta - the new delta
+ */
+Neuron.prototype.setDelta = function (delta) {
+	this._layer.setDelta(this._index, delta);
 };
 
 /** Updates the delta of this neuron */
 Neuron.prototype.updateDelta = function () {
-	this._delta = this._layer.getActivationFunction().evaluateDerivative(this._input) * this.calculateError();
+	this.setDelta(this._layer.getActivationFunction().evaluateDerivative(this.getInput()) * this.calculateError());
 };
 
 /**
@@ -184,37 +234,69 @@ Neuron.prototype.updateDelta = function () {
  * @param {boolean} immediate - whether to update the weights immediately or defer the update until later
  */
 Neuron.prototype.updateWeightsAtConnections = function (learningRate, immediate) {
+	var connection;
 	var update;
 
 	// for every connection
-	for (var i = 0; i < this._connections.length; i++) {
+	for (var i = 0; i < this.getNumberOfConnections(); i++) {
+		connection = this.getConnection(i);
 		// calculate the product of the learning rate and the negative gradient
-		update = learningRate * this._connections[i].getTargetNeuron().getDelta() * this.getActivation();
+		update = learningRate * connection.getTargetNeuron().getDelta() * this.getActivation();
 		// update the weight to move in the direction of a minimum of the error function
-		this._connections[i].updateWeight(update, immediate);
+		connection.updateWeight(update, immediate);
 	}
 };
 
 /** Releases all deferred weight updates */
 Neuron.prototype.releaseWeightUpdatesAtConnections = function () {
 	// for every connection
-	for (var i = 0; i < this._connections.length; i++) {
+	for (var i = 0; i < this.getNumberOfConnections(); i++) {
 		// release all pending weight updates
-		this._connections[i].releaseWeightUpdates();
+		this.getConnection(i).releaseWeightUpdates();
 	}
 };
 
+/**
+ * Returns the state that the optimizer keeps for the bias of this neuron
+ *
+ * @return {Object|null} the state or `null` if there is none (yet)
+ */
+Neuron.prototype.getBiasOptimizerState = function () {
+	return this._layer.getBiasOptimizerState(this._index);
+};
+
+/**
+ * Replaces the state that the optimizer keeps for the bias of this neuron
+ *
+ * @param {Object|null} state - the new state
+ */
+Neuron.prototype.setBiasOptimizerState = function (state) {
+	this._layer.setBiasOptimizerState(this._index, state);
+};
+
 Neuron.prototype.toJSON = function () {
 	var connections = [];
-	for (var i = 0; i < this._connections.length; i++) {
-		connections.push(this._connections[i].toJSON());
+	for (var i = 0; i < this.getNumberOfConnections(); i++) {
+		connections.push(this.getConnection(i).toJSON());
 	}
 
-	return {
+	var json = {
+		"bias": this.getBias(),
 		"connections": connections
+	};
+
+	if (this.getBiasOptimizerState() !== null) {
+		json.biasOptimizerState = this.getBiasOptimizerState();
 	}
+
+	return json;
 };
 
+/**
+ * The weights that connections created by `connectTo` take before any random weights are drawn
+ *
+ * @type {number[]}
+ */
 Neuron.preDefinedWeights = [];
 
 module.exports = Neuron;
@@ -23,6 +23,14 @@ function OutputLayer(size, activationFunction, prng) {
 	// call the super class's constructor
 	Layer.call(this, size, activationFunction, prng);
 
+	/**
+	 * The loss function that the activations of this layer are evaluated with (if known yet)
+	 *
+	 * @type {Loss|null}
+	 * @private
+	 */
+	this._loss = null;
+
 }
 
 // create a prototype that inherits from the super class's prototype
@@ -33,32 +41,118 @@ OutputLayer.prototype.constructor = OutputLayer;
 /**
  * Creates a new neuron for this layer
  *
+ * @param {number} index - the index of the neuron within this layer
  * @return {OutputNeuron} the new neuron
  * @private
  */
-OutputLayer.prototype._createNeuron = function () {
-	return new OutputNeuron(this);
+OutputLayer.prototype._createNeuron = function (index) {
+	return new OutputNeuron(this, index);
+};
+
+/**
+ * Replaces the activation function for this layer
+ *
+ * @param {ActivationFunction} activationFunction - the new activation function, which must produce values that the loss function accepts
+ */
+OutputLayer.prototype.setActivationFunction = function (activationFunction) {
+	if (this._loss !== null) {
+		OutputLayer._validateLoss(this._loss, activationFunction);
+	}
+
+	Layer.prototype.setActivationFunction.call(this, activationFunction);
+};
+
+/**
+ * Sets the loss function that the activations of this layer are evaluated with
+ *
+ * @param {Loss} loss - the loss function, which must accept the values that the activation function produces
+ */
+OutputLayer.prototype.setLoss = function (loss) {
+	OutputLayer._validateLoss(loss, this.getActivationFunction());
+
+	this._loss = loss;
+};
+
+/**
+ * Ensures that an activation function can only produce values that a loss function accepts
+ *
+ * @param {Loss} loss - the loss function
+ * @param {ActivationFunction} activationFunction - the activation function
+ * @private
+ */
+OutputLayer._validateLoss = function (loss, activationFunction) {
+	if (loss.requiresProbabilities() && (activationFunction.getLowerBound() < 0 || activationFunction.getUpperBound() > 1)) {
+		throw "Loss `"+loss.constructor.name+"` requires an output layer activation function with values from `0` to `1` instead of `"+activationFunction.constructor.name+"`";
+	}
 };
 
 /**
  * Updates the deltas in this layer
  *
+ * @param {number[]|null} desiredOutput - the desired output of this layer or `null` if there is none
+ * @param {Loss} loss - the loss function to minimize
+ * @param {Float64Array|null} [additionalErrors] - the errors of the activations from elsewhere, e.g. from a later time step
+ */
+OutputLayer.prototype.updateDeltas = function (desiredOutput, loss, additionalErrors) {
+	if (desiredOutput === null) {
+		this._deltas.fill(0);
+	}
+	else {
+		this._updateDeltasFromLoss(desiredOutput, loss);
+	}
+
+	if (additionalErrors) {
+		this._propagateErrors(new Float64Array(additionalErrors), true);
+	}
+};
+
+/**
+ * Updates the deltas in this layer from the gradient of the loss
+ *
  * @param {number[]} desiredOutput - the desired output of this layer
+ * @param {Loss} loss - the loss function to minimize
+ * @private
  */
-OutputLayer.prototype.updateDeltas = function (desiredOutput) {
+OutputLayer.prototype._updateDeltasFromLoss = function (desiredOutput, loss) {
 	var numNeurons = this.getSize();
 
 	if (desiredOutput.length !== numNeurons) {
 		throw "Size of desired output (`"+desiredOutput.length+"`) and number of output neurons (`"+numNeurons+"`) must match";
 	}
 
-	// for every neuron
-	for (var i = 0; i < numNeurons; i++) {
-		// update the delta
-		this.getNeuron(i).updateDelta(desiredOutput[i]);
+	var output = this._activations;
+
+	// if the derivative of the activation function cancels out with the gradient of the loss
+	if (loss.isPairedWith(this.getActivationFunction())) {
+		// for every neuron
+		for (var i = 0; i < numNeurons; i++) {
+			// the delta is just the difference between the desired output and the actual output
+			this._deltas[i] = desiredOutput[i] - output[i];
+		}
+	}
+	else {
+		// propagate the gradient of the loss back through the activation function
+		var gradient = this.getActivationFunction().backpropagateLayer(this._inputs, loss.gradient(this.getActivations(), desiredOutput));
+
+		// for every neuron
+		for (var k = 0; k < numNeurons; k++) {
+			// the delta points in the direction of the negative gradient
+			this._deltas[k] = -gradient[k];
+		}
 	}
 };
 
+/**
+ * Calculates the loss of this layer
+ *
+ * @param {number[]} desiredOutput - the desired output of this layer
+ * @param {Loss} loss - the loss function to evaluate
+ * @return {number} the loss of this layer
+ */
+OutputLayer.prototype.calculateLoss = function (desiredOutput, loss) {
+	return loss.evaluate(this.getActivations(), desiredOutput);
+};
+
 /**
  * Calculates the sum of the squares of all errors in this layer
  *
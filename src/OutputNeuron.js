@@ -12,13 +12,14 @@ var Neuron = require("./Neuron.js");
  * An artificial output neuron that may be part of a layer in an artificial neural network
  *
  * @param {Layer} layer - the layer that this neuron belongs to
+ * @param {number} index - the index of this neuron within its layer
  * @constructor
  * @extends Neuron
  */
-function OutputNeuron(layer) {
+function OutputNeuron(layer, index) {
 
 	// call the super class's constructor
-	Neuron.call(this, layer);
+	Neuron.call(this, layer, index);
 
 }
 
@@ -38,13 +39,4 @@ OutputNeuron.prototype.calculateError = function (desiredOutput) {
 	return desiredOutput - this.getActivation();
 };
 
-/**
- * Updates the delta of this neuron using the expected output of this neuron
- *
- * @param {number} desiredOutput - the expected output of this neuron
- */
-OutputNeuron.prototype.updateDelta = function (desiredOutput) {
-	this._delta = this.getLayer().getActivationFunction().evaluateDerivative(this._input) * this.calculateError(desiredOutput);
-};
-
 module.exports = OutputNeuron;
@@ -0,0 +1,238 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var SpatialLayer = require("./SpatialLayer.js");
+var Identity = require("./activation/Identity.js");
+
+/**
+ * A hidden layer that reduces every window of its input to its maximum or its average, separately for every channel
+ *
+ * Pooling has neither weights nor biases, and the windows never extend beyond the input
+ *
+ * @param {Object} geometry - the geometry of the layer as expected by `SpatialLayer`, where the window is the pool
+ * @param {string} mode - `max` or `average`
+ * @param {Prng} prng - the PRNG that this layer should use
+ * @constructor
+ * @extends SpatialLayer
+ */
+function PoolingLayer(geometry, mode, prng) {
+
+	// call the super class's constructor
+	SpatialLayer.call(this, geometry, geometry.inputShape[2], new Identity(), prng);
+
+	/**
+	 * The mode of the pooling, i.e. `max` or `average`
+	 *
+	 * @type {string}
+	 * @private
+	 */
+	this._mode = mode;
+
+	/**
+	 * The index of the input that has been the maximum of each window (if the mode is `max`)
+	 *
+	 * @type {Int32Array}
+	 * @private
+	 */
+	this._maxIndices = new Int32Array(this._inputs.length);
+
+	// pooling has no biases
+	this._biases = new Float64Array(0);
+	this._biasUpdatesPending = new Float64Array(0);
+	this._biasOptimizerStates = [];
+
+}
+
+// create a prototype that inherits from the super class's prototype
+PoolingLayer.prototype = Object.create(SpatialLayer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+PoolingLayer.prototype.constructor = PoolingLayer;
+
+/**
+ * Connects the previous layer to this layer, which does not require any weights
+ *
+ * @param {Layer} previousLayer - the layer that this layer should receive its input from
+ */
+PoolingLayer.prototype.connectFrom = function (previousLayer) {
+	this._previousLayer = previousLayer;
+	previousLayer._nextLayer = this;
+};
+
+/**
+ * Visits the inputs in every window
+ *
+ * @param {function} callback - the function `(output, input)` receiving the indices of the neuron and the input
+ * @private
+ */
+PoolingLayer.prototype._forEachInput = function (callback) {
+	var inputWidth = this._inputShape[1];
+	var channels = this._inputShape[2];
+	var output = 0;
+	var oy, ox, c, py, px;
+
+	// for every position of the window
+	for (oy = 0; oy < this._outputShape[0]; oy++) {
+		for (ox = 0; ox < this._outputShape[1]; ox++) {
+			// for every channel
+			for (c = 0; c < channels; c++) {
+				for (py = 0; py < this._windowSize[0]; py++) {
+					for (px = 0; px < this._windowSize[1]; px++) {
+						callback(output, ((oy * this._stride[0] + py) * inputWidth + ox * this._stride[1] + px) * channels + c);
+					}
+				}
+
+				output++;
+			}
+		}
+	}
+};
+
+/**
+ * Pools one row of activations of the previous layer
+ *
+ * @param {Float64Array} previousActivations - the activations of the previous layer
+ * @param {number} previousOffset - the index of the first activation of the row
+ * @param {Float64Array} results - the array to write the inputs to
+ * @param {number} resultOffset - the index of the first input to write
+ * @param {boolean} current - whether to remember the maximum of each window for backpropagation
+ * @private
+ */
+PoolingLayer.prototype._slide = function (previousActivations, previousOffset, results, resultOffset, current) {
+	var maxIndices = this._maxIndices;
+	var size = this._inputs.length;
+	var m;
+
+	if (this._mode === "max") {
+		for (m = 0; m < size; m++) {
+			results[resultOffset + m] = -Infinity;
+		}
+
+		this._forEachInput(function (output, input) {
+			if (previousActivations[previousOffset + input] > results[resultOffset + output]) {
+				results[resultOffset + output] = previousActivations[previousOffset + input];
+
+				if (current) {
+					maxIndices[output] = input;
+				}
+			}
+		});
+	}
+	else {
+		var count = this._windowSize[0] * this._windowSize[1];
+
+		for (m = 0; m < size; m++) {
+			results[resultOffset + m] = 0;
+		}
+
+		this._forEachInput(function (output, input) {
+			results[resultOffset + output] += previousActivations[previousOffset + input] / count;
+		});
+	}
+};
+
+/**
+ * Adds the errors of the activations of the previous layer that are caused by the deltas of this layer
+ *
+ * With `max` pooling, only the maximum of each window receives the error
+ *
+ * @param {Float64Array} errors - the errors per neuron in the previous layer to add to
+ */
+PoolingLayer.prototype.addPreviousLayerErrors = function (errors) {
+	var deltas = this._deltas;
+	var m;
+
+	if (this._mode === "max") {
+		for (m = 0; m < deltas.length; m++) {
+			errors[this._maxIndices[m]] += deltas[m];
+		}
+	}
+	else {
+		var count = this._windowSize[0] * this._windowSize[1];
+
+		this._forEachInput(function (output, input) {
+			errors[input] += deltas[output] / count;
+		});
+	}
+};
+
+/** Pooling does not have any weights or biases to update */
+PoolingLayer.prototype.updateWeightsInLayer = function () {};
+
+/**
+ * Returns the bias of the neuron at the specified index, which is always zero
+ *
+ * @return {number} the bias
+ */
+PoolingLayer.prototype.getBias = function () {
+	return 0;
+};
+
+/** Pooling does not have any biases that could be replaced */
+PoolingLayer.prototype.setBias = function () {};
+
+/**
+ * Returns the state that the optimizer keeps for the bias of the neuron at the specified index
+ *
+ * @return {null} always `null`, since there is no bias
+ */
+PoolingLayer.prototype.getBiasOptimizerState = function () {
+	return null;
+};
+
+/** Pooling does not have any biases whose optimizer states could be replaced */
+PoolingLayer.prototype.setBiasOptimizerState = function () {};
+
+/**
+ * Returns the mode of the pooling
+ *
+ * @return {string} `max` or `average`
+ */
+PoolingLayer.prototype.getMode = function () {
+	return this._mode;
+};
+
+/**
+ * Returns a copy of the current inputs, activations, dropout mask and maximum of each window of this layer
+ *
+ * @return {Object} the state
+ */
+PoolingLayer.prototype.saveState = function () {
+	var state = SpatialLayer.prototype.saveState.call(this);
+
+	state.maxIndices = new Int32Array(this._maxIndices);
+
+	return state;
+};
+
+/**
+ * Replaces the current inputs, activations, dropout mask and maximum of each window of this layer with a saved copy
+ *
+ * @param {Object} state - the state
+ */
+PoolingLayer.prototype.restoreState = function (state) {
+	SpatialLayer.prototype.restoreState.call(this, state);
+
+	this._maxIndices.set(state.maxIndices);
+};
+
+PoolingLayer.prototype.toJSON = function () {
+	var json = SpatialLayer.prototype.toJSON.call(this);
+	var pooling = this._getGeometryJson();
+
+	// the windows never extend beyond the input
+	delete pooling.padding;
+
+	pooling.mode = this._mode;
+	pooling.poolSize = this._windowSize.slice(2 - this._dimensions);
+
+	json.pooling = pooling;
+
+	return json;
+};
+
+module.exports = PoolingLayer;
@@ -0,0 +1,485 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Layer = require("./Layer.js");
+
+/**
+ * A hidden layer with context units that feed the activations of a layer from the previous time step back into it
+ *
+ * If the context units copy the activations of this layer itself, this is the hidden layer of an Elman network
+ *
+ * If they copy the activations of the output layer instead, this is the hidden layer of a Jordan network
+ *
+ * The weights of the connections from the context units are stored as a matrix with one row per neuron
+ *
+ * @param {number} size - the number of neurons to use in this layer
+ * @param {ActivationFunction} activationFunction - the activation function that this layer should use
+ * @param {Prng} prng - the PRNG that this layer should use
+ * @constructor
+ * @extends Layer
+ */
+function RecurrentLayer(size, activationFunction, prng) {
+
+	// call the super class's constructor
+	Layer.call(this, size, activationFunction, prng);
+
+	/**
+	 * The layer whose activations from the previous time step the context units hold
+	 *
+	 * @type {Layer|null}
+	 * @private
+	 */
+	this._contextLayer = null;
+
+	/**
+	 * The current values of the context units
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._context = new Float64Array(0);
+
+	/**
+	 * The weights of the connections from the context units as a matrix with one row per neuron in this layer
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._recurrentWeights = new Float64Array(0);
+
+	/**
+	 * Accumulates the gradients of all recurrent weight updates that are deferred until later
+	 *
+	 * @type {Float64Array}
+	 * @private
+	 */
+	this._recurrentWeightUpdatesPending = new Float64Array(0);
+
+	/**
+	 * The states that the optimizer keeps for the recurrent weights (where created already)
+	 *
+	 * @type {Array.<Object|null|undefined>}
+	 * @private
+	 */
+	this._recurrentWeightOptimizerStates = [];
+
+}
+
+// create a prototype that inherits from the super class's prototype
+RecurrentLayer.prototype = Object.create(Layer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+RecurrentLayer.prototype.constructor = RecurrentLayer;
+
+/**
+ * Connects the context units, which hold the activations of the specified layer, to every neuron in this layer
+ *
+ * @param {Layer} contextLayer - the layer whose activations from the previous time step should be fed back
+ * @param {WeightInitializer} weightInitializer - the scheme that determines the initial weights of the connections
+ */
+RecurrentLayer.prototype.connectContext = function (contextLayer, weightInitializer) {
+	var size = this.getSize();
+	var contextSize = contextLayer.getSize();
+
+	this._contextLayer = contextLayer;
+	this._context = new Float64Array(contextSize);
+
+	this._recurrentWeights = weightInitializer.initializeLayer(contextSize, size, this._prng);
+	this._recurrentWeightUpdatesPending = new Float64Array(size * contextSize);
+	this._recurrentWeightOptimizerStates = new Array(size * contextSize);
+};
+
+/**
+ * Computes the inputs of this layer, which include the weighted values of the context units
+ *
+ * @private
+ */
+RecurrentLayer.prototype._calculateInputs = function () {
+	Layer.prototype._calculateInputs.call(this);
+
+	var size = this._inputs.length;
+	var contextSize = this._context.length;
+	var row;
+
+	// for every neuron
+	for (var m = 0; m < size; m++) {
+		row = m * contextSize;
+
+		// add the weighted values of all context units
+		for (var k = 0; k < contextSize; k++) {
+			this._inputs[m] += this._context[k] * this._recurrentWeights[row + k];
+		}
+	}
+};
+
+/** Copies the current activations of the context layer into the context units for the next time step */
+RecurrentLayer.prototype.updateContext = function () {
+	this._context.set(this._contextLayer._activations);
+};
+
+/**
+ * Returns the number of values that the state passed on to the next time step consists of
+ *
+ * @return {number} the size of the state, which is the size of the context layer
+ */
+RecurrentLayer.prototype.getContextSize = function () {
+	return this._context.length;
+};
+
+/**
+ * Adds the errors of the state passed on from the previous time step, i.e. of the activations of the context layer
+ *
+ * @param {Float64Array} errors - the errors of the state to add to
+ */
+RecurrentLayer.prototype.addContextErrors = function (errors) {
+	this._addContextErrors(0, this._deltas.length, errors);
+};
+
+/**
+ * Adds the errors of the context units that are caused by the deltas in the specified range of rows
+ *
+ * @param {number} start - the first row of the deltas and recurrent weights
+ * @param {number} end - the row after the last row
+ * @param {Float64Array} errors - the errors per context unit to add to
+ * @private
+ */
+RecurrentLayer.prototype._addContextErrors = function (start, end, errors) {
+	var contextSize = this._context.length;
+	var delta;
+	var row;
+
+	// for every neuron
+	for (var m = start; m < end; m++) {
+		delta = this._deltas[m];
+		row = m * contextSize;
+
+		// propagate the delta back to every context unit, weighted by the connection
+		for (var k = 0; k < contextSize; k++) {
+			errors[k] += delta * this._recurrentWeights[row + k];
+		}
+	}
+};
+
+/** Resets the neurons and the context units in this layer */
+RecurrentLayer.prototype.reset = function () {
+	Layer.prototype.reset.call(this);
+
+	this._context.fill(0);
+};
+
+/**
+ * Updates the weights of the connections leading into this layer, including those from the context units, and the biases
+ *
+ * @param {Optimizer} optimizer - the optimizer that determines the changes of the weights
+ * @param {number} learningRate - the learning rate to use
+ * @param {boolean} immediate - whether to update the weights immediately or defer the update until later
+ * @param {{l1: number, l2: number, weightDecay: number}} regularization - the strengths of the regularization
+ */
+RecurrentLayer.prototype.updateWeightsInLayer = function (optimizer, learningRate, immediate, regularization) {
+	Layer.prototype.updateWeightsInLayer.call(this, optimizer, learningRate, immediate, regularization);
+
+	this._updateRecurrentWeights(0, this._deltas.length, this._context, optimizer, learningRate, immediate, regularization);
+};
+
+/**
+ * Updates the recurrent weights in the specified range of rows, which have been multiplied by the specified values
+ *
+ * @param {number} start - the first row of the deltas and recurrent weights
+ * @param {number} end - the row after the last row
+ * @param {Float64Array} context - the values that the recurrent weights have been multiplied by
+ * @param {Optimizer} optimizer - the optimizer that determines the changes of the weights
+ * @param {number} learningRate - the learning rate to use
+ * @param {boolean} immediate - whether to update the weights immediately or defer the update until later
+ * @param {{l1: number, l2: number, weightDecay: number}} regularization - the strengths of the regularization
+ * @private
+ */
+RecurrentLayer.prototype._updateRecurrentWeights = function (start, end, context, optimizer, learningRate, immediate, regularization) {
+	var contextSize = context.length;
+	var penalized = (regularization.l1 !== 0 || regularization.l2 !== 0);
+	var delta;
+	var row;
+	var gradient;
+
+	// for every neuron
+	for (var m = start; m < end; m++) {
+		delta = this._deltas[m];
+		row = m * contextSize;
+
+		// for every connection from a context unit
+		for (var k = 0; k < contextSize; k++) {
+			gradient = -delta * context[k];
+
+			if (penalized) {
+				gradient += Layer._getPenaltyGradient(this._recurrentWeights[row + k], regularization);
+			}
+
+			if (immediate) {
+				this._applyWeightGradient(this._recurrentWeights, this._recurrentWeightOptimizerStates, row + k, gradient, optimizer, learningRate, regularization);
+			}
+			else {
+				this._recurrentWeightUpdatesPending[row + k] += gradient;
+			}
+		}
+	}
+};
+
+/**
+ * Releases all deferred weight and bias updates
+ *
+ * @param {Optimizer} optimizer - the optimizer that determines the changes of the weights
+ * @param {number} learningRate - the learning rate to use
+ * @param {{l1: number, l2: number, weightDecay: number}} regularization - the strengths of the regularization
+ */
+RecurrentLayer.prototype.releaseWeightUpdatesInLayer = function (optimizer, learningRate, regularization) {
+	Layer.prototype.releaseWeightUpdatesInLayer.call(this, optimizer, learningRate, regularization);
+
+	for (var i = 0; i < this._recurrentWeights.length; i++) {
+		this._applyWeightGradient(this._recurrentWeights, this._recurrentWeightOptimizerStates, i, this._recurrentWeightUpdatesPending[i], optimizer, learningRate, regularization);
+	}
+
+	this._recurrentWeightUpdatesPending.fill(0);
+};
+
+/**
+ * Calculates the sum of the squares of all deferred weight and bias updates
+ *
+ * @return {number} the squared L2 norm of the deferred updates
+ */
+RecurrentLayer.prototype.calculateSquaredUpdateNorm = function () {
+	var sum = Layer.prototype.calculateSquaredUpdateNorm.call(this);
+
+	for (var i = 0; i < this._recurrentWeightUpdatesPending.length; i++) {
+		sum += this._recurrentWeightUpdatesPending[i] * this._recurrentWeightUpdatesPending[i];
+	}
+
+	return sum;
+};
+
+/**
+ * Limits all deferred weight and bias updates to the range from the negative to the positive of the specified value
+ *
+ * @param {number} value - the maximum absolute value of every update
+ */
+RecurrentLayer.prototype.clipWeightUpdates = function (value) {
+	Layer.prototype.clipWeightUpdates.call(this, value);
+
+	for (var i = 0; i < this._recurrentWeightUpdatesPending.length; i++) {
+		this._recurrentWeightUpdatesPending[i] = Math.max(-value, Math.min(value, this._recurrentWeightUpdatesPending[i]));
+	}
+};
+
+/**
+ * Multiplies all deferred weight and bias updates by the specified factor
+ *
+ * @param {number} factor - the factor to multiply by
+ */
+RecurrentLayer.prototype.scaleWeightUpdates = function (factor) {
+	Layer.prototype.scaleWeightUpdates.call(this, factor);
+
+	for (var i = 0; i < this._recurrentWeightUpdatesPending.length; i++) {
+		this._recurrentWeightUpdatesPending[i] *= factor;
+	}
+};
+
+/**
+ * Returns the deferred weight, recurrent weight and bias updates, which are the accumulated gradients, and discards them
+ *
+ * @return {{biases: Float64Array, weights: Float64Array, recurrentWeights: Float64Array}} the gradients
+ */
+RecurrentLayer.prototype.takeWeightUpdates = function () {
+	var updates = Layer.prototype.takeWeightUpdates.call(this);
+
+	updates.recurrentWeights = new Float64Array(this._recurrentWeightUpdatesPending);
+	this._recurrentWeightUpdatesPending.fill(0);
+
+	return updates;
+};
+
+/**
+ * Calculates the penalty that the regularization imposes on the weights of the connections leading into this layer
+ *
+ * @param {{l1: number, l2: number, weightDecay: number}} regularization - the strengths of the regularization
+ * @return {number} the penalty
+ */
+RecurrentLayer.prototype.calculatePenalty = function (regularization) {
+	return Layer.prototype.calculatePenalty.call(this, regularization) + Layer._calculatePenalty(this._recurrentWeights, regularization);
+};
+
+/**
+ * Searches this layer for a value that is not a finite number
+ *
+ * @param {boolean} parameters - whether to search the weights and biases instead of the activations and deltas
+ * @return {{quantity: string, neuron: number, value: number}|null} the first value found or `null` if there is none
+ */
+RecurrentLayer.prototype.findNonFiniteValue = function (parameters) {
+	var found = Layer.prototype.findNonFiniteValue.call(this, parameters);
+
+	if (found === null && parameters) {
+		for (var i = 0; i < this._recurrentWeights.length; i++) {
+			if (!isFinite(this._recurrentWeights[i])) {
+				// the weights are stored with one row per neuron
+				return { quantity: "recurrent weight", neuron: Math.floor(i / this._context.length) % this.getSize(), value: this._recurrentWeights[i] };
+			}
+		}
+	}
+
+	return found;
+};
+
+/**
+ * Returns the layer whose activations from the previous time step the context units hold
+ *
+ * @return {Layer} the context layer
+ */
+RecurrentLayer.prototype.getContextLayer = function () {
+	return this._contextLayer;
+};
+
+/**
+ * Returns the current values of the context units
+ *
+ * @return {number[]} the values
+ */
+RecurrentLayer.prototype.getContext = function () {
+	return Array.prototype.slice.call(this._context);
+};
+
+/**
+ * Returns a copy of the weights of all connections from the context units
+ *
+ * @return {Float64Array} the weights as a matrix with one row per neuron in this layer
+ */
+RecurrentLayer.prototype.getRecurrentWeights = function () {
+	return new Float64Array(this._recurrentWeights);
+};
+
+/**
+ * Replaces the weights of all connections from the context units
+ *
+ * @param {Float64Array|number[]} weights - the new weights as a matrix with one row per neuron in this layer
+ */
+RecurrentLayer.prototype.setRecurrentWeights = function (weights) {
+	this._recurrentWeights.set(weights);
+};
+
+/**
+ * Returns the state that the optimizer keeps for the connection from a context unit to a neuron in this layer
+ *
+ * @param {number} index - the index of the neuron in this layer
+ * @param {number} contextIndex - the index of the context unit
+ * @return {Object|null} the state or `null` if there is none (yet)
+ */
+RecurrentLayer.prototype.getRecurrentWeightOptimizerState = function (index, contextIndex) {
+	return this._recurrentWeightOptimizerStates[index * this._context.length + contextIndex] || null;
+};
+
+/**
+ * Replaces the state that the optimizer keeps for the connection from a context unit to a neuron in this layer
+ *
+ * @param {number} index - the index of the neuron in this layer
+ * @param {number} contextIndex - the index of the context unit
+ * @param {Object|null} state - the new state or `null` to let the optimizer create a new state when needed
+ */
+RecurrentLayer.prototype.setRecurrentWeightOptimizerState = function (index, contextIndex, state) {
+	this._recurrentWeightOptimizerStates[index * this._context.length + contextIndex] = state || undefined;
+};
+
+/**
+ * Returns copies of the states that the optimizer keeps for the weights, recurrent weights and biases
+ *
+ * @return {{weights: Array.<Object|undefined>, recurrentWeights: Array.<Object|undefined>, biases: Array.<Object|undefined>}} the states
+ */
+RecurrentLayer.prototype.getOptimizerStates = function () {
+	var states = Layer.prototype.getOptimizerStates.call(this);
+
+	states.recurrentWeights = this._recurrentWeightOptimizerStates.map(Layer._copyOptimizerState);
+
+	return states;
+};
+
+/**
+ * Replaces the states that the optimizer keeps for the weights, recurrent weights and biases with copies
+ *
+ * @param {{weights: Array.<Object|undefined>, recurrentWeights: Array.<Object|undefined>, biases: Array.<Object|undefined>}} states - the new states
+ */
+RecurrentLayer.prototype.setOptimizerStates = function (states) {
+	Layer.prototype.setOptimizerStates.call(this, states);
+
+	this._recurrentWeightOptimizerStates = states.recurrentWeights.map(Layer._copyOptimizerState);
+};
+
+/**
+ * Returns copies of all weights and biases of this layer
+ *
+ * @param {boolean} [optimizerStates] - whether to include copies of the states that the optimizer keeps
+ * @return {{biases: Float64Array, weights: Float64Array, recurrentWeights: Float64Array, optimizerStates: Object|undefined}} the values
+ */
+RecurrentLayer.prototype.getParameters = function (optimizerStates) {
+	var parameters = Layer.prototype.getParameters.call(this, optimizerStates);
+
+	parameters.recurrentWeights = this.getRecurrentWeights();
+
+	return parameters;
+};
+
+/**
+ * Replaces all weights and biases of this layer with the values from the specified copies
+ *
+ * @param {{biases: Float64Array, weights: Float64Array, recurrentWeights: Float64Array, optimizerStates: Object|undefined}} parameters - the values
+ */
+RecurrentLayer.prototype.setParameters = function (parameters) {
+	Layer.prototype.setParameters.call(this, parameters);
+
+	this.setRecurrentWeights(parameters.recurrentWeights);
+};
+
+/**
+ * Returns a copy of the current inputs, activations, dropout mask and context units of this layer
+ *
+ * @return {Object} the state
+ */
+RecurrentLayer.prototype.saveState = function () {
+	var state = Layer.prototype.saveState.call(this);
+
+	state.context = new Float64Array(this._context);
+
+	return state;
+};
+
+/**
+ * Replaces the current inputs, activations, dropout mask and context units of this layer with a saved copy
+ *
+ * @param {Object} state - the state
+ */
+RecurrentLayer.prototype.restoreState = function (state) {
+	Layer.prototype.restoreState.call(this, state);
+
+	this._context.set(state.context);
+};
+
+RecurrentLayer.prototype.toJSON = function () {
+	var json = Layer.prototype.toJSON.call(this);
+
+	json.recurrentWeights = Array.prototype.slice.call(this._recurrentWeights);
+
+	// only store the states of the optimizer if it keeps any
+	for (var i = 0; i < this._recurrentWeightOptimizerStates.length; i++) {
+		if (this._recurrentWeightOptimizerStates[i]) {
+			json.recurrentOptimizerStates = [];
+
+			for (var k = 0; k < this._recurrentWeights.length; k++) {
+				json.recurrentOptimizerStates.push(this._recurrentWeightOptimizerStates[k] || null);
+			}
+
+			break;
+		}
+	}
+
+	return json;
+};
+
+module.exports = RecurrentLayer;
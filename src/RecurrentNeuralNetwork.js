@@ -0,0 +1,724 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var NeuralNetwork = require("./NeuralNetwork.js");
+var RecurrentLayer = require("./RecurrentLayer.js");
+var GatedLayer = require("./GatedLayer.js");
+var LongShortTermMemoryLayer = require("./LongShortTermMemoryLayer.js");
+var GatedRecurrentUnitLayer = require("./GatedRecurrentUnitLayer.js");
+var LogisticFunction = require("./activation/LogisticFunction.js");
+var Registries = require("./Registries.js");
+var BinaryFormat = require("./BinaryFormat.js");
+
+/**
+ * Artificial recurrent neural network using context units to feed the state of the network back into it
+ *
+ * The network processes sequences one time step after another and keeps its state in between
+ *
+ * In an Elman network, the context units of every hidden layer hold its own activations from the previous time step
+ *
+ * In a Jordan network, the context units of the first hidden layer hold the output from the previous time step
+ *
+ * Training uses backpropagation through time, which is truncated after a number of time steps (the horizon)
+ *
+ * In an Elman network, the hidden layers may use LSTM or GRU cells instead of simple neurons, as their `cell` specifies
+ *
+ * @param {number} inputNeurons - the number of neurons to use in the input layer
+ * @param {Array.<number|Object>} hiddenNeurons - the number of neurons or the specification per hidden layer
+ * @param {number|Object} outputNeurons - the number of neurons or the specification for the output layer
+ * @param {Object} [options]
+ * @param {string} [options.architecture] - `elman` (default) or `jordan`
+ * @param {number|null} [options.horizon] - the number of time steps after which the weights are updated and errors are no longer propagated back, or `null` for the whole sequence
+ * @param {number} [options.seed] - the seed to use for deterministic results
+ * @param {number} [options.learningRate] - the learning rate to use
+ * @param {LearningRateSchedule} [options.learningRateSchedule] - the schedule that adjusts the learning rate over time
+ * @param {ActivationFunction} [options.hiddenLayerActivationFunction] - the activation function for the hidden layer
+ * @param {ActivationFunction} [options.outputLayerActivationFunction] - the activation function for the output layer
+ * @param {Optimizer} [options.optimizer] - the optimizer that determines how the weights are updated
+ * @param {Loss} [options.loss] - the loss function that training minimizes
+ * @param {string|null} [options.numericGuard] - `throw` or `rollback` to guard training against non-finite values
+ * @param {WeightInitializer|function} [options.weightInitializer] - the scheme or function for the initial weights
+ * @param {number} [options.l1] - the strength of the L1 penalty on the weights, which is added to the gradients
+ * @param {number} [options.l2] - the strength of the L2 penalty on the weights, which is added to the gradients
+ * @param {number} [options.weightDecay] - the fraction of each weight, scaled by the learning rate, to decay per update
+ * @param {{value: number, norm: number}|null} [options.gradientClip] - the maximum absolute value of every gradient and/or the maximum global L2 norm of all gradients per update
+ * @param {Preprocessor[]} [options.inputPreprocessing] - the steps that every input passes through before it is fed into the network
+ * @param {Preprocessor[]} [options.outputPreprocessing] - the steps that desired outputs pass through, which are reversed for predictions
+ * @constructor
+ * @extends NeuralNetwork
+ */
+function RecurrentNeuralNetwork(inputNeurons, hiddenNeurons, outputNeurons, options) {
+
+	options = options || {};
+
+	if (typeof options.architecture !== "undefined" && options.architecture !== "elman" && options.architecture !== "jordan") {
+		throw "Architecture (`"+options.architecture+"`) must be either `elman` or `jordan`";
+	}
+
+	if (typeof options.horizon !== "undefined" && options.horizon !== null && (typeof options.horizon !== "number" || options.horizon < 1 || options.horizon % 1 !== 0)) {
+		throw "Horizon (`"+options.horizon+"`) must be a positive integer or `null`";
+	}
+
+	if (hiddenNeurons.length === 0) {
+		throw "Recurrent networks require at least one hidden layer";
+	}
+
+	/**
+	 * The architecture of this network, which must be known before the super class's constructor creates the layers
+	 *
+	 * @type {string}
+	 * @private
+	 */
+	this._architecture = options.architecture || "elman";
+
+	/**
+	 * The number of time steps after which the weights are updated during training (if limited)
+	 *
+	 * @type {number|null}
+	 * @private
+	 */
+	this._horizon = options.horizon || null;
+
+	// call the super class's constructor
+	NeuralNetwork.call(this, inputNeurons, hiddenNeurons, outputNeurons, options);
+
+	this._createConnections();
+
+}
+
+// create a prototype that inherits from the super class's prototype
+RecurrentNeuralNetwork.prototype = Object.create(NeuralNetwork.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+RecurrentNeuralNetwork.prototype.constructor = RecurrentNeuralNetwork;
+
+/**
+ * Creates a hidden layer for this network, which has context units if the architecture requires it
+ *
+ * @param {number} index - the index of the hidden layer, starting at zero for the first hidden layer
+ * @param {Object} layerSpec - the validated specification of the layer
+ * @param {ActivationFunction} activationFunction - the activation function that the layer should use
+ * @return {Layer} the new layer
+ * @private
+ */
+RecurrentNeuralNetwork.prototype._createHiddenLayer = function (index, layerSpec, activationFunction) {
+	var cell = layerSpec.cell || "simple";
+
+	if (layerSpec.type !== "dense") {
+		throw "Convolution and pooling in hidden layer `"+index+"` are not supported by recurrent networks";
+	}
+
+	if (cell !== "simple" && cell !== "lstm" && cell !== "gru") {
+		throw "Cell of hidden layer `"+index+"` (`"+cell+"`) must be either `simple`, `lstm` or `gru`";
+	}
+
+	if (cell === "simple" && layerSpec.gateActivation !== null) {
+		throw "Gate activation of hidden layer `"+index+"` requires a cell with gates";
+	}
+
+	if (cell !== "simple" && this._architecture !== "elman") {
+		throw "Cells with gates in hidden layer `"+index+"` require the `elman` architecture";
+	}
+
+	if (cell === "lstm") {
+		return new LongShortTermMemoryLayer(layerSpec.size, activationFunction, layerSpec.gateActivation || new LogisticFunction(), this._prng);
+	}
+	else if (cell === "gru") {
+		return new GatedRecurrentUnitLayer(layerSpec.size, activationFunction, layerSpec.gateActivation || new LogisticFunction(), this._prng);
+	}
+	else if (this._architecture === "elman" || index === 0) {
+		return new RecurrentLayer(layerSpec.size, activationFunction, this._prng);
+	}
+	else {
+		return NeuralNetwork.prototype._createHiddenLayer.call(this, index, layerSpec, activationFunction);
+	}
+};
+
+/**
+ * Creates the connections between the layers of this network and the connections from the context units
+ *
+ * @private
+ */
+RecurrentNeuralNetwork.prototype._createConnections = function () {
+	var layer;
+
+	// for every layer except for the input layer
+	for (var i = 1; i < this.getNumberOfLayers(); i++) {
+		layer = this.getLayer(i);
+
+		// connect every neuron of the previous layer to every neuron of the current layer
+		layer.connectFrom(this.getLayer(i - 1), this._weightInitializers[i]);
+
+		if (layer instanceof RecurrentLayer) {
+			// feed back either the layer's own activations or the output of the network
+			layer.connectContext((this._architecture === "elman") ? layer : this.getOutputLayer(), this._weightInitializers[i]);
+		}
+	}
+};
+
+/**
+ * Feeds the specified input into the network as the next time step
+ *
+ * @param {number[]} input - the input to process
+ * @private
+ */
+RecurrentNeuralNetwork.prototype._feed = function (input) {
+	this._feedStep(input);
+	this._updateContexts();
+};
+
+/**
+ * Computes the activations of all layers for the specified input without advancing the context units
+ *
+ * @param {number[]} input - the input to process
+ * @private
+ */
+RecurrentNeuralNetwork.prototype._feedStep = function (input) {
+	var inputLayer = this.getInputLayer();
+
+	var inputLayerSize = inputLayer.getSize();
+
+	// validate the size of the supplied input
+	if (input.length !== inputLayerSize) {
+		throw "Size of input layer (`"+inputLayerSize+"`) and supplied input (`"+input.length+"`) must match";
+	}
+
+	// feed the input into the input layer
+	inputLayer.feedInput(input);
+
+	// for every layer except for the input layer
+	for (var i = 1; i < this.getNumberOfLayers(); i++) {
+		// compute the activations from the previous layer and the context units
+		this.getLayer(i).feedForward();
+	}
+};
+
+/**
+ * Copies the current activations into the context units for the next time step
+ *
+ * @private
+ */
+RecurrentNeuralNetwork.prototype._updateContexts = function () {
+	for (var i = 1; i < this.getNumberOfLayers(); i++) {
+		if (this.getLayer(i) instanceof RecurrentLayer) {
+			this.getLayer(i).updateContext();
+		}
+	}
+};
+
+/**
+ * Batched prediction treats the rows as independent, which is not possible for a network with state
+ *
+ * @private
+ */
+RecurrentNeuralNetwork.prototype._feedBatch = function () {
+	throw "Batched prediction is not supported by recurrent networks, use `predictSequence` instead";
+};
+
+/**
+ * Asks the network to predict the outputs for a sequence of inputs, starting from the current state
+ *
+ * The state is kept afterwards so that the sequence may be continued later, while `reset` starts a new sequence
+ *
+ * @param {number[][]} inputs - the inputs per time step
+ * @return {number[][]} the outputs per time step
+ */
+RecurrentNeuralNetwork.prototype.predictSequence = function (inputs) {
+	var outputs = [];
+
+	// for every time step
+	for (var t = 0; t < inputs.length; t++) {
+		outputs.push(this.predict(inputs[t]));
+	}
+
+	return outputs;
+};
+
+/**
+ * Predicts the outputs for the specified examples for the purpose of evaluation
+ *
+ * The examples are treated as the time steps of a sequence, starting from the current state
+ *
+ * @param {Array[]} inputs - the inputs per time step
+ * @return {Array[]} the outputs per time step
+ * @private
+ */
+RecurrentNeuralNetwork.prototype._predictExamples = function (inputs) {
+	return this.predictSequence(inputs);
+};
+
+/**
+ * Trains the network on a sequence using truncated backpropagation through time, starting from the current state
+ *
+ * The sequence is split into chunks of as many time steps as the horizon allows
+ *
+ * After every chunk, the weights are updated, while errors are not propagated back into previous chunks
+ *
+ * The state is kept afterwards so that the sequence may be continued later, while `reset` starts a new sequence
+ *
+ * @param {number[][]} inputs - the inputs per time step
+ * @param {Array.<number[]|null>} desiredOutputs - the expected outputs per time step or `null` where there is none
+ * @return {number|null} the loss averaged over all time steps with expected outputs (by default, the mean squared error)
+ * or `null` if the numeric guard has rolled back all chunks with expected outputs
+ */
+RecurrentNeuralNetwork.prototype.trainSequence = function (inputs, desiredOutputs) {
+	if (inputs.length !== desiredOutputs.length) {
+		throw "Number of input steps (`"+inputs.length+"`) and output steps (`"+desiredOutputs.length+"`) must match";
+	}
+
+	var patterns = this._preprocessPatterns(inputs, desiredOutputs);
+
+	inputs = patterns.inputs;
+	desiredOutputs = patterns.desiredOutputs;
+
+	return this._runInMode(true, function () {
+		var horizon = this._horizon || inputs.length;
+		var totalLoss = 0;
+		var totalSteps = 0;
+		var rolledBack = false;
+		var chunk;
+
+		for (var start = 0; start < inputs.length; start += horizon) {
+			chunk = this._trainChunk(inputs.slice(start, start + horizon), desiredOutputs.slice(start, start + horizon));
+
+			// chunks that have been rolled back do not count towards the loss
+			if (chunk === null) {
+				rolledBack = true;
+				continue;
+			}
+
+			totalLoss += chunk.loss;
+			totalSteps += chunk.steps;
+		}
+
+		if (totalSteps > 0) {
+			return totalLoss / totalSteps;
+		}
+
+		return rolledBack ? null : 0;
+	});
+};
+
+/**
+ * Trains the network on a single time step, starting from the current state
+ *
+ * @param {number[]} input - the input for the time step
+ * @param {number[]} desiredOutput - the expected output for the time step
+ * @return {number|null} the loss (by default, the mean squared error) or `null` if the numeric guard has rolled back the step
+ */
+RecurrentNeuralNetwork.prototype.train = function (input, desiredOutput) {
+	return this.trainSequence([ input ], [ desiredOutput ]);
+};
+
+/**
+ * Batch learning treats the training examples as independent, which is not possible for a network with state
+ */
+RecurrentNeuralNetwork.prototype.trainBatch = function () {
+	throw "Batch learning is not supported by recurrent networks, use `trainSequence` instead";
+};
+
+/**
+ * Mini-batch learning treats the training examples as independent, which is not possible for a network with state
+ */
+RecurrentNeuralNetwork.prototype.trainMiniBatch = function () {
+	throw "Mini-batch learning is not supported by recurrent networks, use `trainSequence` instead";
+};
+
+/**
+ * Runs a chunk of a sequence through the network, propagates the errors back through time and updates the weights
+ *
+ * @param {number[][]} inputs - the inputs per time step
+ * @param {Array.<number[]|null>} desiredOutputs - the expected outputs per time step or `null` where there is none
+ * @return {{loss: number, steps: number}|null} the total loss and the number of time steps with expected outputs or `null`
+ * if the numeric guard has rolled back the update
+ * @private
+ */
+RecurrentNeuralNetwork.prototype._trainChunk = function (inputs, desiredOutputs) {
+	var chunk = this._backpropagateThroughTime(inputs, desiredOutputs);
+	var snapshot = (this._numericGuard === "rollback") ? this._getParameters(true) : null;
+
+	this._releaseWeightUpdatesInNetwork();
+
+	// if the numeric guard is enabled and rejects the updated weights
+	if (this._numericGuard !== null && !this._guard(true)) {
+		this._setParameters(snapshot);
+
+		return null;
+	}
+
+	if (this._learningRateSchedule !== null) {
+		this._learningRateSchedule.onIterationEnd((chunk.steps > 0) ? chunk.loss / chunk.steps : 0);
+	}
+
+	return chunk;
+};
+
+/**
+ * Runs a chunk of a sequence through the network and accumulates the gradients by propagating the errors back through time
+ *
+ * The weights are not updated until the deferred updates are released, and the state after the last time step is kept
+ *
+ * @param {number[][]} inputs - the inputs per time step
+ * @param {Array.<number[]|null>} desiredOutputs - the expected outputs per time step or `null` where there is none
+ * @return {{loss: number, steps: number}} the total loss and the number of time steps with expected outputs
+ * @private
+ */
+RecurrentNeuralNetwork.prototype._backpropagateThroughTime = function (inputs, desiredOutputs) {
+	var numLayers = this.getNumberOfLayers();
+	var outputLayer = this.getOutputLayer();
+	var history = [];
+	var loss = 0;
+	var steps = 0;
+	var t;
+	var i;
+
+	// run the sequence forward and remember the state of every layer per time step
+	for (t = 0; t < inputs.length; t++) {
+		this._feedStep(inputs[t]);
+		history.push(this._saveStates());
+		this._updateContexts();
+
+		if (desiredOutputs[t] !== null) {
+			loss += outputLayer.calculateLoss(desiredOutputs[t], this._loss);
+			steps++;
+		}
+	}
+
+	// the state after the last time step must be restored when training is complete
+	var finalStates = this._saveStates();
+
+	// the errors that the context units pass back from the following time step, per layer
+	var contextErrors = new Array(numLayers);
+	var previousContextErrors;
+	var contextLayerIndex;
+	var layer;
+
+	// go back in time
+	for (t = inputs.length - 1; t >= 0; t--) {
+		this._restoreStates(history[t]);
+
+		// calculate and propagate back the errors from the output layer
+		outputLayer.updateDeltas(desiredOutputs[t], this._loss, contextErrors[numLayers - 1] || null);
+
+		// for all hidden layers (in reverse order)
+		for (i = numLayers - 2; i > 0; i--) {
+			this.getLayer(i).updateDeltas(contextErrors[i] || null);
+		}
+
+		// accumulate the gradients of this time step
+		this._updateWeightsInNetwork(false);
+
+		previousContextErrors = new Array(numLayers);
+
+		// pass the errors of the context units back to the layers that they have copied in the previous time step
+		for (i = 1; i < numLayers; i++) {
+			layer = this.getLayer(i);
+
+			if (layer instanceof RecurrentLayer) {
+				contextLayerIndex = this._layers.indexOf(layer.getContextLayer());
+
+				if (!previousContextErrors[contextLayerIndex]) {
+					previousContextErrors[contextLayerIndex] = new Float64Array(layer.getContextSize());
+				}
+
+				layer.addContextErrors(previousContextErrors[contextLayerIndex]);
+			}
+		}
+
+		contextErrors = previousContextErrors;
+	}
+
+	this._restoreStates(finalStates);
+
+	return {
+		loss: loss,
+		steps: steps
+	};
+};
+
+/**
+ * Accumulates the gradients of the loss for the specified sequence by propagating the errors back through the whole sequence
+ *
+ * The current state is kept so that the sequence can be run again from the same state
+ *
+ * @param {number[][]} inputs - the inputs per time step
+ * @param {Array.<number[]|null>} desiredOutputs - the expected outputs per time step or `null` where there is none
+ * @private
+ */
+RecurrentNeuralNetwork.prototype._accumulateGradients = function (inputs, desiredOutputs) {
+	var states = this._saveStates();
+
+	this._backpropagateThroughTime(inputs, desiredOutputs);
+	this._restoreStates(states);
+};
+
+/**
+ * Calculates the function whose gradients are accumulated for the specified sequence, starting from the current state
+ *
+ * @param {number[][]} inputs - the inputs per time step
+ * @param {Array.<number[]|null>} desiredOutputs - the expected outputs per time step or `null` where there is none
+ * @return {number} the total loss, scaled as its gradient, and the penalty, which is added to the gradients once per time step
+ * @private
+ */
+RecurrentNeuralNetwork.prototype._calculateObjective = function (inputs, desiredOutputs) {
+	var states = this._saveStates();
+	var outputLayer = this.getOutputLayer();
+	var scale = this._loss.getGradientScale(outputLayer.getSize());
+	var loss = 0;
+
+	for (var t = 0; t < inputs.length; t++) {
+		this._feed(inputs[t]);
+
+		if (desiredOutputs[t] !== null) {
+			loss += outputLayer.calculateLoss(desiredOutputs[t], this._loss);
+		}
+	}
+
+	this._restoreStates(states);
+
+	return scale * loss + inputs.length * this.getPenalty();
+};
+
+/**
+ * Returns copies of the current states of all layers
+ *
+ * @return {Object[]} the states per layer
+ * @private
+ */
+RecurrentNeuralNetwork.prototype._saveStates = function () {
+	var states = [];
+
+	for (var i = 0; i < this.getNumberOfLayers(); i++) {
+		states.push(this.getLayer(i).saveState());
+	}
+
+	return states;
+};
+
+/**
+ * Replaces the current states of all layers with copies that have been saved before
+ *
+ * @param {Object[]} states - the states per layer
+ * @private
+ */
+RecurrentNeuralNetwork.prototype._restoreStates = function (states) {
+	for (var i = 0; i < this.getNumberOfLayers(); i++) {
+		this.getLayer(i).restoreState(states[i]);
+	}
+};
+
+/**
+ * Returns the architecture of this network
+ *
+ * @return {string} `elman` or `jordan`
+ */
+RecurrentNeuralNetwork.prototype.getArchitecture = function () {
+	return this._architecture;
+};
+
+/**
+ * Returns the number of time steps after which the weights are updated during training
+ *
+ * @return {number|null} the horizon or `null` if the whole sequence is used
+ */
+RecurrentNeuralNetwork.prototype.getHorizon = function () {
+	return this._horizon;
+};
+
+/**
+ * Returns the type of this network as used in serialized documents
+ *
+ * @return {string} the type
+ * @private
+ */
+RecurrentNeuralNetwork.prototype._getType = function () {
+	return "Recurrent";
+};
+
+RecurrentNeuralNetwork.prototype.toJSON = function () {
+	var json = NeuralNetwork.prototype.toJSON.call(this);
+
+	json.architecture = this._architecture;
+	json.horizon = this._horizon;
+
+	return json;
+};
+
+/**
+ * Restores a neural network instance from the supplied JSON string
+ *
+ * @param {string|Object} jsonString - the JSON string (or the already parsed document) to restore from
+ * @return {RecurrentNeuralNetwork} the restored network instance
+ */
+RecurrentNeuralNetwork.fromJson = function (jsonString) {
+	var raw = (typeof jsonString === "string") ? JSON.parse(jsonString) : jsonString;
+	var data = NeuralNetwork._parseJson(raw, "Recurrent");
+
+	// documents in the original format do not contain a type and cannot describe recurrent networks
+	if (raw.type !== "Recurrent") {
+		throw "Type of serialized network (`"+raw.type+"`) and expected type (`Recurrent`) must match";
+	}
+
+	var hiddenNeurons = [];
+	for (var i = 1; i < data.layers.length - 1; i++) {
+		hiddenNeurons.push({
+			size: data.layers[i].neurons.length,
+			cell: raw.layers[i].cell,
+			gateActivation: (typeof raw.layers[i].gateActivationFunction !== "undefined") ? Registries.activationFunctions.fromJson(raw.layers[i].gateActivationFunction) : undefined
+		});
+	}
+
+	var network = new RecurrentNeuralNetwork(data.layers[0].neurons.length, hiddenNeurons, data.layers[data.layers.length - 1].neurons.length, {
+		architecture: raw.architecture,
+		horizon: raw.horizon,
+		seed: data.seed,
+		learningRate: data.learningRate,
+		optimizer: data.optimizer ? Registries.optimizers.fromJson(data.optimizer) : undefined,
+		// the loss may depend on the activation function of the output layer
+		outputLayerActivationFunction: Registries.activationFunctions.fromJson(data.layers[data.layers.length - 1].activationFunction),
+		loss: data.loss ? Registries.losses.fromJson(data.loss) : undefined,
+		l1: data.regularization ? data.regularization.l1 : undefined,
+		l2: data.regularization ? data.regularization.l2 : undefined,
+		weightDecay: data.regularization ? data.regularization.weightDecay : undefined,
+		gradientClip: data.gradientClip,
+		inputPreprocessing: NeuralNetwork._restorePreprocessingFromJson(data.inputPreprocessing),
+		outputPreprocessing: NeuralNetwork._restorePreprocessingFromJson(data.outputPreprocessing)
+	});
+
+	if (data.learningRateSchedule !== null) {
+		network.setLearningRateSchedule(Registries.learningRateSchedules.fromJson(data.learningRateSchedule));
+		// continue the schedule where it has been left off
+		network.getLearningRateSchedule().setState(data.learningRateSchedule.state || {});
+	}
+
+	network._restoreFromJson(data);
+	network._restoreRecurrentWeightsFromJson(raw.layers);
+	network._restoreGatesFromJson(raw.layers);
+
+	return network;
+};
+
+/**
+ * Restores the weights of the connections from the context units and their optimizer states
+ *
+ * @param {Object[]} layers - the serialized layers
+ * @private
+ */
+RecurrentNeuralNetwork.prototype._restoreRecurrentWeightsFromJson = function (layers) {
+	var layer;
+	var weights;
+	var states;
+	var contextSize;
+	var expectedWeights;
+
+	// for every layer except for the input layer
+	for (var i = 1; i < this.getNumberOfLayers(); i++) {
+		layer = this.getLayer(i);
+
+		if (!(layer instanceof RecurrentLayer)) {
+			continue;
+		}
+
+		weights = layers[i].recurrentWeights;
+		states = layers[i].recurrentOptimizerStates;
+		contextSize = layer.getContextLayer().getSize();
+		expectedWeights = layer.getRecurrentWeights().length;
+
+		if (!Array.isArray(weights) || weights.length !== expectedWeights) {
+			throw "Layer `"+i+"` of serialized network must contain `"+expectedWeights+"` recurrent weights";
+		}
+
+		for (var k = 0; k < weights.length; k++) {
+			if (typeof weights[k] !== "number" || !isFinite(weights[k])) {
+				throw "Recurrent weight `"+k+"` in layer `"+i+"` of serialized network must be a finite number";
+			}
+		}
+
+		if (typeof states !== "undefined" && (!Array.isArray(states) || states.length !== weights.length)) {
+			throw "Layer `"+i+"` of serialized network must contain one optimizer state per recurrent weight";
+		}
+
+		layer.setRecurrentWeights(weights);
+
+		if (states) {
+			for (var m = 0; m < states.length; m++) {
+				// the weights are stored with one row per neuron
+				layer.setRecurrentWeightOptimizerState(Math.floor(m / contextSize), m % contextSize, states[m]);
+			}
+		}
+	}
+};
+
+/**
+ * Restores the weights and biases of the gates in layers with gated cells and their optimizer states
+ *
+ * @param {Object[]} layers - the serialized layers
+ * @private
+ */
+RecurrentNeuralNetwork.prototype._restoreGatesFromJson = function (layers) {
+	var layer;
+	var gates;
+	var expected;
+	var k;
+
+	// for every hidden layer
+	for (var i = 1; i < this.getNumberOfLayers() - 1; i++) {
+		layer = this.getLayer(i);
+
+		if (!(layer instanceof GatedLayer)) {
+			continue;
+		}
+
+		gates = layers[i].gates;
+		expected = {
+			weights: layer.getGateWeights().length,
+			biases: layer.getGateBiases().length
+		};
+
+		if (typeof gates !== "object" || gates === null || !Array.isArray(gates.weights) || gates.weights.length !== expected.weights || !Array.isArray(gates.biases) || gates.biases.length !== expected.biases) {
+			throw "Layer `"+i+"` of serialized network must contain `"+expected.weights+"` weights and `"+expected.biases+"` biases of gates";
+		}
+
+		for (k = 0; k < gates.weights.length; k++) {
+			if (typeof gates.weights[k] !== "number" || !isFinite(gates.weights[k])) {
+				throw "Weight `"+k+"` of gates in layer `"+i+"` of serialized network must be a finite number";
+			}
+		}
+
+		for (k = 0; k < gates.biases.length; k++) {
+			if (typeof gates.biases[k] !== "number" || !isFinite(gates.biases[k])) {
+				throw "Bias `"+k+"` of gates in layer `"+i+"` of serialized network must be a finite number";
+			}
+		}
+
+		if (typeof gates.weightOptimizerStates !== "undefined" || typeof gates.biasOptimizerStates !== "undefined") {
+			if (!Array.isArray(gates.weightOptimizerStates) || gates.weightOptimizerStates.length !== expected.weights || !Array.isArray(gates.biasOptimizerStates) || gates.biasOptimizerStates.length !== expected.biases) {
+				throw "Layer `"+i+"` of serialized network must contain one optimizer state per weight and bias of gates";
+			}
+
+			layer.setGateOptimizerStates({
+				weights: gates.weightOptimizerStates,
+				biases: gates.biasOptimizerStates
+			});
+		}
+
+		layer.setGateWeights(gates.weights);
+		layer.setGateBiases(gates.biases);
+	}
+};
+
+/**
+ * Restores a neural network instance from the supplied buffer in the compact binary format
+ *
+ * @param {ArrayBuffer|ArrayBufferView} buffer - the buffer to restore from, e.g. an `ArrayBuffer` or a `Buffer`
+ * @return {RecurrentNeuralNetwork} the restored network instance
+ */
+RecurrentNeuralNetwork.fromBuffer = function (buffer) {
+	return RecurrentNeuralNetwork.fromJson(BinaryFormat.decode(buffer));
+};
+
+module.exports = RecurrentNeuralNetwork;
@@ -0,0 +1,104 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Registry = require("./Registry.js");
+
+var ArcTangent = require("./activation/ArcTangent.js");
+var BinaryStep = require("./activation/BinaryStep.js");
+var ExponentialLinearUnit = require("./activation/ExponentialLinearUnit.js");
+var GaussianErrorLinearUnit = require("./activation/GaussianErrorLinearUnit.js");
+var GaussianFunction = require("./activation/GaussianFunction.js");
+var HardHyperbolicTangent = require("./activation/HardHyperbolicTangent.js");
+var HardSigmoid = require("./activation/HardSigmoid.js");
+var HyperbolicTangent = require("./activation/HyperbolicTangent.js");
+var Identity = require("./activation/Identity.js");
+var LogisticFunction = require("./activation/LogisticFunction.js");
+var RectifiedLinearUnit = require("./activation/RectifiedLinearUnit.js");
+var ScaledExponentialLinearUnit = require("./activation/ScaledExponentialLinearUnit.js");
+var SinusoidFunction = require("./activation/SinusoidFunction.js");
+var Softmax = require("./activation/Softmax.js");
+var Softplus = require("./activation/Softplus.js");
+var Softsign = require("./activation/Softsign.js");
+var Swish = require("./activation/Swish.js");
+
+var AdaptiveGradient = require("./optimizer/AdaptiveGradient.js");
+var AdaptiveMomentEstimation = require("./optimizer/AdaptiveMomentEstimation.js");
+var Momentum = require("./optimizer/Momentum.js");
+var NesterovMomentum = require("./optimizer/NesterovMomentum.js");
+var RootMeanSquarePropagation = require("./optimizer/RootMeanSquarePropagation.js");
+var StochasticGradientDescent = require("./optimizer/StochasticGradientDescent.js");
+
+var CategoricalCrossEntropy = require("./loss/CategoricalCrossEntropy.js");
+var CrossEntropy = require("./loss/CrossEntropy.js");
+var HuberLoss = require("./loss/HuberLoss.js");
+var MeanAbsoluteError = require("./loss/MeanAbsoluteError.js");
+var MeanSquaredError = require("./loss/MeanSquaredError.js");
+
+var CosineAnnealing = require("./schedule/CosineAnnealing.js");
+var ExponentialDecay = require("./schedule/ExponentialDecay.js");
+var LinearWarmup = require("./schedule/LinearWarmup.js");
+var ReduceOnPlateau = require("./schedule/ReduceOnPlateau.js");
+var StepDecay = require("./schedule/StepDecay.js");
+
+var LabelEncoder = require("./preprocessing/LabelEncoder.js");
+var MinMaxScaler = require("./preprocessing/MinMaxScaler.js");
+var OneHotEncoder = require("./preprocessing/OneHotEncoder.js");
+var RobustScaler = require("./preprocessing/RobustScaler.js");
+var StandardScaler = require("./preprocessing/StandardScaler.js");
+
+/** The registries for all classes that can be part of a serialized network */
+module.exports = {
+	activationFunctions: new Registry("activation function", [
+		ArcTangent,
+		BinaryStep,
+		ExponentialLinearUnit,
+		GaussianErrorLinearUnit,
+		GaussianFunction,
+		HardHyperbolicTangent,
+		HardSigmoid,
+		HyperbolicTangent,
+		Identity,
+		LogisticFunction,
+		RectifiedLinearUnit,
+		ScaledExponentialLinearUnit,
+		SinusoidFunction,
+		Softmax,
+		Softplus,
+		Softsign,
+		Swish
+	]),
+	optimizers: new Registry("optimizer", [
+		AdaptiveGradient,
+		AdaptiveMomentEstimation,
+		Momentum,
+		NesterovMomentum,
+		RootMeanSquarePropagation,
+		StochasticGradientDescent
+	]),
+	losses: new Registry("loss function", [
+		CategoricalCrossEntropy,
+		CrossEntropy,
+		HuberLoss,
+		MeanAbsoluteError,
+		MeanSquaredError
+	]),
+	learningRateSchedules: new Registry("learning rate schedule", [
+		CosineAnnealing,
+		ExponentialDecay,
+		LinearWarmup,
+		ReduceOnPlateau,
+		StepDecay
+	]),
+	preprocessors: new Registry("preprocessor", [
+		LabelEncoder,
+		MinMaxScaler,
+		OneHotEncoder,
+		RobustScaler,
+		StandardScaler
+	])
+};
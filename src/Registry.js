@@ -0,0 +1,93 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+/**
+ * Registry that restores serialized instances of related classes, e.g. activation functions, by their names
+ *
+ * Serialized instances are objects with the name of the class and the parameters passed to its constructor
+ *
+ * @param {string} kind - the kind of classes in this registry, as used in error messages
+ * @param {function[]} constructors - the constructors to register initially
+ * @constructor
+ */
+function Registry(kind, constructors) {
+
+	/**
+	 * The kind of classes in this registry
+	 *
+	 * @type {string}
+	 * @private
+	 */
+	this._kind = kind;
+
+	/**
+	 * The registered constructors by their names
+	 *
+	 * @type {Object.<string, function>}
+	 * @private
+	 */
+	this._constructors = {};
+
+	for (var i = 0; i < constructors.length; i++) {
+		this.register(constructors[i]);
+	}
+
+}
+
+/**
+ * Registers the specified constructor so that its instances can be restored
+ *
+ * Custom classes must be registered before networks using them can be restored
+ *
+ * @param {function} constructor - the constructor to register under its name
+ */
+Registry.prototype.register = function (constructor) {
+	this._constructors[constructor.name] = constructor;
+};
+
+/**
+ * Creates a new instance of the class with the specified name
+ *
+ * @param {string} name - the name of the class
+ * @param {Array} [parameters] - the parameters to pass to the constructor
+ * @return {Object} the new instance
+ */
+Registry.prototype.create = function (name, parameters) {
+	if (!this._constructors.hasOwnProperty(name)) {
+		throw "Undefined "+this._kind+" `"+name+"`";
+	}
+
+	var Constructor = this._constructors[name];
+
+	// pass the parameters as individual arguments to the constructor
+	return new (Function.prototype.bind.apply(Constructor, [ null ].concat(parameters || [])))();
+};
+
+/**
+ * Restores an instance from the supplied serialized form
+ *
+ * @param {Object|string} json - the object with the name and parameters or (in older documents) the name only
+ * @return {Object} the restored instance
+ */
+Registry.prototype.fromJson = function (json) {
+	if (typeof json === "string") {
+		return this.create(json);
+	}
+
+	if (typeof json !== "object" || json === null || typeof json.name !== "string") {
+		throw "Invalid "+this._kind+" `"+JSON.stringify(json)+"`";
+	}
+
+	if (typeof json.parameters !== "undefined" && !Array.isArray(json.parameters)) {
+		throw "Parameters of "+this._kind+" `"+json.name+"` must be an array";
+	}
+
+	return this.create(json.name, json.parameters);
+};
+
+module.exports = Registry;
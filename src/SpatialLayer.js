@@ -0,0 +1,221 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Layer = require("./Layer.js");
+
+/**
+ * A hidden layer that slides a window over the height and width of its input and processes all channels at every position
+ *
+ * The input and the activations are stored row after row and position after position, with all channels of a position next to each other
+ *
+ * One-dimensional layers are treated as two-dimensional layers with a height of `1`
+ *
+ * @param {Object} geometry
+ * @param {number} geometry.dimensions - the number of dimensions, i.e. `1` or `2`
+ * @param {number[]} geometry.inputShape - the height, width and number of channels of the input
+ * @param {number[]} geometry.windowSize - the height and width of the window
+ * @param {number[]} geometry.stride - the vertical and horizontal distances between the positions of the window
+ * @param {string|number[]} geometry.padding - `valid` for no padding, `same` to keep the size for a stride of `1`, or the number of zeros to add on either side vertically and horizontally
+ * @param {number} channels - the number of channels of the activations
+ * @param {ActivationFunction} activationFunction - the activation function that this layer should use
+ * @param {Prng} prng - the PRNG that this layer should use
+ * @constructor
+ * @extends Layer
+ * @abstract
+ */
+function SpatialLayer(geometry, channels, activationFunction, prng) {
+
+	var offset = [];
+	var outputShape = [];
+	var input;
+	var total;
+
+	// for the vertical and the horizontal axis
+	for (var a = 0; a < 2; a++) {
+		input = geometry.inputShape[a];
+
+		if (geometry.padding === "valid") {
+			total = 0;
+		}
+		else if (geometry.padding === "same") {
+			total = Math.max((Math.ceil(input / geometry.stride[a]) - 1) * geometry.stride[a] + geometry.windowSize[a] - input, 0);
+		}
+		else {
+			total = 2 * geometry.padding[a];
+		}
+
+		// put the larger half of the padding after the input
+		offset.push(Math.floor(total / 2));
+		outputShape.push(Math.floor((input + total - geometry.windowSize[a]) / geometry.stride[a]) + 1);
+
+		if (outputShape[a] < 1) {
+			throw "Window of size `"+geometry.windowSize.join("x")+"` does not fit into input of shape `"+geometry.inputShape.join("x")+"`";
+		}
+	}
+
+	outputShape.push(channels);
+
+	// call the super class's constructor
+	Layer.call(this, outputShape[0] * outputShape[1] * channels, activationFunction, prng);
+
+	/**
+	 * The number of dimensions, i.e. `1` or `2`
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._dimensions = geometry.dimensions;
+
+	/**
+	 * The height, width and number of channels of the input
+	 *
+	 * @type {number[]}
+	 * @private
+	 */
+	this._inputShape = geometry.inputShape;
+
+	/**
+	 * The height and width of the window
+	 *
+	 * @type {number[]}
+	 * @private
+	 */
+	this._windowSize = geometry.windowSize;
+
+	/**
+	 * The vertical and horizontal distances between the positions of the window
+	 *
+	 * @type {number[]}
+	 * @private
+	 */
+	this._stride = geometry.stride;
+
+	/**
+	 * The padding as it has been specified
+	 *
+	 * @type {string|number[]}
+	 * @private
+	 */
+	this._padding = geometry.padding;
+
+	/**
+	 * The number of zeros that are added before the input vertically and horizontally
+	 *
+	 * @type {number[]}
+	 * @private
+	 */
+	this._offset = offset;
+
+	/**
+	 * The height, width and number of channels of the activations
+	 *
+	 * @type {number[]}
+	 * @private
+	 */
+	this._outputShape = outputShape;
+
+}
+
+// create a prototype that inherits from the super class's prototype
+SpatialLayer.prototype = Object.create(Layer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+SpatialLayer.prototype.constructor = SpatialLayer;
+
+/**
+ * Computes the inputs of this layer from the activations of the previous layer
+ *
+ * @private
+ */
+SpatialLayer.prototype._calculateInputs = function () {
+	this._slide(this._previousLayer._activations, 0, this._inputs, 0, true);
+};
+
+/**
+ * Computes the activations of this layer for the specified rows of activations from the previous layer
+ *
+ * This does not change the state of the layer
+ *
+ * @param {Float64Array} previousActivations - the rows of activations of the previous layer, stored consecutively
+ * @param {number} numRows - the number of rows
+ * @return {Float64Array} the rows of activations, stored consecutively
+ */
+SpatialLayer.prototype.feedForwardBatch = function (previousActivations, numRows) {
+	var size = this._inputs.length;
+	var previousSize = this._previousLayer.getSize();
+	var activations = new Float64Array(numRows * size);
+
+	// for every row
+	for (var r = 0; r < numRows; r++) {
+		this._slide(previousActivations, r * previousSize, activations, r * size, false);
+	}
+
+	this._activateBatch(activations, numRows);
+
+	return activations;
+};
+
+/**
+ * Slides the window over one row of activations of the previous layer and writes the inputs of this layer
+ *
+ * @abstract
+ * @param {Float64Array} previousActivations - the activations of the previous layer
+ * @param {number} previousOffset - the index of the first activation of the row
+ * @param {Float64Array} results - the array to write the inputs to
+ * @param {number} resultOffset - the index of the first input to write
+ * @param {boolean} current - whether the row is the current input of this layer, as opposed to part of a batch
+ * @private
+ */
+SpatialLayer.prototype._slide = function (previousActivations, previousOffset, results, resultOffset, current) {
+	throw "Method not implemented in subclass `"+this.constructor.name+"`";
+};
+
+/**
+ * Returns the shape of the activations of this layer
+ *
+ * @return {number[]} the height, width and number of channels
+ */
+SpatialLayer.prototype.getShape = function () {
+	return this._outputShape.slice();
+};
+
+/**
+ * Returns whether every neuron in this layer has its own connection with its own weight to every neuron in the previous layer
+ *
+ * @return {boolean} always `false`, since every neuron only sees a window of the input
+ */
+SpatialLayer.prototype.isFullyConnected = function () {
+	return false;
+};
+
+/**
+ * Returns the number of dimensions
+ *
+ * @return {number} `1` or `2`
+ */
+SpatialLayer.prototype.getDimensions = function () {
+	return this._dimensions;
+};
+
+/**
+ * Describes the geometry of this layer for serialized documents, with as many values per setting as there are dimensions
+ *
+ * @return {Object} the description
+ * @private
+ */
+SpatialLayer.prototype._getGeometryJson = function () {
+	var skip = 2 - this._dimensions;
+
+	return {
+		"dimensions": this._dimensions,
+		"inputShape": this._inputShape.slice(skip),
+		"stride": this._stride.slice(skip),
+		"padding": (typeof this._padding === "string") ? this._padding : this._padding.slice(skip)
+	};
+};
+
+module.exports = SpatialLayer;
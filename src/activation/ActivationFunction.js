@@ -6,6 +6,8 @@
 
 "use strict";
 
+var GradientCheck = require("../GradientCheck.js");
+
 /**
  * Activation function for an artificial neural network
  *
@@ -91,10 +93,147 @@ function ActivationFunction() {
 		throw "Method not implemented in subclass `"+this.constructor.name+"`";
 	};
 
+	/**
+	 * Returns the parameters that this function has been created with
+	 *
+	 * @return {number[]} the parameters in the order that the constructor expects them
+	 */
+	this.getParameters = function () {
+		return [];
+	};
+
+	/**
+	 * Returns whether this function is applied to every neuron on its own (as opposed to a whole layer at once)
+	 *
+	 * @return {boolean} whether the function is element-wise
+	 */
+	this.isElementWise = function () {
+		return true;
+	};
+
+	/**
+	 * Evaluates the function for all neurons of a layer at once
+	 *
+	 * @param {number[]} inputs - the inputs of all neurons in the layer
+	 * @return {number[]} the activations of all neurons in the layer
+	 */
+	this.evaluateLayer = function (inputs) {
+		var activations = [];
+
+		for (var i = 0; i < inputs.length; i++) {
+			activations.push(this.evaluate(inputs[i]));
+		}
+
+		return activations;
+	};
+
+	/**
+	 * Propagates gradients with respect to the activations of a layer back to its inputs using the chain rule
+	 *
+	 * @param {number[]} inputs - the inputs of all neurons in the layer
+	 * @param {number[]} gradients - the gradients with respect to the activations of all neurons in the layer
+	 * @return {number[]} the gradients with respect to the inputs of all neurons in the layer
+	 */
+	this.backpropagateLayer = function (inputs, gradients) {
+		var result = [];
+
+		for (var i = 0; i < inputs.length; i++) {
+			result.push(this.evaluateDerivative(inputs[i]) * gradients[i]);
+		}
+
+		return result;
+	};
+
 }
 
 ActivationFunction.prototype.toJSON = function () {
-	return this.constructor.name;
+	return {
+		"name": this.constructor.name,
+		"parameters": this.getParameters()
+	};
+};
+
+/**
+ * Compares the derivative of this function with numerical approximations by finite differences at points in a range
+ *
+ * This verifies custom functions, since a wrong derivative does not cause errors but lets training slowly diverge
+ *
+ * The points are the centers of equally wide intervals, which avoids the kinks of many functions at round numbers
+ *
+ * Functions that are applied to whole layers are checked with the inputs `[x, 0, -x]` for every point `x`, comparing
+ * the partial derivatives of all activations with respect to all inputs
+ *
+ * @param {Object} [options]
+ * @param {number} [options.from] - the start of the range, e.g. `-5`
+ * @param {number} [options.to] - the end of the range, e.g. `5`
+ * @param {number} [options.points] - the number of points to check, e.g. `100`
+ * @param {number} [options.epsilon] - the step for the finite differences, e.g. `1e-6`
+ * @param {number} [options.worst] - the number of derivatives with the largest errors to report, e.g. `5`
+ * @return {{maxRelativeError: number, worst: Object[]}} the largest relative error and the worst derivatives
+ */
+ActivationFunction.prototype.checkDerivative = function (options) {
+	options = options || {};
+
+	var from = (typeof options.from === "number") ? options.from : -5;
+	var to = (typeof options.to === "number") ? options.to : 5;
+	var points = (typeof options.points === "undefined") ? 100 : options.points;
+	var epsilon = GradientCheck.parseStep(options.epsilon);
+	var worst = (typeof options.worst === "number") ? options.worst : 5;
+
+	if (typeof points !== "number" || points % 1 !== 0 || points < 1) {
+		throw "Number of points (`"+points+"`) must be a positive integer";
+	}
+
+	var derivatives = [];
+	var x;
+	var inputs;
+	var gradients;
+	var analytic;
+	var plus;
+	var minus;
+	var numerical;
+
+	for (var p = 0; p < points; p++) {
+		x = from + (p + 0.5) * (to - from) / points;
+
+		inputs = this.isElementWise() ? [ x ] : [ x, 0, -x ];
+
+		// for every activation
+		for (var j = 0; j < inputs.length; j++) {
+			gradients = inputs.map(function (input, k) {
+				return (k === j) ? 1 : 0;
+			});
+
+			// the partial derivatives of the activation with respect to all inputs
+			analytic = this.backpropagateLayer(inputs, gradients);
+
+			// for every input
+			for (var i = 0; i < inputs.length; i++) {
+				plus = inputs.slice();
+				plus[i] += epsilon;
+				minus = inputs.slice();
+				minus[i] -= epsilon;
+
+				numerical = (this.evaluateLayer(plus)[j] - this.evaluateLayer(minus)[j]) / (2 * epsilon);
+
+				derivatives.push({
+					inputs: inputs,
+					activation: j,
+					input: i,
+					analytic: analytic[i],
+					numerical: numerical,
+					relativeError: GradientCheck.getRelativeError(analytic[i], numerical)
+				});
+			}
+		}
+	}
+
+	GradientCheck.sortByRelativeError(derivatives);
+
+	return {
+		maxRelativeError: (derivatives.length > 0) ? derivatives[0].relativeError : 0,
+		worst: derivatives.slice(0, worst)
+	};
 };
 
 module.exports = ActivationFunction;
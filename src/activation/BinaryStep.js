@@ -31,12 +31,8 @@ function BinaryStep() {
 	};
 
 	this.evaluateDerivative = function (x) {
-		if (x !== 0) {
-			return 0;
-		}
-		else {
-			return Number.NaN;
-		}
+		// the derivative is undefined at zero, where `0` is used just as everywhere else so that no `NaN` can spread
+		return 0;
 	};
 
 	this.getLowerBound = function () {
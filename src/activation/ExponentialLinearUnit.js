@@ -0,0 +1,84 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var ActivationFunction = require("./ActivationFunction.js");
+
+/**
+ * Exponential Linear Unit (ELU) that can be used as an activation function
+ *
+ * This function behaves like a rectified linear unit for positive input and saturates smoothly for negative input
+ *
+ * As negative output is possible, the mean activation is pushed closer to zero, which may speed up learning
+ *
+ * @constructor
+ * @extends ActivationFunction
+ * @param {number} [alpha] - the value that the function approaches for negative input, negated, i.e. `1` by default
+ */
+function ExponentialLinearUnit(alpha) {
+
+	// call the super class's constructor
+	ActivationFunction.call(this);
+
+	/**
+	 * The value that the function approaches for negative input, negated
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._alpha = (typeof alpha === "number") ? alpha : 1;
+
+	this.evaluate = function (x) {
+		if (x < 0) {
+			return this._alpha * Math.expm1(x);
+		}
+		else {
+			return x;
+		}
+	};
+
+	this.evaluateDerivative = function (x) {
+		if (x < 0) {
+			return this._alpha * Math.exp(x);
+		}
+		else {
+			return 1;
+		}
+	};
+
+	this.getLowerBound = function () {
+		return -this._alpha;
+	};
+
+	this.getUpperBound = function () {
+		return Number.POSITIVE_INFINITY;
+	};
+
+	this.isMonotonic = function () {
+		return this._alpha >= 0;
+	};
+
+	this.isDerivativeMonotonic = function () {
+		return this._alpha >= 0 && this._alpha <= 1;
+	};
+
+	this.isCenteredAroundZero = function () {
+		return false;
+	};
+
+	this.getParameters = function () {
+		return [ this._alpha ];
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+ExponentialLinearUnit.prototype = Object.create(ActivationFunction.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+ExponentialLinearUnit.prototype.constructor = ExponentialLinearUnit;
+
+module.exports = ExponentialLinearUnit;
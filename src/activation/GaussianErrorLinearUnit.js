@@ -0,0 +1,95 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var ActivationFunction = require("./ActivationFunction.js");
+var HyperbolicTangent = require("./HyperbolicTangent.js");
+
+/**
+ * Gaussian Error Linear Unit (GELU) that can be used as an activation function
+ *
+ * This function weights the input by the probability that a standard normal variable is smaller than the input
+ *
+ * The common approximation using the hyperbolic tangent is used, as JavaScript has no built-in error function
+ *
+ * @constructor
+ * @extends ActivationFunction
+ */
+function GaussianErrorLinearUnit() {
+
+	// call the super class's constructor
+	ActivationFunction.call(this);
+
+	/**
+	 * The hyperbolic tangent used to approximate the cumulative distribution function of the normal distribution
+	 *
+	 * @type {HyperbolicTangent}
+	 * @private
+	 */
+	this._tanh = new HyperbolicTangent();
+
+	this.evaluate = function (x) {
+		return 0.5 * x * (1 + this._tanh.evaluate(GaussianErrorLinearUnit.SCALE * (x + 0.044715 * Math.pow(x, 3))));
+	};
+
+	this.evaluateDerivative = function (x) {
+		var inner = GaussianErrorLinearUnit.SCALE * (x + 0.044715 * Math.pow(x, 3));
+		var tanh = this._tanh.evaluate(inner);
+		var tanhDerivative = 1 - Math.pow(tanh, 2);
+
+		// once the hyperbolic tangent has saturated, the second term vanishes (even if the inner derivative overflows)
+		if (tanhDerivative === 0) {
+			return 0.5 * (1 + tanh);
+		}
+
+		var innerDerivative = GaussianErrorLinearUnit.SCALE * (1 + 3 * 0.044715 * Math.pow(x, 2));
+
+		return 0.5 * (1 + tanh) + 0.5 * x * tanhDerivative * innerDerivative;
+	};
+
+	this.getLowerBound = function () {
+		return GaussianErrorLinearUnit.MINIMUM;
+	};
+
+	this.getUpperBound = function () {
+		return Number.POSITIVE_INFINITY;
+	};
+
+	this.isMonotonic = function () {
+		return false;
+	};
+
+	this.isDerivativeMonotonic = function () {
+		return false;
+	};
+
+	this.isCenteredAroundZero = function () {
+		return false;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+GaussianErrorLinearUnit.prototype = Object.create(ActivationFunction.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+GaussianErrorLinearUnit.prototype.constructor = GaussianErrorLinearUnit;
+
+/**
+ * The factor `sqrt(2 / pi)` used by the approximation
+ *
+ * @type {number}
+ */
+GaussianErrorLinearUnit.SCALE = Math.sqrt(2 / Math.PI);
+
+/**
+ * The minimum of the approximated function
+ *
+ * @type {number}
+ */
+GaussianErrorLinearUnit.MINIMUM = -0.17004075057121573;
+
+module.exports = GaussianErrorLinearUnit;
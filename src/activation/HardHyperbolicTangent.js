@@ -0,0 +1,64 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var ActivationFunction = require("./ActivationFunction.js");
+
+/**
+ * Hard hyperbolic tangent (also hard `tanh`), a piecewise linear approximation, that can be used as an activation function
+ *
+ * This function is the identity clipped to the range from `-1` to `1` and is cheaper to compute than the original
+ *
+ * @constructor
+ * @extends ActivationFunction
+ */
+function HardHyperbolicTangent() {
+
+	// call the super class's constructor
+	ActivationFunction.call(this);
+
+	this.evaluate = function (x) {
+		return Math.max(-1, Math.min(1, x));
+	};
+
+	this.evaluateDerivative = function (x) {
+		if (x > -1 && x < 1) {
+			return 1;
+		}
+		else {
+			return 0;
+		}
+	};
+
+	this.getLowerBound = function () {
+		return -1;
+	};
+
+	this.getUpperBound = function () {
+		return 1;
+	};
+
+	this.isMonotonic = function () {
+		return true;
+	};
+
+	this.isDerivativeMonotonic = function () {
+		return false;
+	};
+
+	this.isCenteredAroundZero = function () {
+		return true;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+HardHyperbolicTangent.prototype = Object.create(ActivationFunction.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+HardHyperbolicTangent.prototype.constructor = HardHyperbolicTangent;
+
+module.exports = HardHyperbolicTangent;
@@ -0,0 +1,64 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var ActivationFunction = require("./ActivationFunction.js");
+
+/**
+ * Hard sigmoid, a piecewise linear approximation of the logistic function, that can be used as an activation function
+ *
+ * This function is `0.2 * x + 0.5` clipped to the range from `0` to `1` and is cheaper to compute than the original
+ *
+ * @constructor
+ * @extends ActivationFunction
+ */
+function HardSigmoid() {
+
+	// call the super class's constructor
+	ActivationFunction.call(this);
+
+	this.evaluate = function (x) {
+		return Math.max(0, Math.min(1, 0.2 * x + 0.5));
+	};
+
+	this.evaluateDerivative = function (x) {
+		if (x > -2.5 && x < 2.5) {
+			return 0.2;
+		}
+		else {
+			return 0;
+		}
+	};
+
+	this.getLowerBound = function () {
+		return 0;
+	};
+
+	this.getUpperBound = function () {
+		return 1;
+	};
+
+	this.isMonotonic = function () {
+		return true;
+	};
+
+	this.isDerivativeMonotonic = function () {
+		return false;
+	};
+
+	this.isCenteredAroundZero = function () {
+		return false;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+HardSigmoid.prototype = Object.create(ActivationFunction.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+HardSigmoid.prototype.constructor = HardSigmoid;
+
+module.exports = HardSigmoid;
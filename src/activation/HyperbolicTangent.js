@@ -24,7 +24,11 @@ function HyperbolicTangent() {
 	ActivationFunction.call(this);
 
 	this.evaluate = function (x) {
-		return (Math.exp(x) - Math.exp(-x)) / (Math.exp(x) + Math.exp(-x));
+		// only use the exponential of a non-positive number so that it cannot overflow for inputs of large magnitude
+		var exponential = Math.expm1(-2 * Math.abs(x));
+		var result = -exponential / (2 + exponential);
+
+		return (x < 0) ? -result : result;
 	};
 
 	this.evaluateDerivative = function (x) {
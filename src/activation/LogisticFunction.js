@@ -28,11 +28,21 @@ function LogisticFunction() {
 	ActivationFunction.call(this);
 
 	this.evaluate = function (x) {
-		return 1 / (1 + Math.exp(-x));
+		// only use the exponential of a non-positive number so that it cannot overflow for inputs of large magnitude
+		if (x >= 0) {
+			return 1 / (1 + Math.exp(-x));
+		}
+		else {
+			var exponential = Math.exp(x);
+
+			return exponential / (1 + exponential);
+		}
 	};
 
 	this.evaluateDerivative = function (x) {
-		return this.evaluate(x) * (1 - this.evaluate(x));
+		var y = this.evaluate(x);
+
+		return y * (1 - y);
 	};
 
 	this.getLowerBound = function () {
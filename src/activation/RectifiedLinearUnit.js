@@ -83,6 +83,10 @@ function RectifiedLinearUnit(parameter) {
 		return false;
 	};
 
+	this.getParameters = function () {
+		return [ this._parameter ];
+	};
+
 }
 
 // create a prototype that inherits from the super class's prototype
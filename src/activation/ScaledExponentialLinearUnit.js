@@ -0,0 +1,85 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var ActivationFunction = require("./ActivationFunction.js");
+
+/**
+ * Scaled Exponential Linear Unit (SELU) that can be used as an activation function
+ *
+ * This function is a scaled version of the exponential linear unit with fixed constants
+ *
+ * With suitably initialized weights, the constants make the activations converge to a mean of zero and unit variance
+ *
+ * @constructor
+ * @extends ActivationFunction
+ */
+function ScaledExponentialLinearUnit() {
+
+	// call the super class's constructor
+	ActivationFunction.call(this);
+
+	this.evaluate = function (x) {
+		if (x < 0) {
+			return ScaledExponentialLinearUnit.LAMBDA * ScaledExponentialLinearUnit.ALPHA * Math.expm1(x);
+		}
+		else {
+			return ScaledExponentialLinearUnit.LAMBDA * x;
+		}
+	};
+
+	this.evaluateDerivative = function (x) {
+		if (x < 0) {
+			return ScaledExponentialLinearUnit.LAMBDA * ScaledExponentialLinearUnit.ALPHA * Math.exp(x);
+		}
+		else {
+			return ScaledExponentialLinearUnit.LAMBDA;
+		}
+	};
+
+	this.getLowerBound = function () {
+		return -ScaledExponentialLinearUnit.LAMBDA * ScaledExponentialLinearUnit.ALPHA;
+	};
+
+	this.getUpperBound = function () {
+		return Number.POSITIVE_INFINITY;
+	};
+
+	this.isMonotonic = function () {
+		return true;
+	};
+
+	this.isDerivativeMonotonic = function () {
+		return false;
+	};
+
+	this.isCenteredAroundZero = function () {
+		return false;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+ScaledExponentialLinearUnit.prototype = Object.create(ActivationFunction.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+ScaledExponentialLinearUnit.prototype.constructor = ScaledExponentialLinearUnit;
+
+/**
+ * The factor that the output is scaled by
+ *
+ * @type {number}
+ */
+ScaledExponentialLinearUnit.LAMBDA = 1.0507009873554805;
+
+/**
+ * The value that the unscaled function approaches for negative input, negated
+ *
+ * @type {number}
+ */
+ScaledExponentialLinearUnit.ALPHA = 1.6732632423543772;
+
+module.exports = ScaledExponentialLinearUnit;
@@ -0,0 +1,107 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var ActivationFunction = require("./ActivationFunction.js");
+
+/**
+ * Softmax function (also "normalized exponential function") that can be used as an activation function
+ *
+ * This function turns the inputs of a whole layer into a probability distribution that sums up to `1`
+ *
+ * The function is typically used in the output layer for classification with mutually exclusive classes
+ *
+ * It should be paired with categorical cross-entropy as the loss so that the gradient simplifies nicely
+ *
+ * Since every activation depends on all inputs of the layer, the function cannot be evaluated for single neurons
+ *
+ * @constructor
+ * @extends ActivationFunction
+ */
+function Softmax() {
+
+	// call the super class's constructor
+	ActivationFunction.call(this);
+
+	this.evaluate = function (x) {
+		throw "Function `"+this.constructor.name+"` can only be evaluated for a whole layer";
+	};
+
+	this.evaluateDerivative = function (x) {
+		throw "Function `"+this.constructor.name+"` can only be evaluated for a whole layer";
+	};
+
+	this.getLowerBound = function () {
+		return 0;
+	};
+
+	this.getUpperBound = function () {
+		return 1;
+	};
+
+	this.isMonotonic = function () {
+		return true;
+	};
+
+	this.isDerivativeMonotonic = function () {
+		return false;
+	};
+
+	this.isCenteredAroundZero = function () {
+		return false;
+	};
+
+	this.isElementWise = function () {
+		return false;
+	};
+
+	this.evaluateLayer = function (inputs) {
+		// subtract the largest input from all inputs so that the exponentials cannot overflow
+		var max = Math.max.apply(null, inputs);
+		var exponentials = [];
+		var sum = 0;
+
+		for (var i = 0; i < inputs.length; i++) {
+			exponentials.push(Math.exp(inputs[i] - max));
+			sum += exponentials[i];
+		}
+
+		for (var k = 0; k < inputs.length; k++) {
+			exponentials[k] /= sum;
+		}
+
+		return exponentials;
+	};
+
+	this.backpropagateLayer = function (inputs, gradients) {
+		var activations = this.evaluateLayer(inputs);
+
+		// the weighted average of the gradients, using the activations as the weights
+		var average = 0;
+
+		for (var i = 0; i < activations.length; i++) {
+			average += activations[i] * gradients[i];
+		}
+
+		var result = [];
+
+		// multiply with the Jacobian matrix, which is `s_i * (δ_ij - s_j)` for the activations `s`
+		for (var k = 0; k < activations.length; k++) {
+			result.push(activations[k] * (gradients[k] - average));
+		}
+
+		return result;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+Softmax.prototype = Object.create(ActivationFunction.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+Softmax.prototype.constructor = Softmax;
+
+module.exports = Softmax;
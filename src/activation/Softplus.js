@@ -0,0 +1,67 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var ActivationFunction = require("./ActivationFunction.js");
+
+/**
+ * Softplus that can be used as an activation function
+ *
+ * This function is a smooth approximation of the rectified linear unit whose derivative is the logistic function
+ *
+ * @constructor
+ * @extends ActivationFunction
+ */
+function Softplus() {
+
+	// call the super class's constructor
+	ActivationFunction.call(this);
+
+	this.evaluate = function (x) {
+		// rewritten as `max(x, 0) + log(1 + e^(-|x|))` so that the exponential cannot overflow
+		return Math.max(x, 0) + Math.log1p(Math.exp(-Math.abs(x)));
+	};
+
+	this.evaluateDerivative = function (x) {
+		if (x >= 0) {
+			return 1 / (1 + Math.exp(-x));
+		}
+		else {
+			var exponential = Math.exp(x);
+
+			return exponential / (1 + exponential);
+		}
+	};
+
+	this.getLowerBound = function () {
+		return 0;
+	};
+
+	this.getUpperBound = function () {
+		return Number.POSITIVE_INFINITY;
+	};
+
+	this.isMonotonic = function () {
+		return true;
+	};
+
+	this.isDerivativeMonotonic = function () {
+		return true;
+	};
+
+	this.isCenteredAroundZero = function () {
+		return false;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+Softplus.prototype = Object.create(ActivationFunction.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+Softplus.prototype.constructor = Softplus;
+
+module.exports = Softplus;
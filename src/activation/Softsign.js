@@ -0,0 +1,59 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var ActivationFunction = require("./ActivationFunction.js");
+
+/**
+ * Softsign, a sigmoid function, that can be used as an activation function
+ *
+ * This function is similar to the hyperbolic tangent but approaches its bounds polynomially instead of exponentially
+ *
+ * @constructor
+ * @extends ActivationFunction
+ */
+function Softsign() {
+
+	// call the super class's constructor
+	ActivationFunction.call(this);
+
+	this.evaluate = function (x) {
+		return x / (1 + Math.abs(x));
+	};
+
+	this.evaluateDerivative = function (x) {
+		return 1 / Math.pow(1 + Math.abs(x), 2);
+	};
+
+	this.getLowerBound = function () {
+		return -1;
+	};
+
+	this.getUpperBound = function () {
+		return 1;
+	};
+
+	this.isMonotonic = function () {
+		return true;
+	};
+
+	this.isDerivativeMonotonic = function () {
+		return false;
+	};
+
+	this.isCenteredAroundZero = function () {
+		return true;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+Softsign.prototype = Object.create(ActivationFunction.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+Softsign.prototype.constructor = Softsign;
+
+module.exports = Softsign;
@@ -0,0 +1,104 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var ActivationFunction = require("./ActivationFunction.js");
+var LogisticFunction = require("./LogisticFunction.js");
+
+/**
+ * Swish that can be used as an activation function
+ *
+ * This function multiplies the input by the logistic function of the scaled input
+ *
+ * With a parameter of `1`, which is the default, this function is also known as the Sigmoid Linear Unit (SiLU)
+ *
+ * @constructor
+ * @extends ActivationFunction
+ * @param {number} [beta] - the factor that the input is scaled by inside the logistic function, i.e. `1` by default
+ */
+function Swish(beta) {
+
+	// call the super class's constructor
+	ActivationFunction.call(this);
+
+	/**
+	 * The factor that the input is scaled by inside the logistic function
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._beta = (typeof beta === "number") ? beta : 1;
+
+	/**
+	 * The logistic function that gates the input
+	 *
+	 * @type {LogisticFunction}
+	 * @private
+	 */
+	this._logistic = new LogisticFunction();
+
+	this.evaluate = function (x) {
+		return x * this._logistic.evaluate(this._beta * x);
+	};
+
+	this.evaluateDerivative = function (x) {
+		var y = this._logistic.evaluate(this._beta * x);
+
+		return y + this._beta * x * y * (1 - y);
+	};
+
+	this.getLowerBound = function () {
+		if (this._beta > 0) {
+			// the minimum of `x * sigmoid(x)`, scaled along the x-axis by the parameter
+			return Swish.MINIMUM / this._beta;
+		}
+		else {
+			return Number.NEGATIVE_INFINITY;
+		}
+	};
+
+	this.getUpperBound = function () {
+		if (this._beta < 0) {
+			// the function is mirrored at the origin for negative parameters
+			return Swish.MINIMUM / this._beta;
+		}
+		else {
+			return Number.POSITIVE_INFINITY;
+		}
+	};
+
+	this.isMonotonic = function () {
+		return this._beta === 0;
+	};
+
+	this.isDerivativeMonotonic = function () {
+		return this._beta === 0;
+	};
+
+	this.isCenteredAroundZero = function () {
+		return false;
+	};
+
+	this.getParameters = function () {
+		return [ this._beta ];
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+Swish.prototype = Object.create(ActivationFunction.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+Swish.prototype.constructor = Swish;
+
+/**
+ * The minimum of the function with a parameter of `1`
+ *
+ * @type {number}
+ */
+Swish.MINIMUM = -0.27846454276105104;
+
+module.exports = Swish;
@@ -0,0 +1,46 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var WeightInitializer = require("./WeightInitializer.js");
+
+/**
+ * Initialization using a custom function that draws the initial weight for an individual connection
+ *
+ * The function receives the size of the previous layer, the size of the layer and the network's PRNG
+ *
+ * Random numbers should only be drawn from the PRNG so that networks with a seed stay reproducible
+ *
+ * @constructor
+ * @extends WeightInitializer
+ * @param {function} fn - the function `(fanIn, fanOut, prng) => weight`
+ */
+function Custom(fn) {
+
+	// call the super class's constructor
+	WeightInitializer.call(this);
+
+	/**
+	 * The function that draws the initial weight for an individual connection
+	 *
+	 * @type {function}
+	 * @private
+	 */
+	this._fn = fn;
+
+	this.initialize = function (fanIn, fanOut, prng) {
+		return this._fn(fanIn, fanOut, prng);
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+Custom.prototype = Object.create(WeightInitializer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+Custom.prototype.constructor = Custom;
+
+module.exports = Custom;
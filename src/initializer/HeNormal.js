@@ -0,0 +1,35 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var WeightInitializer = require("./WeightInitializer.js");
+
+/**
+ * He (or Kaiming) initialization drawing weights from a normal distribution with a variance of `2 / fanIn`
+ *
+ * The larger scale compensates for rectified linear units discarding half of their input
+ *
+ * @constructor
+ * @extends WeightInitializer
+ */
+function HeNormal() {
+
+	// call the super class's constructor
+	WeightInitializer.call(this);
+
+	this.initialize = function (fanIn, fanOut, prng) {
+		return WeightInitializer.getRandomGaussian(prng) * Math.sqrt(2 / fanIn);
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+HeNormal.prototype = Object.create(WeightInitializer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+HeNormal.prototype.constructor = HeNormal;
+
+module.exports = HeNormal;
@@ -0,0 +1,37 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var WeightInitializer = require("./WeightInitializer.js");
+
+/**
+ * He (or Kaiming) initialization drawing weights uniformly from `[-sqrt(6 / fanIn), sqrt(6 / fanIn))`
+ *
+ * The larger scale compensates for rectified linear units discarding half of their input
+ *
+ * @constructor
+ * @extends WeightInitializer
+ */
+function HeUniform() {
+
+	// call the super class's constructor
+	WeightInitializer.call(this);
+
+	this.initialize = function (fanIn, fanOut, prng) {
+		var limit = Math.sqrt(6 / fanIn);
+
+		return prng.getRandomFloat(-limit, limit);
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+HeUniform.prototype = Object.create(WeightInitializer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+HeUniform.prototype.constructor = HeUniform;
+
+module.exports = HeUniform;
@@ -0,0 +1,35 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var WeightInitializer = require("./WeightInitializer.js");
+
+/**
+ * LeCun initialization drawing weights from a normal distribution with a variance of `1 / fanIn`
+ *
+ * This scheme is recommended for scaled exponential linear units
+ *
+ * @constructor
+ * @extends WeightInitializer
+ */
+function LeCunNormal() {
+
+	// call the super class's constructor
+	WeightInitializer.call(this);
+
+	this.initialize = function (fanIn, fanOut, prng) {
+		return WeightInitializer.getRandomGaussian(prng) * Math.sqrt(1 / fanIn);
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+LeCunNormal.prototype = Object.create(WeightInitializer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+LeCunNormal.prototype.constructor = LeCunNormal;
+
+module.exports = LeCunNormal;
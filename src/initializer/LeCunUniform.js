@@ -0,0 +1,37 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var WeightInitializer = require("./WeightInitializer.js");
+
+/**
+ * LeCun initialization drawing weights uniformly from `[-sqrt(3 / fanIn), sqrt(3 / fanIn))`
+ *
+ * This scheme is recommended for scaled exponential linear units
+ *
+ * @constructor
+ * @extends WeightInitializer
+ */
+function LeCunUniform() {
+
+	// call the super class's constructor
+	WeightInitializer.call(this);
+
+	this.initialize = function (fanIn, fanOut, prng) {
+		var limit = Math.sqrt(3 / fanIn);
+
+		return prng.getRandomFloat(-limit, limit);
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+LeCunUniform.prototype = Object.create(WeightInitializer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+LeCunUniform.prototype.constructor = LeCunUniform;
+
+module.exports = LeCunUniform;
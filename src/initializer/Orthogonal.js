@@ -0,0 +1,109 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var WeightInitializer = require("./WeightInitializer.js");
+
+/**
+ * Orthogonal initialization using a random matrix whose rows (or columns) are orthonormal
+ *
+ * Orthogonal weights preserve the norm of signals passing through a layer, which especially helps deep networks
+ *
+ * The matrix is obtained by orthonormalizing a random matrix drawn from the standard normal distribution
+ *
+ * @constructor
+ * @extends WeightInitializer
+ * @param {number} [gain] - the factor that the orthonormal matrix is scaled by, i.e. `1` by default
+ */
+function Orthogonal(gain) {
+
+	// call the super class's constructor
+	WeightInitializer.call(this);
+
+	/**
+	 * The factor that the orthonormal matrix is scaled by
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._gain = (typeof gain === "number") ? gain : 1;
+
+	this.initialize = function (fanIn, fanOut, prng) {
+		throw "Weights of orthogonal initialization depend on each other and must be drawn for the whole layer";
+	};
+
+	this.initializeLayer = function (fanIn, fanOut, prng, rows) {
+		rows = (typeof rows === "number") ? rows : fanOut;
+
+		// only as many vectors as their length can be orthonormal, so use rows or columns, whichever are fewer
+		var numVectors = Math.min(fanIn, rows);
+		var length = Math.max(fanIn, rows);
+		var vectors = [];
+		var vector;
+		var i;
+		var k;
+		var dotProduct;
+		var norm;
+
+		// for every vector
+		for (i = 0; i < numVectors; i++) {
+			vector = new Float64Array(length);
+
+			for (k = 0; k < length; k++) {
+				vector[k] = WeightInitializer.getRandomGaussian(prng);
+			}
+
+			// remove the components along all previous vectors (modified Gram-Schmidt process)
+			for (var p = 0; p < i; p++) {
+				dotProduct = 0;
+
+				for (k = 0; k < length; k++) {
+					dotProduct += vector[k] * vectors[p][k];
+				}
+
+				for (k = 0; k < length; k++) {
+					vector[k] -= dotProduct * vectors[p][k];
+				}
+			}
+
+			norm = 0;
+
+			for (k = 0; k < length; k++) {
+				norm += vector[k] * vector[k];
+			}
+
+			norm = Math.sqrt(norm);
+
+			for (k = 0; k < length; k++) {
+				vector[k] /= norm;
+			}
+
+			vectors.push(vector);
+		}
+
+		var weights = new Float64Array(rows * fanIn);
+
+		// for every neuron in the layer
+		for (var m = 0; m < rows; m++) {
+			// for every neuron in the previous layer
+			for (k = 0; k < fanIn; k++) {
+				// the vectors are the rows of the matrix if there are fewer rows than columns and its columns otherwise
+				weights[m * fanIn + k] = this._gain * ((rows <= fanIn) ? vectors[m][k] : vectors[k][m]);
+			}
+		}
+
+		return weights;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+Orthogonal.prototype = Object.create(WeightInitializer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+Orthogonal.prototype.constructor = Orthogonal;
+
+module.exports = Orthogonal;
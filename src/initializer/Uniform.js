@@ -0,0 +1,53 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var WeightInitializer = require("./WeightInitializer.js");
+
+/**
+ * Draws initial weights uniformly from a fixed range, regardless of the size of the layers
+ *
+ * This is the default scheme, which works well for shallow networks
+ *
+ * @constructor
+ * @extends WeightInitializer
+ * @param {number} [min] - the lower bound (inclusive), i.e. `-0.15` by default
+ * @param {number} [max] - the upper bound (exclusive), i.e. `0.15` by default
+ */
+function Uniform(min, max) {
+
+	// call the super class's constructor
+	WeightInitializer.call(this);
+
+	/**
+	 * The lower bound (inclusive)
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._min = (typeof min === "number") ? min : -0.15;
+
+	/**
+	 * The upper bound (exclusive)
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._max = (typeof max === "number") ? max : 0.15;
+
+	this.initialize = function (fanIn, fanOut, prng) {
+		return prng.getRandomFloat(0, this._max - this._min) + this._min;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+Uniform.prototype = Object.create(WeightInitializer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+Uniform.prototype.constructor = Uniform;
+
+module.exports = Uniform;
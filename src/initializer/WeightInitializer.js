@@ -0,0 +1,78 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+/**
+ * Abstract base class for all schemes that determine the initial weights of the connections in a network
+ *
+ * The initial weights should be small random numbers so that neurons learn different features from the same input
+ *
+ * Their appropriate scale depends on the number of connections leading into and out of a layer
+ *
+ * @constructor
+ */
+function WeightInitializer() {
+
+	/**
+	 * Draws the initial weight for an individual connection
+	 *
+	 * @abstract
+	 * @param {number} fanIn - the number of connections leading into each neuron of the layer, i.e. the size of the previous layer
+	 * @param {number} fanOut - the number of connections leading out of each neuron of the previous layer, i.e. the size of the layer
+	 * @param {Prng} prng - the PRNG to draw random numbers from
+	 * @return {number} the initial weight
+	 */
+	this.initialize = function (fanIn, fanOut, prng) {
+		throw "Method not implemented in subclass `"+this.constructor.name+"`";
+	};
+
+	/**
+	 * Draws the initial weights for all connections leading into a layer
+	 *
+	 * By default, the weights are drawn individually, ordered by neuron in the previous layer first
+	 *
+	 * Schemes where weights depend on each other may override this method instead of drawing weights individually
+	 *
+	 * @param {number} fanIn - the number of connections leading into each neuron of the layer, i.e. the size of the previous layer
+	 * @param {number} fanOut - the number of connections leading out of each neuron of the previous layer, i.e. the size of the layer
+	 * @param {Prng} prng - the PRNG to draw random numbers from
+	 * @param {number} [rows] - the number of rows if it differs from the fan-out, e.g. one row per filter of a convolution
+	 * @return {Float64Array} the weights as a matrix with one row per neuron in the layer
+	 */
+	this.initializeLayer = function (fanIn, fanOut, prng, rows) {
+		rows = (typeof rows === "number") ? rows : fanOut;
+
+		var weights = new Float64Array(rows * fanIn);
+
+		// for every neuron in the previous layer
+		for (var k = 0; k < fanIn; k++) {
+			// for every neuron in the layer
+			for (var m = 0; m < rows; m++) {
+				weights[m * fanIn + k] = this.initialize(fanIn, fanOut, prng);
+			}
+		}
+
+		return weights;
+	};
+
+}
+
+/**
+ * Draws a random number from the standard normal distribution
+ *
+ * @param {Prng} prng - the PRNG to draw uniformly distributed random numbers from
+ * @return {number} the random number with a mean of zero and a standard deviation of one
+ */
+WeightInitializer.getRandomGaussian = function (prng) {
+	// use the Box-Muller transform, where the first uniform number must not be zero for the logarithm
+	var u = 1 - prng.getRandom();
+	var v = prng.getRandom();
+
+	return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+module.exports = WeightInitializer;
@@ -0,0 +1,35 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var WeightInitializer = require("./WeightInitializer.js");
+
+/**
+ * Xavier (or Glorot) initialization drawing weights from a normal distribution with a variance of `2 / (fanIn + fanOut)`
+ *
+ * The scale keeps the variance of activations and gradients similar across layers with sigmoid functions such as `tanh`
+ *
+ * @constructor
+ * @extends WeightInitializer
+ */
+function XavierNormal() {
+
+	// call the super class's constructor
+	WeightInitializer.call(this);
+
+	this.initialize = function (fanIn, fanOut, prng) {
+		return WeightInitializer.getRandomGaussian(prng) * Math.sqrt(2 / (fanIn + fanOut));
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+XavierNormal.prototype = Object.create(WeightInitializer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+XavierNormal.prototype.constructor = XavierNormal;
+
+module.exports = XavierNormal;
@@ -0,0 +1,37 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var WeightInitializer = require("./WeightInitializer.js");
+
+/**
+ * Xavier (or Glorot) initialization drawing weights uniformly from `[-sqrt(6 / (fanIn + fanOut)), sqrt(6 / (fanIn + fanOut)))`
+ *
+ * The scale keeps the variance of activations and gradients similar across layers with sigmoid functions such as `tanh`
+ *
+ * @constructor
+ * @extends WeightInitializer
+ */
+function XavierUniform() {
+
+	// call the super class's constructor
+	WeightInitializer.call(this);
+
+	this.initialize = function (fanIn, fanOut, prng) {
+		var limit = Math.sqrt(6 / (fanIn + fanOut));
+
+		return prng.getRandomFloat(-limit, limit);
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+XavierUniform.prototype = Object.create(WeightInitializer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+XavierUniform.prototype.constructor = XavierUniform;
+
+module.exports = XavierUniform;
@@ -0,0 +1,69 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Loss = require("./Loss.js");
+var CrossEntropy = require("./CrossEntropy.js");
+var Softmax = require("../activation/Softmax.js");
+
+/**
+ * Categorical cross-entropy that can be used as a loss function
+ *
+ * The output is interpreted as a probability distribution over mutually exclusive classes
+ *
+ * The desired output is usually "one-hot" encoded, i.e. `1` for the correct class and `0` for all other classes
+ *
+ * Unlike other losses, this is the sum (rather than the mean) over all outputs, i.e. the negative log-likelihood
+ *
+ * It should be paired with the softmax function in the output layer so that the gradient simplifies nicely
+ *
+ * @constructor
+ * @extends Loss
+ */
+function CategoricalCrossEntropy() {
+
+	// call the super class's constructor
+	Loss.call(this);
+
+	this.evaluate = function (output, desiredOutput) {
+		var sum = 0;
+
+		for (var i = 0; i < output.length; i++) {
+			if (desiredOutput[i] !== 0) {
+				sum -= desiredOutput[i] * Math.log(CrossEntropy.clampProbability(output[i]));
+			}
+		}
+
+		return sum;
+	};
+
+	this.gradient = function (output, desiredOutput) {
+		var gradient = [];
+
+		for (var i = 0; i < output.length; i++) {
+			gradient.push(-desiredOutput[i] / CrossEntropy.clampProbability(output[i]));
+		}
+
+		return gradient;
+	};
+
+	this.requiresProbabilities = function () {
+		return true;
+	};
+
+	this.isPairedWith = function (activationFunction) {
+		return activationFunction instanceof Softmax;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+CategoricalCrossEntropy.prototype = Object.create(Loss.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+CategoricalCrossEntropy.prototype.constructor = CategoricalCrossEntropy;
+
+module.exports = CategoricalCrossEntropy;
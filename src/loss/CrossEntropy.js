@@ -0,0 +1,85 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Loss = require("./Loss.js");
+var LogisticFunction = require("../activation/LogisticFunction.js");
+
+/**
+ * Binary cross-entropy (also "log loss") that can be used as a loss function
+ *
+ * Every output is interpreted as the probability of a class being present, so outputs must lie between `0` and `1`
+ *
+ * This is the preferred loss for classification since confident but wrong predictions are punished severely
+ *
+ * It should be paired with the logistic function in the output layer so that the gradient simplifies nicely
+ *
+ * @constructor
+ * @extends Loss
+ */
+function CrossEntropy() {
+
+	// call the super class's constructor
+	Loss.call(this);
+
+	this.evaluate = function (output, desiredOutput) {
+		var sum = 0;
+		var probability;
+
+		for (var i = 0; i < output.length; i++) {
+			probability = CrossEntropy.clampProbability(output[i]);
+
+			sum -= desiredOutput[i] * Math.log(probability) + (1 - desiredOutput[i]) * Math.log(1 - probability);
+		}
+
+		return sum / output.length;
+	};
+
+	this.gradient = function (output, desiredOutput) {
+		var gradient = [];
+		var probability;
+
+		for (var i = 0; i < output.length; i++) {
+			probability = CrossEntropy.clampProbability(output[i]);
+
+			gradient.push((probability - desiredOutput[i]) / (probability * (1 - probability)));
+		}
+
+		return gradient;
+	};
+
+	this.getGradientScale = function (size) {
+		// the gradient leaves out the `1 / n` from averaging
+		return size;
+	};
+
+	this.requiresProbabilities = function () {
+		return true;
+	};
+
+	this.isPairedWith = function (activationFunction) {
+		return activationFunction instanceof LogisticFunction;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+CrossEntropy.prototype = Object.create(Loss.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+CrossEntropy.prototype.constructor = CrossEntropy;
+
+/**
+ * Keeps the specified probability away from `0` and `1` so that its logarithm remains finite
+ *
+ * @param {number} probability - the probability to clamp
+ * @return {number} the clamped probability
+ */
+CrossEntropy.clampProbability = function (probability) {
+	return Math.max(1e-15, Math.min(1 - 1e-15, probability));
+};
+
+module.exports = CrossEntropy;
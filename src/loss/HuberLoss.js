@@ -0,0 +1,88 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Loss = require("./Loss.js");
+
+/**
+ * Huber loss that can be used as a loss function
+ *
+ * This loss is quadratic for small errors and linear for large errors
+ *
+ * It thus combines the smooth minimum of the squared error with the robustness against outliers of the absolute error
+ *
+ * @constructor
+ * @extends Loss
+ * @param {number} [delta] - the threshold where the loss changes from quadratic to linear, i.e. a positive number
+ */
+function HuberLoss(delta) {
+
+	// call the super class's constructor
+	Loss.call(this);
+
+	if (typeof delta === "undefined") {
+		delta = 1;
+	}
+
+	if (typeof delta !== "number" || !(delta > 0) || !isFinite(delta)) {
+		throw "Threshold of Huber loss (`"+delta+"`) must be a positive number";
+	}
+
+	/**
+	 * The threshold where the loss changes from quadratic to linear
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._delta = delta;
+
+	this.evaluate = function (output, desiredOutput) {
+		var sum = 0;
+		var error;
+
+		for (var i = 0; i < output.length; i++) {
+			error = Math.abs(desiredOutput[i] - output[i]);
+
+			if (error <= this._delta) {
+				sum += 0.5 * error * error;
+			}
+			else {
+				sum += this._delta * (error - 0.5 * this._delta);
+			}
+		}
+
+		return sum / output.length;
+	};
+
+	this.gradient = function (output, desiredOutput) {
+		var gradient = [];
+
+		for (var i = 0; i < output.length; i++) {
+			// the gradient is the error, limited to the range from `-delta` to `delta`
+			gradient.push(Math.max(-this._delta, Math.min(this._delta, output[i] - desiredOutput[i])));
+		}
+
+		return gradient;
+	};
+
+	this.getGradientScale = function (size) {
+		// the gradient leaves out the `1 / n` from averaging
+		return size;
+	};
+
+	this.getParameters = function () {
+		return [ this._delta ];
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+HuberLoss.prototype = Object.create(Loss.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+HuberLoss.prototype.constructor = HuberLoss;
+
+module.exports = HuberLoss;
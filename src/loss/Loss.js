@@ -0,0 +1,98 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+/**
+ * Loss function for an artificial neural network
+ *
+ * A loss function measures how far the output of a network is from the desired output
+ *
+ * Training tries to minimize the loss, which is why its gradient is what gets propagated back through the network
+ *
+ * The mean squared error is the classic choice for regression, while cross-entropy is preferred for classification
+ *
+ * @constructor
+ */
+function Loss() {
+
+	/**
+	 * Evaluates the loss for the specified output
+	 *
+	 * @abstract
+	 * @param {number[]} output - the actual output of the network
+	 * @param {number[]} desiredOutput - the desired output of the network
+	 * @return {number} the loss, which is usually averaged over all outputs
+	 */
+	this.evaluate = function (output, desiredOutput) {
+		throw "Method not implemented in subclass `"+this.constructor.name+"`";
+	};
+
+	/**
+	 * Evaluates the gradient of the loss with respect to the specified output
+	 *
+	 * Constant factors such as the `1 / n` from averaging are left out as they are absorbed by the learning rate, and
+	 * `getGradientScale` reports how much larger than the exact derivative the gradient is as a result
+	 *
+	 * @abstract
+	 * @param {number[]} output - the actual output of the network
+	 * @param {number[]} desiredOutput - the desired output of the network
+	 * @return {number[]} the partial derivatives of the loss with respect to the individual outputs
+	 */
+	this.gradient = function (output, desiredOutput) {
+		throw "Method not implemented in subclass `"+this.constructor.name+"`";
+	};
+
+	/**
+	 * Returns the constant factor by which the gradient exceeds the exact derivative of the loss
+	 *
+	 * @param {number} size - the number of outputs
+	 * @return {number} the factor, which is `1` if no constant factors have been left out of the gradient
+	 */
+	this.getGradientScale = function (size) {
+		return 1;
+	};
+
+	/**
+	 * Returns whether this loss interprets the outputs as probabilities, which requires them to lie between `0` and `1`
+	 *
+	 * @return {boolean} whether the outputs must be probabilities
+	 */
+	this.requiresProbabilities = function () {
+		return false;
+	};
+
+	/**
+	 * Returns whether this loss forms a matched pair with the specified activation function of the output layer
+	 *
+	 * For a matched pair, the derivative of the activation function cancels out and the delta is just the difference
+	 *
+	 * @param {ActivationFunction} activationFunction - the activation function of the output layer
+	 * @return {boolean} whether the delta of an output neuron is simply the desired output minus the actual output
+	 */
+	this.isPairedWith = function (activationFunction) {
+		return false;
+	};
+
+	/**
+	 * Returns the parameters that this loss has been created with
+	 *
+	 * @return {number[]} the parameters in the order that the constructor expects them
+	 */
+	this.getParameters = function () {
+		return [];
+	};
+
+}
+
+Loss.prototype.toJSON = function () {
+	return {
+		"name": this.constructor.name,
+		"parameters": this.getParameters()
+	};
+};
+
+module.exports = Loss;
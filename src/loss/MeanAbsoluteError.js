@@ -0,0 +1,66 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Loss = require("./Loss.js");
+
+/**
+ * Mean absolute error (MAE) that can be used as a loss function
+ *
+ * This loss grows only linearly with the error and is thus robust against outliers in the training data
+ *
+ * The gradient has the same magnitude for all errors, which may make it hard to settle exactly at a minimum
+ *
+ * @constructor
+ * @extends Loss
+ */
+function MeanAbsoluteError() {
+
+	// call the super class's constructor
+	Loss.call(this);
+
+	this.evaluate = function (output, desiredOutput) {
+		var sum = 0;
+
+		for (var i = 0; i < output.length; i++) {
+			sum += Math.abs(desiredOutput[i] - output[i]);
+		}
+
+		return sum / output.length;
+	};
+
+	this.gradient = function (output, desiredOutput) {
+		var gradient = [];
+
+		for (var i = 0; i < output.length; i++) {
+			if (output[i] > desiredOutput[i]) {
+				gradient.push(1);
+			}
+			else if (output[i] < desiredOutput[i]) {
+				gradient.push(-1);
+			}
+			else {
+				gradient.push(0);
+			}
+		}
+
+		return gradient;
+	};
+
+	this.getGradientScale = function (size) {
+		// the gradient leaves out the `1 / n` from averaging
+		return size;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+MeanAbsoluteError.prototype = Object.create(Loss.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+MeanAbsoluteError.prototype.constructor = MeanAbsoluteError;
+
+module.exports = MeanAbsoluteError;
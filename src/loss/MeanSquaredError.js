@@ -0,0 +1,58 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Loss = require("./Loss.js");
+
+/**
+ * Mean squared error (MSE) that can be used as a loss function
+ *
+ * This is the default choice for regression and punishes large errors much more than small ones
+ *
+ * The downside is that a few outliers in the training data may dominate the loss
+ *
+ * @constructor
+ * @extends Loss
+ */
+function MeanSquaredError() {
+
+	// call the super class's constructor
+	Loss.call(this);
+
+	this.evaluate = function (output, desiredOutput) {
+		var sum = 0;
+
+		for (var i = 0; i < output.length; i++) {
+			sum += Math.pow(desiredOutput[i] - output[i], 2);
+		}
+
+		return sum / output.length;
+	};
+
+	this.gradient = function (output, desiredOutput) {
+		var gradient = [];
+
+		for (var i = 0; i < output.length; i++) {
+			gradient.push(output[i] - desiredOutput[i]);
+		}
+
+		return gradient;
+	};
+
+	this.getGradientScale = function (size) {
+		// the gradient leaves out the `2 / n` from the derivative of the mean of the squares
+		return size / 2;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+MeanSquaredError.prototype = Object.create(Loss.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+MeanSquaredError.prototype.constructor = MeanSquaredError;
+
+module.exports = MeanSquaredError;
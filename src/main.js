@@ -8,28 +8,153 @@
 
 var NeuralNetwork = require("./NeuralNetwork.js");
 var FeedforwardNeuralNetwork = require("./FeedforwardNeuralNetwork.js");
+var RecurrentNeuralNetwork = require("./RecurrentNeuralNetwork.js");
+var Registries = require("./Registries.js");
+var Dataset = require("./Dataset.js");
 
 var ArcTangent = require("./activation/ArcTangent.js");
 var BinaryStep = require("./activation/BinaryStep.js");
+var ExponentialLinearUnit = require("./activation/ExponentialLinearUnit.js");
+var GaussianErrorLinearUnit = require("./activation/GaussianErrorLinearUnit.js");
 var GaussianFunction = require("./activation/GaussianFunction.js");
+var HardHyperbolicTangent = require("./activation/HardHyperbolicTangent.js");
+var HardSigmoid = require("./activation/HardSigmoid.js");
 var HyperbolicTangent = require("./activation/HyperbolicTangent.js");
 var Identity = require("./activation/Identity.js");
 var LogisticFunction = require("./activation/LogisticFunction.js");
 var RectifiedLinearUnit = require("./activation/RectifiedLinearUnit.js");
+var ScaledExponentialLinearUnit = require("./activation/ScaledExponentialLinearUnit.js");
 var SinusoidFunction = require("./activation/SinusoidFunction.js");
+var Softmax = require("./activation/Softmax.js");
+var Softplus = require("./activation/Softplus.js");
+var Softsign = require("./activation/Softsign.js");
+var Swish = require("./activation/Swish.js");
+
+var AdaptiveGradient = require("./optimizer/AdaptiveGradient.js");
+var AdaptiveMomentEstimation = require("./optimizer/AdaptiveMomentEstimation.js");
+var Momentum = require("./optimizer/Momentum.js");
+var NesterovMomentum = require("./optimizer/NesterovMomentum.js");
+var RootMeanSquarePropagation = require("./optimizer/RootMeanSquarePropagation.js");
+var StochasticGradientDescent = require("./optimizer/StochasticGradientDescent.js");
+
+var CategoricalCrossEntropy = require("./loss/CategoricalCrossEntropy.js");
+var CrossEntropy = require("./loss/CrossEntropy.js");
+var HuberLoss = require("./loss/HuberLoss.js");
+var MeanAbsoluteError = require("./loss/MeanAbsoluteError.js");
+var MeanSquaredError = require("./loss/MeanSquaredError.js");
+
+var CosineAnnealing = require("./schedule/CosineAnnealing.js");
+var ExponentialDecay = require("./schedule/ExponentialDecay.js");
+var LinearWarmup = require("./schedule/LinearWarmup.js");
+var ReduceOnPlateau = require("./schedule/ReduceOnPlateau.js");
+var StepDecay = require("./schedule/StepDecay.js");
+
+var Accuracy = require("./metric/Accuracy.js");
+var AreaUnderRocCurve = require("./metric/AreaUnderRocCurve.js");
+var CoefficientOfDetermination = require("./metric/CoefficientOfDetermination.js");
+var ConfusionMatrix = require("./metric/ConfusionMatrix.js");
+var F1Score = require("./metric/F1Score.js");
+var LogLoss = require("./metric/LogLoss.js");
+var MeanAbsoluteErrorMetric = require("./metric/MeanAbsoluteError.js");
+var Precision = require("./metric/Precision.js");
+var Recall = require("./metric/Recall.js");
+var RootMeanSquaredError = require("./metric/RootMeanSquaredError.js");
+var TopKAccuracy = require("./metric/TopKAccuracy.js");
+
+var LabelEncoder = require("./preprocessing/LabelEncoder.js");
+var MinMaxScaler = require("./preprocessing/MinMaxScaler.js");
+var OneHotEncoder = require("./preprocessing/OneHotEncoder.js");
+var RobustScaler = require("./preprocessing/RobustScaler.js");
+var StandardScaler = require("./preprocessing/StandardScaler.js");
+
+var Custom = require("./initializer/Custom.js");
+var HeNormal = require("./initializer/HeNormal.js");
+var HeUniform = require("./initializer/HeUniform.js");
+var LeCunNormal = require("./initializer/LeCunNormal.js");
+var LeCunUniform = require("./initializer/LeCunUniform.js");
+var Orthogonal = require("./initializer/Orthogonal.js");
+var Uniform = require("./initializer/Uniform.js");
+var WeightInitializer = require("./initializer/WeightInitializer.js");
+var XavierNormal = require("./initializer/XavierNormal.js");
+var XavierUniform = require("./initializer/XavierUniform.js");
 
 module.exports = {
 	Type: {
-		Feedforward: FeedforwardNeuralNetwork
+		Feedforward: FeedforwardNeuralNetwork,
+		Recurrent: RecurrentNeuralNetwork
 	},
 	Activation: {
 		ArcTangent: ArcTangent,
 		BinaryStep: BinaryStep,
+		ExponentialLinearUnit: ExponentialLinearUnit,
+		GaussianErrorLinearUnit: GaussianErrorLinearUnit,
 		GaussianFunction: GaussianFunction,
+		HardHyperbolicTangent: HardHyperbolicTangent,
+		HardSigmoid: HardSigmoid,
 		HyperbolicTangent: HyperbolicTangent,
 		Identity: Identity,
 		LogisticFunction: LogisticFunction,
 		RectifiedLinearUnit: RectifiedLinearUnit,
-		SinusoidFunction: SinusoidFunction
-	}
+		ScaledExponentialLinearUnit: ScaledExponentialLinearUnit,
+		SinusoidFunction: SinusoidFunction,
+		Softmax: Softmax,
+		Softplus: Softplus,
+		Softsign: Softsign,
+		Swish: Swish
+	},
+	Optimizer: {
+		AdaptiveGradient: AdaptiveGradient,
+		AdaptiveMomentEstimation: AdaptiveMomentEstimation,
+		Momentum: Momentum,
+		NesterovMomentum: NesterovMomentum,
+		RootMeanSquarePropagation: RootMeanSquarePropagation,
+		StochasticGradientDescent: StochasticGradientDescent
+	},
+	Loss: {
+		CategoricalCrossEntropy: CategoricalCrossEntropy,
+		CrossEntropy: CrossEntropy,
+		HuberLoss: HuberLoss,
+		MeanAbsoluteError: MeanAbsoluteError,
+		MeanSquaredError: MeanSquaredError
+	},
+	Schedule: {
+		CosineAnnealing: CosineAnnealing,
+		ExponentialDecay: ExponentialDecay,
+		LinearWarmup: LinearWarmup,
+		ReduceOnPlateau: ReduceOnPlateau,
+		StepDecay: StepDecay
+	},
+	Metric: {
+		Accuracy: Accuracy,
+		AreaUnderRocCurve: AreaUnderRocCurve,
+		CoefficientOfDetermination: CoefficientOfDetermination,
+		ConfusionMatrix: ConfusionMatrix,
+		F1Score: F1Score,
+		LogLoss: LogLoss,
+		MeanAbsoluteError: MeanAbsoluteErrorMetric,
+		Precision: Precision,
+		Recall: Recall,
+		RootMeanSquaredError: RootMeanSquaredError,
+		TopKAccuracy: TopKAccuracy
+	},
+	Preprocessing: {
+		LabelEncoder: LabelEncoder,
+		MinMaxScaler: MinMaxScaler,
+		OneHotEncoder: OneHotEncoder,
+		RobustScaler: RobustScaler,
+		StandardScaler: StandardScaler
+	},
+	Initializer: {
+		Custom: Custom,
+		HeNormal: HeNormal,
+		HeUniform: HeUniform,
+		LeCunNormal: LeCunNormal,
+		LeCunUniform: LeCunUniform,
+		Orthogonal: Orthogonal,
+		Uniform: Uniform,
+		XavierNormal: XavierNormal,
+		XavierUniform: XavierUniform
+	},
+	Dataset: Dataset,
+	Registries: Registries
 };
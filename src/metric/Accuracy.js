@@ -0,0 +1,46 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Metric = require("./Metric.js");
+
+/**
+ * Accuracy, i.e. the fraction of examples where the predicted class is the desired class
+ *
+ * @constructor
+ * @extends Metric
+ */
+function Accuracy() {
+
+	// call the super class's constructor
+	Metric.call(this);
+
+	this.evaluate = function (outputs, desiredOutputs) {
+		var data = Metric._getClasses(outputs, desiredOutputs);
+		var correct = 0;
+
+		for (var i = 0; i < data.actual.length; i++) {
+			if (data.predicted[i] === data.actual[i]) {
+				correct++;
+			}
+		}
+
+		return (data.actual.length > 0) ? correct / data.actual.length : 0;
+	};
+
+	this.isGreaterBetter = function () {
+		return true;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+Accuracy.prototype = Object.create(Metric.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+Accuracy.prototype.constructor = Accuracy;
+
+module.exports = Accuracy;
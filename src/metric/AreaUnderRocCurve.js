@@ -0,0 +1,117 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Metric = require("./Metric.js");
+
+/**
+ * Area under the receiver operating characteristic curve (ROC-AUC)
+ *
+ * This is the probability that a random example of a class receives a larger score for that class than a random
+ * example of another class, where `1` is perfect and `0.5` is no better than chance
+ *
+ * For more than two classes, the area is computed for every class against all others and averaged over the classes
+ *
+ * @constructor
+ * @extends Metric
+ */
+function AreaUnderRocCurve() {
+
+	// call the super class's constructor
+	Metric.call(this);
+
+	this.evaluate = function (outputs, desiredOutputs) {
+		var data = Metric._getScores(outputs, desiredOutputs, "AreaUnderRocCurve");
+		var classes = (data.scores.length > 0) ? data.scores[0].length : 0;
+		// a single probability only needs to be evaluated for the positive class
+		var first = (outputs.length > 0 && outputs[0].length === 1) ? 1 : 0;
+		var sum = 0;
+		var count = 0;
+		var area;
+
+		for (var c = first; c < classes; c++) {
+			area = AreaUnderRocCurve._evaluateClass(data.scores, data.actual, c);
+
+			if (area !== null) {
+				sum += area;
+				count++;
+			}
+		}
+
+		if (count === 0) {
+			throw "Metric `AreaUnderRocCurve` requires examples of at least two different classes";
+		}
+
+		return sum / count;
+	};
+
+	this.isGreaterBetter = function () {
+		return true;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+AreaUnderRocCurve.prototype = Object.create(Metric.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+AreaUnderRocCurve.prototype.constructor = AreaUnderRocCurve;
+
+/**
+ * Computes the area for a single class against all others from the ranks of the scores
+ *
+ * @param {number[][]} scores - the scores of all classes per example
+ * @param {number[]} actual - the index of the actual class per example
+ * @param {number} positive - the index of the class
+ * @return {number|null} the area or `null` if the class is either missing or the only class present
+ * @private
+ */
+AreaUnderRocCurve._evaluateClass = function (scores, actual, positive) {
+	var order = [];
+	var i;
+
+	for (i = 0; i < scores.length; i++) {
+		order.push(i);
+	}
+
+	order.sort(function (a, b) {
+		return scores[a][positive] - scores[b][positive];
+	});
+
+	var positives = 0;
+	var rankSum = 0;
+	var start = 0;
+	var end;
+
+	while (start < order.length) {
+		end = start;
+
+		// find all examples that share the same score
+		while (end + 1 < order.length && scores[order[end + 1]][positive] === scores[order[start]][positive]) {
+			end++;
+		}
+
+		// tied examples receive the average of their ranks
+		for (i = start; i <= end; i++) {
+			if (actual[order[i]] === positive) {
+				positives++;
+				rankSum += (start + end) / 2 + 1;
+			}
+		}
+
+		start = end + 1;
+	}
+
+	var negatives = order.length - positives;
+
+	if (positives === 0 || negatives === 0) {
+		return null;
+	}
+
+	return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+};
+
+module.exports = AreaUnderRocCurve;
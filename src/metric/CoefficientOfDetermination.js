@@ -0,0 +1,75 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Metric = require("./Metric.js");
+
+/**
+ * Coefficient of determination (R²), i.e. the fraction of the variance of the desired outputs that the outputs explain
+ *
+ * A value of `1` is perfect, while `0` is no better than always predicting the mean, and values may be negative
+ *
+ * For more than one output, the coefficient is computed per output and averaged over the outputs
+ *
+ * @constructor
+ * @extends Metric
+ */
+function CoefficientOfDetermination() {
+
+	// call the super class's constructor
+	Metric.call(this);
+
+	this.evaluate = function (outputs, desiredOutputs) {
+		Metric._ensureValues(outputs, desiredOutputs, "CoefficientOfDetermination");
+
+		var size = (outputs.length > 0) ? outputs[0].length : 0;
+		var sum = 0;
+		var mean;
+		var residual;
+		var total;
+		var i;
+
+		// for every output
+		for (var k = 0; k < size; k++) {
+			mean = 0;
+
+			for (i = 0; i < outputs.length; i++) {
+				mean += desiredOutputs[i][k] / outputs.length;
+			}
+
+			residual = 0;
+			total = 0;
+
+			for (i = 0; i < outputs.length; i++) {
+				residual += (desiredOutputs[i][k] - outputs[i][k]) * (desiredOutputs[i][k] - outputs[i][k]);
+				total += (desiredOutputs[i][k] - mean) * (desiredOutputs[i][k] - mean);
+			}
+
+			// constant desired outputs can only be explained perfectly or not at all
+			if (total > 0) {
+				sum += 1 - residual / total;
+			}
+			else {
+				sum += (residual === 0) ? 1 : 0;
+			}
+		}
+
+		return (size > 0) ? sum / size : 0;
+	};
+
+	this.isGreaterBetter = function () {
+		return true;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+CoefficientOfDetermination.prototype = Object.create(Metric.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+CoefficientOfDetermination.prototype.constructor = CoefficientOfDetermination;
+
+module.exports = CoefficientOfDetermination;
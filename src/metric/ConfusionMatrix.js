@@ -0,0 +1,63 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Metric = require("./Metric.js");
+
+/**
+ * Confusion matrix, i.e. the number of examples per combination of desired class and predicted class
+ *
+ * The rows of the matrix belong to the desired classes and the columns belong to the predicted classes
+ *
+ * Since this metric does not evaluate to a single number, it cannot be used for validation during training
+ *
+ * @constructor
+ * @extends Metric
+ */
+function ConfusionMatrix() {
+
+	// call the super class's constructor
+	Metric.call(this);
+
+	/**
+	 * Evaluates this metric for the specified outputs
+	 *
+	 * @param {Array[]} outputs - the actual outputs of the network per example
+	 * @param {Array[]} desiredOutputs - the desired outputs of the network per example
+	 * @return {{classes: Array, matrix: number[][]}} the classes and the number of examples per combination of classes
+	 */
+	this.evaluate = function (outputs, desiredOutputs) {
+		var data = Metric._getClasses(outputs, desiredOutputs);
+		var matrix = [];
+		var i;
+
+		for (i = 0; i < data.classes.length; i++) {
+			matrix.push([]);
+
+			for (var k = 0; k < data.classes.length; k++) {
+				matrix[i].push(0);
+			}
+		}
+
+		for (i = 0; i < data.actual.length; i++) {
+			matrix[data.classes.indexOf(data.actual[i])][data.classes.indexOf(data.predicted[i])]++;
+		}
+
+		return {
+			classes: data.classes,
+			matrix: matrix
+		};
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+ConfusionMatrix.prototype = Object.create(Metric.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+ConfusionMatrix.prototype.constructor = ConfusionMatrix;
+
+module.exports = ConfusionMatrix;
@@ -0,0 +1,54 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Metric = require("./Metric.js");
+
+/**
+ * Logarithmic loss, i.e. the negative logarithm of the probability predicted for the desired class, averaged over all
+ * examples
+ *
+ * The probabilities are clamped so that confident mistakes lead to large but finite values
+ *
+ * @constructor
+ * @extends Metric
+ * @param {number} [epsilon] - the smallest probability to use, e.g. `1e-15`
+ */
+function LogLoss(epsilon) {
+
+	// call the super class's constructor
+	Metric.call(this);
+
+	/**
+	 * The smallest probability to use
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._epsilon = (typeof epsilon === "number") ? epsilon : 1e-15;
+
+	this.evaluate = function (outputs, desiredOutputs) {
+		var data = Metric._getScores(outputs, desiredOutputs, "LogLoss");
+		var sum = 0;
+		var probability;
+
+		for (var i = 0; i < data.actual.length; i++) {
+			probability = Math.min(Math.max(data.scores[i][data.actual[i]], this._epsilon), 1 - this._epsilon);
+			sum -= Math.log(probability);
+		}
+
+		return (data.actual.length > 0) ? sum / data.actual.length : 0;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+LogLoss.prototype = Object.create(Metric.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+LogLoss.prototype.constructor = LogLoss;
+
+module.exports = LogLoss;
@@ -0,0 +1,45 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Metric = require("./Metric.js");
+
+/**
+ * Mean absolute error (MAE) of the outputs, averaged over all outputs of all examples
+ *
+ * @constructor
+ * @extends Metric
+ */
+function MeanAbsoluteError() {
+
+	// call the super class's constructor
+	Metric.call(this);
+
+	this.evaluate = function (outputs, desiredOutputs) {
+		Metric._ensureValues(outputs, desiredOutputs, "MeanAbsoluteError");
+
+		var sum = 0;
+		var count = 0;
+
+		for (var i = 0; i < outputs.length; i++) {
+			for (var k = 0; k < outputs[i].length; k++) {
+				sum += Math.abs(outputs[i][k] - desiredOutputs[i][k]);
+				count++;
+			}
+		}
+
+		return (count > 0) ? sum / count : 0;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+MeanAbsoluteError.prototype = Object.create(Metric.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+MeanAbsoluteError.prototype.constructor = MeanAbsoluteError;
+
+module.exports = MeanAbsoluteError;
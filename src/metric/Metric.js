@@ -0,0 +1,256 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+/**
+ * Metric for the quality of the predictions of an artificial neural network
+ *
+ * A metric compares the outputs of a network, as returned by `predict`, with the desired outputs for many examples
+ *
+ * Unlike a loss, a metric does not need a gradient and is meant to be interpreted by humans, e.g. as an accuracy
+ *
+ * For classification, outputs and desired outputs may either be the scores of all classes, where the class with the
+ * largest score is chosen, a single probability of the positive class, which is chosen from `0.5` upwards, or a label
+ *
+ * @constructor
+ */
+function Metric() {
+
+	/**
+	 * Evaluates this metric for the specified outputs
+	 *
+	 * @abstract
+	 * @param {Array[]} outputs - the actual outputs of the network per example
+	 * @param {Array[]} desiredOutputs - the desired outputs of the network per example
+	 * @return {number|Object} the value of the metric
+	 */
+	this.evaluate = function (outputs, desiredOutputs) {
+		throw "Method not implemented in subclass `"+this.constructor.name+"`";
+	};
+
+	/**
+	 * Returns whether greater values of this metric are better, as opposed to smaller values
+	 *
+	 * @return {boolean} whether greater values are better
+	 */
+	this.isGreaterBetter = function () {
+		return false;
+	};
+
+}
+
+/**
+ * Determines the class of an output or a desired output
+ *
+ * @param {Array} row - the output
+ * @return {number|string} the index of the class with the largest score, `0` or `1` for a probability, or the label
+ * @private
+ */
+Metric._getClass = function (row) {
+	if (row.length > 1) {
+		var best = 0;
+
+		for (var i = 1; i < row.length; i++) {
+			if (row[i] > row[best]) {
+				best = i;
+			}
+		}
+
+		return best;
+	}
+	else if (typeof row[0] === "number") {
+		return (row[0] >= 0.5) ? 1 : 0;
+	}
+	else {
+		return row[0];
+	}
+};
+
+/**
+ * Determines the classes of the outputs and the desired outputs, along with all classes that occur
+ *
+ * Indices of classes are sorted in ascending order, while labels are listed in the order of their first appearance
+ *
+ * @param {Array[]} outputs - the actual outputs of the network per example
+ * @param {Array[]} desiredOutputs - the desired outputs of the network per example
+ * @return {{predicted: Array, actual: Array, classes: Array}} the predicted and actual class per example and all classes
+ * @private
+ */
+Metric._getClasses = function (outputs, desiredOutputs) {
+	var predicted = outputs.map(Metric._getClass);
+	var actual = desiredOutputs.map(Metric._getClass);
+	var classes = [];
+	var numeric = true;
+	var i;
+
+	for (i = 0; i < actual.length; i++) {
+		if (classes.indexOf(actual[i]) === -1) {
+			classes.push(actual[i]);
+		}
+	}
+
+	for (i = 0; i < predicted.length; i++) {
+		if (classes.indexOf(predicted[i]) === -1) {
+			classes.push(predicted[i]);
+		}
+	}
+
+	for (i = 0; i < classes.length; i++) {
+		numeric = numeric && typeof classes[i] === "number";
+	}
+
+	if (numeric) {
+		classes.sort(function (a, b) {
+			return a - b;
+		});
+	}
+
+	return {
+		predicted: predicted,
+		actual: actual,
+		classes: classes
+	};
+};
+
+/**
+ * Extracts the scores of all classes from the outputs and the actual class from the desired outputs
+ *
+ * A single probability of the positive class is turned into the scores of the negative and the positive class
+ *
+ * @param {Array[]} outputs - the actual outputs of the network per example
+ * @param {Array[]} desiredOutputs - the desired outputs of the network per example
+ * @param {string} name - the name of the metric for error messages
+ * @return {{scores: number[][], actual: number[]}} the scores of all classes and the index of the actual class per example
+ * @private
+ */
+Metric._getScores = function (outputs, desiredOutputs, name) {
+	var scores = [];
+	var actual = [];
+	var size = (outputs.length > 0) ? outputs[0].length : 0;
+
+	Metric._ensureValues(outputs, desiredOutputs, name);
+
+	for (var i = 0; i < outputs.length; i++) {
+		scores.push((size === 1) ? [ 1 - outputs[i][0], outputs[i][0] ] : outputs[i]);
+		actual.push(Metric._getClass(desiredOutputs[i]));
+	}
+
+	return {
+		scores: scores,
+		actual: actual
+	};
+};
+
+/**
+ * Ensures that the outputs and the desired outputs are numbers of the same size in all examples, e.g. for regression
+ *
+ * @param {Array[]} outputs - the actual outputs of the network per example
+ * @param {Array[]} desiredOutputs - the desired outputs of the network per example
+ * @param {string} name - the name of the metric for error messages
+ * @private
+ */
+Metric._ensureValues = function (outputs, desiredOutputs, name) {
+	var size = (outputs.length > 0) ? outputs[0].length : 0;
+
+	for (var i = 0; i < outputs.length; i++) {
+		if (outputs[i].length !== size || desiredOutputs[i].length !== size) {
+			throw "Metric `"+name+"` requires outputs and desired outputs of the same size in all examples";
+		}
+
+		for (var k = 0; k < size; k++) {
+			if (typeof outputs[i][k] !== "number" || typeof desiredOutputs[i][k] !== "number") {
+				throw "Metric `"+name+"` requires numbers instead of labels";
+			}
+		}
+	}
+};
+
+/**
+ * Counts the correct and incorrect predictions per class
+ *
+ * @param {Array[]} outputs - the actual outputs of the network per example
+ * @param {Array[]} desiredOutputs - the desired outputs of the network per example
+ * @return {{truePositives: number[], falsePositives: number[], falseNegatives: number[]}} the counts per class
+ * @private
+ */
+Metric._countPerClass = function (outputs, desiredOutputs) {
+	var data = Metric._getClasses(outputs, desiredOutputs);
+	var counts = {
+		truePositives: [],
+		falsePositives: [],
+		falseNegatives: []
+	};
+
+	for (var c = 0; c < data.classes.length; c++) {
+		counts.truePositives.push(0);
+		counts.falsePositives.push(0);
+		counts.falseNegatives.push(0);
+	}
+
+	for (var i = 0; i < data.actual.length; i++) {
+		if (data.predicted[i] === data.actual[i]) {
+			counts.truePositives[data.classes.indexOf(data.actual[i])]++;
+		}
+		else {
+			counts.falsePositives[data.classes.indexOf(data.predicted[i])]++;
+			counts.falseNegatives[data.classes.indexOf(data.actual[i])]++;
+		}
+	}
+
+	return counts;
+};
+
+/**
+ * Averages the ratios of the specified counts per class
+ *
+ * @param {number[]} numerators - the numerators per class
+ * @param {number[]} denominators - the denominators per class
+ * @param {string} average - `macro` to average the ratios of all classes or `micro` to divide the sums of all classes
+ * @return {number} the average, where ratios with a denominator of zero count as zero
+ * @private
+ */
+Metric._averageRatios = function (numerators, denominators, average) {
+	var sum = 0;
+	var total = 0;
+
+	for (var c = 0; c < numerators.length; c++) {
+		if (average === "micro") {
+			sum += numerators[c];
+			total += denominators[c];
+		}
+		else if (denominators[c] > 0) {
+			sum += numerators[c] / denominators[c];
+		}
+	}
+
+	if (average === "micro") {
+		return (total > 0) ? sum / total : 0;
+	}
+	else {
+		return (numerators.length > 0) ? sum / numerators.length : 0;
+	}
+};
+
+/**
+ * Validates the method of averaging over classes
+ *
+ * @param {string|undefined} average - `macro` or `micro`
+ * @param {string} name - the name of the metric for error messages
+ * @return {string} the method of averaging, which defaults to `macro`
+ * @private
+ */
+Metric._parseAverage = function (average, name) {
+	average = average || "macro";
+
+	if (average !== "macro" && average !== "micro") {
+		throw "Averaging of metric `"+name+"` (`"+average+"`) must be either `macro` or `micro`";
+	}
+
+	return average;
+};
+
+module.exports = Metric;
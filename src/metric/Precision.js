@@ -0,0 +1,57 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Metric = require("./Metric.js");
+
+/**
+ * Precision, i.e. the fraction of the predictions of a class that are correct, averaged over all classes
+ *
+ * With `macro` averaging, every class counts the same, while with `micro` averaging, every example counts the same
+ *
+ * @constructor
+ * @extends Metric
+ * @param {string} [average] - `macro` (default) or `micro`
+ */
+function Precision(average) {
+
+	// call the super class's constructor
+	Metric.call(this);
+
+	/**
+	 * How the values of the individual classes are averaged, i.e. `macro` or `micro`
+	 *
+	 * @type {string}
+	 * @private
+	 */
+	this._average = Metric._parseAverage(average, "Precision");
+
+	this.evaluate = function (outputs, desiredOutputs) {
+		var counts = Metric._countPerClass(outputs, desiredOutputs);
+		var numerators = [];
+		var denominators = [];
+
+		for (var c = 0; c < counts.truePositives.length; c++) {
+			numerators.push(counts.truePositives[c]);
+			denominators.push(counts.truePositives[c] + counts.falsePositives[c]);
+		}
+
+		return Metric._averageRatios(numerators, denominators, this._average);
+	};
+
+	this.isGreaterBetter = function () {
+		return true;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+Precision.prototype = Object.create(Metric.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+Precision.prototype.constructor = Precision;
+
+module.exports = Precision;
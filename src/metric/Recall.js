@@ -0,0 +1,57 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Metric = require("./Metric.js");
+
+/**
+ * Recall, i.e. the fraction of the examples of a class that are predicted correctly, averaged over all classes
+ *
+ * With `macro` averaging, every class counts the same, while with `micro` averaging, every example counts the same
+ *
+ * @constructor
+ * @extends Metric
+ * @param {string} [average] - `macro` (default) or `micro`
+ */
+function Recall(average) {
+
+	// call the super class's constructor
+	Metric.call(this);
+
+	/**
+	 * How the values of the individual classes are averaged, i.e. `macro` or `micro`
+	 *
+	 * @type {string}
+	 * @private
+	 */
+	this._average = Metric._parseAverage(average, "Recall");
+
+	this.evaluate = function (outputs, desiredOutputs) {
+		var counts = Metric._countPerClass(outputs, desiredOutputs);
+		var numerators = [];
+		var denominators = [];
+
+		for (var c = 0; c < counts.truePositives.length; c++) {
+			numerators.push(counts.truePositives[c]);
+			denominators.push(counts.truePositives[c] + counts.falseNegatives[c]);
+		}
+
+		return Metric._averageRatios(numerators, denominators, this._average);
+	};
+
+	this.isGreaterBetter = function () {
+		return true;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+Recall.prototype = Object.create(Metric.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+Recall.prototype.constructor = Recall;
+
+module.exports = Recall;
@@ -0,0 +1,47 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Metric = require("./Metric.js");
+
+/**
+ * Root mean squared error (RMSE) of the outputs, averaged over all outputs of all examples
+ *
+ * Unlike the mean squared error, this is measured in the same unit as the outputs
+ *
+ * @constructor
+ * @extends Metric
+ */
+function RootMeanSquaredError() {
+
+	// call the super class's constructor
+	Metric.call(this);
+
+	this.evaluate = function (outputs, desiredOutputs) {
+		Metric._ensureValues(outputs, desiredOutputs, "RootMeanSquaredError");
+
+		var sum = 0;
+		var count = 0;
+
+		for (var i = 0; i < outputs.length; i++) {
+			for (var k = 0; k < outputs[i].length; k++) {
+				sum += (outputs[i][k] - desiredOutputs[i][k]) * (outputs[i][k] - desiredOutputs[i][k]);
+				count++;
+			}
+		}
+
+		return (count > 0) ? Math.sqrt(sum / count) : 0;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+RootMeanSquaredError.prototype = Object.create(Metric.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+RootMeanSquaredError.prototype.constructor = RootMeanSquaredError;
+
+module.exports = RootMeanSquaredError;
@@ -0,0 +1,71 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Metric = require("./Metric.js");
+
+/**
+ * Top-k accuracy, i.e. the fraction of examples where the desired class is among the classes with the largest scores
+ *
+ * @constructor
+ * @extends Metric
+ * @param {number} [k] - the number of classes with the largest scores to consider, e.g. `5`
+ */
+function TopKAccuracy(k) {
+
+	// call the super class's constructor
+	Metric.call(this);
+
+	/**
+	 * The number of classes with the largest scores to consider
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._k = (typeof k === "number") ? k : 5;
+
+	if (!(this._k >= 1) || this._k % 1 !== 0) {
+		throw "Number of classes of metric `TopKAccuracy` (`"+k+"`) must be a positive integer";
+	}
+
+	this.evaluate = function (outputs, desiredOutputs) {
+		var data = Metric._getScores(outputs, desiredOutputs, "TopKAccuracy");
+		var correct = 0;
+		var scores;
+		var larger;
+
+		for (var i = 0; i < data.actual.length; i++) {
+			scores = data.scores[i];
+			larger = 0;
+
+			// count the classes that are ranked above the desired class
+			for (var c = 0; c < scores.length; c++) {
+				if (scores[c] > scores[data.actual[i]]) {
+					larger++;
+				}
+			}
+
+			if (larger < this._k) {
+				correct++;
+			}
+		}
+
+		return (data.actual.length > 0) ? correct / data.actual.length : 0;
+	};
+
+	this.isGreaterBetter = function () {
+		return true;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+TopKAccuracy.prototype = Object.create(Metric.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+TopKAccuracy.prototype.constructor = TopKAccuracy;
+
+module.exports = TopKAccuracy;
@@ -0,0 +1,58 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Optimizer = require("./Optimizer.js");
+
+/**
+ * Adaptive gradient algorithm (AdaGrad) that can be used as an optimizer
+ *
+ * Every weight's step is divided by the root of the sum of all its squared gradients so far
+ *
+ * This works well for sparse data, but the steps keep shrinking so that learning may stop too early
+ *
+ * @constructor
+ * @extends Optimizer
+ * @param {number} [epsilon] - a small positive number that prevents divisions by zero
+ */
+function AdaptiveGradient(epsilon) {
+
+	// call the super class's constructor
+	Optimizer.call(this);
+
+	/**
+	 * A small positive number that prevents divisions by zero
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._epsilon = (typeof epsilon === "number") ? epsilon : 1e-8;
+
+	this.createState = function () {
+		return {
+			"sumOfSquares": 0
+		};
+	};
+
+	this.computeUpdate = function (gradient, state, learningRate) {
+		state.sumOfSquares += gradient * gradient;
+
+		return -learningRate * gradient / (Math.sqrt(state.sumOfSquares) + this._epsilon);
+	};
+
+	this.getParameters = function () {
+		return [ this._epsilon ];
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+AdaptiveGradient.prototype = Object.create(Optimizer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+AdaptiveGradient.prototype.constructor = AdaptiveGradient;
+
+module.exports = AdaptiveGradient;
@@ -0,0 +1,86 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Optimizer = require("./Optimizer.js");
+
+/**
+ * Adaptive moment estimation (Adam) that can be used as an optimizer
+ *
+ * Every weight keeps moving averages of both its gradients (first moment) and its squared gradients (second moment)
+ *
+ * The combination of momentum and per-weight step sizes makes this a robust default for many problems
+ *
+ * Much smaller learning rates than with plain gradient descent should be used, e.g. `0.001`
+ *
+ * @constructor
+ * @extends Optimizer
+ * @param {number} [beta1] - the decay rate of the moving average of gradients, e.g. `0.9`
+ * @param {number} [beta2] - the decay rate of the moving average of squared gradients, e.g. `0.999`
+ * @param {number} [epsilon] - a small positive number that prevents divisions by zero
+ */
+function AdaptiveMomentEstimation(beta1, beta2, epsilon) {
+
+	// call the super class's constructor
+	Optimizer.call(this);
+
+	/**
+	 * The decay rate of the moving average of gradients
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._beta1 = (typeof beta1 === "number") ? beta1 : 0.9;
+
+	/**
+	 * The decay rate of the moving average of squared gradients
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._beta2 = (typeof beta2 === "number") ? beta2 : 0.999;
+
+	/**
+	 * A small positive number that prevents divisions by zero
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._epsilon = (typeof epsilon === "number") ? epsilon : 1e-8;
+
+	this.createState = function () {
+		return {
+			"step": 0,
+			"firstMoment": 0,
+			"secondMoment": 0
+		};
+	};
+
+	this.computeUpdate = function (gradient, state, learningRate) {
+		state.step++;
+		state.firstMoment = this._beta1 * state.firstMoment + (1 - this._beta1) * gradient;
+		state.secondMoment = this._beta2 * state.secondMoment + (1 - this._beta2) * gradient * gradient;
+
+		// correct the bias towards zero that the moving averages have during the first steps
+		var firstMoment = state.firstMoment / (1 - Math.pow(this._beta1, state.step));
+		var secondMoment = state.secondMoment / (1 - Math.pow(this._beta2, state.step));
+
+		return -learningRate * firstMoment / (Math.sqrt(secondMoment) + this._epsilon);
+	};
+
+	this.getParameters = function () {
+		return [ this._beta1, this._beta2, this._epsilon ];
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+AdaptiveMomentEstimation.prototype = Object.create(Optimizer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+AdaptiveMomentEstimation.prototype.constructor = AdaptiveMomentEstimation;
+
+module.exports = AdaptiveMomentEstimation;
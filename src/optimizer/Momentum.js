@@ -0,0 +1,58 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Optimizer = require("./Optimizer.js");
+
+/**
+ * Stochastic gradient descent with momentum that can be used as an optimizer
+ *
+ * Every weight keeps a velocity that accumulates past updates, like a ball rolling down the error surface
+ *
+ * This dampens oscillations and speeds up progress along directions with a consistent gradient
+ *
+ * @constructor
+ * @extends Optimizer
+ * @param {number} [momentum] - the fraction of the previous velocity to keep, e.g. `0.9`
+ */
+function Momentum(momentum) {
+
+	// call the super class's constructor
+	Optimizer.call(this);
+
+	/**
+	 * The fraction of the previous velocity that is kept per update
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._momentum = (typeof momentum === "number") ? momentum : 0.9;
+
+	this.createState = function () {
+		return {
+			"velocity": 0
+		};
+	};
+
+	this.computeUpdate = function (gradient, state, learningRate) {
+		state.velocity = this._momentum * state.velocity - learningRate * gradient;
+
+		return state.velocity;
+	};
+
+	this.getParameters = function () {
+		return [ this._momentum ];
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+Momentum.prototype = Object.create(Optimizer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+Momentum.prototype.constructor = Momentum;
+
+module.exports = Momentum;
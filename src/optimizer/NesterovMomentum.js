@@ -0,0 +1,59 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Optimizer = require("./Optimizer.js");
+
+/**
+ * Stochastic gradient descent with Nesterov momentum (Nesterov accelerated gradient) that can be used as an optimizer
+ *
+ * This is a variant of classical momentum that looks ahead in the direction of the velocity before stepping
+ *
+ * The look-ahead often reacts faster to changes of the gradient and thus overshoots less than classical momentum
+ *
+ * @constructor
+ * @extends Optimizer
+ * @param {number} [momentum] - the fraction of the previous velocity to keep, e.g. `0.9`
+ */
+function NesterovMomentum(momentum) {
+
+	// call the super class's constructor
+	Optimizer.call(this);
+
+	/**
+	 * The fraction of the previous velocity that is kept per update
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._momentum = (typeof momentum === "number") ? momentum : 0.9;
+
+	this.createState = function () {
+		return {
+			"velocity": 0
+		};
+	};
+
+	this.computeUpdate = function (gradient, state, learningRate) {
+		state.velocity = this._momentum * state.velocity - learningRate * gradient;
+
+		// step along the updated velocity once more to apply the look-ahead
+		return this._momentum * state.velocity - learningRate * gradient;
+	};
+
+	this.getParameters = function () {
+		return [ this._momentum ];
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+NesterovMomentum.prototype = Object.create(Optimizer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+NesterovMomentum.prototype.constructor = NesterovMomentum;
+
+module.exports = NesterovMomentum;
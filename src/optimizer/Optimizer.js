@@ -0,0 +1,62 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+/**
+ * Optimizer for an artificial neural network
+ *
+ * An optimizer decides how the weights of a network change in response to the gradient of the error
+ *
+ * Some optimizers keep a separate state per weight, e.g. a velocity or running averages of past gradients
+ *
+ * Plain stochastic gradient descent is the simplest choice, while adaptive methods often converge faster
+ *
+ * @constructor
+ */
+function Optimizer() {
+
+	/**
+	 * Creates the initial state that this optimizer keeps for an individual weight
+	 *
+	 * @return {Object|null} the initial state or `null` if this optimizer does not keep any state
+	 */
+	this.createState = function () {
+		return null;
+	};
+
+	/**
+	 * Computes the change of an individual weight from the gradient of the error with respect to that weight
+	 *
+	 * @abstract
+	 * @param {number} gradient - the partial derivative of the error with respect to the weight
+	 * @param {Object|null} state - the state kept for the weight, which will be updated in place
+	 * @param {number} learningRate - the learning rate to use
+	 * @return {number} the value to add to the weight
+	 */
+	this.computeUpdate = function (gradient, state, learningRate) {
+		throw "Method not implemented in subclass `"+this.constructor.name+"`";
+	};
+
+	/**
+	 * Returns the parameters that this optimizer has been created with
+	 *
+	 * @return {number[]} the parameters in the order that the constructor expects them
+	 */
+	this.getParameters = function () {
+		return [];
+	};
+
+}
+
+Optimizer.prototype.toJSON = function () {
+	return {
+		"name": this.constructor.name,
+		"parameters": this.getParameters()
+	};
+};
+
+module.exports = Optimizer;
@@ -0,0 +1,67 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Optimizer = require("./Optimizer.js");
+
+/**
+ * Root mean square propagation (RMSProp) that can be used as an optimizer
+ *
+ * Every weight's step is divided by a moving average of the magnitudes of its recent gradients
+ *
+ * Weights with large gradients thus take smaller steps and weights with small gradients take larger steps
+ *
+ * @constructor
+ * @extends Optimizer
+ * @param {number} [decay] - the decay rate of the moving average of squared gradients, e.g. `0.9`
+ * @param {number} [epsilon] - a small positive number that prevents divisions by zero
+ */
+function RootMeanSquarePropagation(decay, epsilon) {
+
+	// call the super class's constructor
+	Optimizer.call(this);
+
+	/**
+	 * The decay rate of the moving average of squared gradients
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._decay = (typeof decay === "number") ? decay : 0.9;
+
+	/**
+	 * A small positive number that prevents divisions by zero
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._epsilon = (typeof epsilon === "number") ? epsilon : 1e-8;
+
+	this.createState = function () {
+		return {
+			"meanSquare": 0
+		};
+	};
+
+	this.computeUpdate = function (gradient, state, learningRate) {
+		state.meanSquare = this._decay * state.meanSquare + (1 - this._decay) * gradient * gradient;
+
+		return -learningRate * gradient / (Math.sqrt(state.meanSquare) + this._epsilon);
+	};
+
+	this.getParameters = function () {
+		return [ this._decay, this._epsilon ];
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+RootMeanSquarePropagation.prototype = Object.create(Optimizer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+RootMeanSquarePropagation.prototype.constructor = RootMeanSquarePropagation;
+
+module.exports = RootMeanSquarePropagation;
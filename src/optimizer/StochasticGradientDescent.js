@@ -0,0 +1,37 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Optimizer = require("./Optimizer.js");
+
+/**
+ * Stochastic gradient descent (SGD) that can be used as an optimizer
+ *
+ * Every weight is moved against its gradient by a step that is proportional to the learning rate
+ *
+ * This optimizer does not keep any state and is the default choice
+ *
+ * @constructor
+ * @extends Optimizer
+ */
+function StochasticGradientDescent() {
+
+	// call the super class's constructor
+	Optimizer.call(this);
+
+	this.computeUpdate = function (gradient, state, learningRate) {
+		return -learningRate * gradient;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+StochasticGradientDescent.prototype = Object.create(Optimizer.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+StochasticGradientDescent.prototype.constructor = StochasticGradientDescent;
+
+module.exports = StochasticGradientDescent;
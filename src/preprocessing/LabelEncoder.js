@@ -0,0 +1,67 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Preprocessor = require("./Preprocessor.js");
+
+/**
+ * Label encoding that replaces every category of a column with its index, starting at zero
+ *
+ * The categories are numbers or strings, ordered by their first appearance, and must match exactly
+ *
+ * When restoring a category, the value is rounded to the nearest index
+ *
+ * @constructor
+ * @extends Preprocessor
+ * @param {number[]|null} [columns] - the indices of the columns to process or `null` for all columns
+ */
+function LabelEncoder(columns) {
+
+	// call the super class's constructor
+	Preprocessor.call(this, columns);
+
+	this._fitColumn = function (values) {
+		var categories = [];
+
+		for (var i = 0; i < values.length; i++) {
+			if (categories.indexOf(values[i]) === -1) {
+				categories.push(values[i]);
+			}
+		}
+
+		return {
+			"categories": categories
+		};
+	};
+
+	this._encode = function (value, column, state) {
+		var index = state.categories.indexOf(value);
+
+		if (index === -1) {
+			throw "Category `"+value+"` in column `"+column+"` is unknown to preprocessor `LabelEncoder`";
+		}
+
+		return [ index ];
+	};
+
+	this._decode = function (values, state) {
+		var index = Math.round(values[0]);
+
+		// values outside of the known indices belong to the closest category
+		index = Math.min(Math.max(index, 0), state.categories.length - 1);
+
+		return state.categories[index];
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+LabelEncoder.prototype = Object.create(Preprocessor.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+LabelEncoder.prototype.constructor = LabelEncoder;
+
+module.exports = LabelEncoder;
@@ -0,0 +1,121 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Preprocessor = require("./Preprocessor.js");
+
+/**
+ * Min-max scaling that maps the smallest value of every column to the lower bound and the largest value to the upper bound
+ *
+ * Without explicit bounds, the range that the network can work with is used, e.g. the range of the activation function
+ * of the output layer for desired outputs, where infinite bounds are replaced with `0` and `1`
+ *
+ * Columns with a single value are mapped to the lower bound, and restoring them always yields that single value
+ *
+ * @constructor
+ * @extends Preprocessor
+ * @param {number|null} [lower] - the value that the minimum is mapped to, e.g. `0`
+ * @param {number|null} [upper] - the value that the maximum is mapped to, e.g. `1`
+ * @param {number[]|null} [columns] - the indices of the columns to process or `null` for all columns
+ */
+function MinMaxScaler(lower, upper, columns) {
+
+	// call the super class's constructor
+	Preprocessor.call(this, columns);
+
+	/**
+	 * The value that the minimum is mapped to (if specified)
+	 *
+	 * @type {number|null}
+	 * @private
+	 */
+	this._lower = (typeof lower === "number") ? lower : null;
+
+	/**
+	 * The value that the maximum is mapped to (if specified)
+	 *
+	 * @type {number|null}
+	 * @private
+	 */
+	this._upper = (typeof upper === "number") ? upper : null;
+
+	if ((this._lower === null) !== (this._upper === null) || (this._lower !== null && !(this._lower < this._upper && isFinite(this._lower) && isFinite(this._upper)))) {
+		throw "Bounds of preprocessor `MinMaxScaler` (`"+lower+"` and `"+upper+"`) must either both be omitted or be finite numbers in ascending order";
+	}
+
+	this._fitColumn = function (values, column, range) {
+		var minimum = Number.POSITIVE_INFINITY;
+		var maximum = Number.NEGATIVE_INFINITY;
+
+		for (var i = 0; i < values.length; i++) {
+			this._ensureNumber(values[i], column);
+
+			minimum = Math.min(minimum, values[i]);
+			maximum = Math.max(maximum, values[i]);
+		}
+
+		var bounds = this._resolveBounds(range);
+
+		return {
+			"minimum": minimum,
+			"maximum": maximum,
+			"lower": bounds[0],
+			"upper": bounds[1]
+		};
+	};
+
+	/**
+	 * Determines the bounds to map to, from the parameters or else from the range that the network can work with
+	 *
+	 * @param {{lower: number, upper: number}|null} range - the range of values that the network can work with (if known)
+	 * @return {number[]} the lower and the upper bound
+	 * @private
+	 */
+	this._resolveBounds = function (range) {
+		if (this._lower !== null) {
+			return [ this._lower, this._upper ];
+		}
+
+		var lower = (range !== null && isFinite(range.lower)) ? range.lower : 0;
+		var upper = (range !== null && isFinite(range.upper)) ? range.upper : 1;
+
+		if (!(lower < upper)) {
+			return [ 0, 1 ];
+		}
+
+		return [ lower, upper ];
+	};
+
+	this._encode = function (value, column, state) {
+		this._ensureNumber(value, column);
+
+		var spread = (state.maximum > state.minimum) ? state.maximum - state.minimum : 1;
+
+		return [ state.lower + (value - state.minimum) / spread * (state.upper - state.lower) ];
+	};
+
+	this._decode = function (values, state) {
+		// a column with a single value can only be restored to that value
+		if (!(state.maximum > state.minimum)) {
+			return state.minimum;
+		}
+
+		return state.minimum + (values[0] - state.lower) / (state.upper - state.lower) * (state.maximum - state.minimum);
+	};
+
+	this.getParameters = function () {
+		return [ this._lower, this._upper, this._columns ];
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+MinMaxScaler.prototype = Object.create(Preprocessor.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+MinMaxScaler.prototype.constructor = MinMaxScaler;
+
+module.exports = MinMaxScaler;
@@ -0,0 +1,81 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Preprocessor = require("./Preprocessor.js");
+
+/**
+ * One-hot encoding that turns every category of a column into a value of its own, which is `1` for the category present
+ * and `0` for all others
+ *
+ * The categories are numbers or strings, ordered by their first appearance, and must match exactly
+ *
+ * When restoring a category, the one with the largest value is chosen, e.g. for the output of a softmax function
+ *
+ * @constructor
+ * @extends Preprocessor
+ * @param {number[]|null} [columns] - the indices of the columns to process or `null` for all columns
+ */
+function OneHotEncoder(columns) {
+
+	// call the super class's constructor
+	Preprocessor.call(this, columns);
+
+	this._fitColumn = function (values) {
+		var categories = [];
+
+		for (var i = 0; i < values.length; i++) {
+			if (categories.indexOf(values[i]) === -1) {
+				categories.push(values[i]);
+			}
+		}
+
+		return {
+			"categories": categories
+		};
+	};
+
+	this._encode = function (value, column, state) {
+		var index = state.categories.indexOf(value);
+
+		if (index === -1) {
+			throw "Category `"+value+"` in column `"+column+"` is unknown to preprocessor `OneHotEncoder`";
+		}
+
+		var values = [];
+
+		for (var i = 0; i < state.categories.length; i++) {
+			values.push((i === index) ? 1 : 0);
+		}
+
+		return values;
+	};
+
+	this._decode = function (values, state) {
+		var best = 0;
+
+		for (var i = 1; i < values.length; i++) {
+			if (values[i] > values[best]) {
+				best = i;
+			}
+		}
+
+		return state.categories[best];
+	};
+
+	this._getWidth = function (state) {
+		return state.categories.length;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+OneHotEncoder.prototype = Object.create(Preprocessor.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+OneHotEncoder.prototype.constructor = OneHotEncoder;
+
+module.exports = OneHotEncoder;
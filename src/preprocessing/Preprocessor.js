@@ -0,0 +1,345 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+/**
+ * Abstract base class for all steps that prepare rows of values for a network or restore them from its output
+ *
+ * A preprocessor learns what it needs for every column separately from the rows passed to `fit`
+ *
+ * If the columns are limited to some indices, all other columns are passed through unchanged
+ *
+ * A single column may be turned into several values, e.g. one per category, that `inverseTransform` combines again
+ *
+ * @constructor
+ * @param {number[]|null} [columns] - the indices of the columns to process or `null` for all columns
+ */
+function Preprocessor(columns) {
+
+	if (typeof columns !== "undefined" && columns !== null) {
+		if (!Array.isArray(columns)) {
+			throw "Columns of preprocessor `"+this.constructor.name+"` must be a list of indices";
+		}
+
+		for (var i = 0; i < columns.length; i++) {
+			if (typeof columns[i] !== "number" || columns[i] < 0 || columns[i] % 1 !== 0) {
+				throw "Column `"+columns[i]+"` of preprocessor `"+this.constructor.name+"` must be a non-negative integer";
+			}
+		}
+	}
+
+	/**
+	 * The indices of the columns to process or `null` for all columns
+	 *
+	 * @type {number[]|null}
+	 * @private
+	 */
+	this._columns = columns || null;
+
+	/**
+	 * The number of columns of the rows that this preprocessor has been fitted to (if it has been fitted)
+	 *
+	 * @type {number|null}
+	 * @private
+	 */
+	this._inputSize = null;
+
+	/**
+	 * What has been learned per column, or `null` for columns that are passed through
+	 *
+	 * @type {Array.<Object|null>|null}
+	 * @private
+	 */
+	this._columnStates = null;
+
+	/**
+	 * Learns what is needed to transform the values of a single column
+	 *
+	 * @abstract
+	 * @param {Array} values - the values of the column in all rows
+	 * @param {number} column - the index of the column
+	 * @param {{lower: number, upper: number}|null} range - the range of values that the network can work with (if known)
+	 * @return {Object} the state for the column
+	 * @private
+	 */
+	this._fitColumn = function (values, column, range) {
+		throw "Method not implemented in subclass `"+this.constructor.name+"`";
+	};
+
+	/**
+	 * Transforms a single value of a column
+	 *
+	 * @abstract
+	 * @param {*} value - the value
+	 * @param {number} column - the index of the column
+	 * @param {Object} state - the state for the column
+	 * @return {number[]} the transformed values
+	 * @private
+	 */
+	this._encode = function (value, column, state) {
+		throw "Method not implemented in subclass `"+this.constructor.name+"`";
+	};
+
+	/**
+	 * Restores a single value of a column from its transformed values
+	 *
+	 * @abstract
+	 * @param {number[]} values - the transformed values
+	 * @param {Object} state - the state for the column
+	 * @return {*} the value
+	 * @private
+	 */
+	this._decode = function (values, state) {
+		throw "Method not implemented in subclass `"+this.constructor.name+"`";
+	};
+
+	/**
+	 * Returns the number of values that every value of a column is transformed into
+	 *
+	 * @param {Object} state - the state for the column
+	 * @return {number} the number of values
+	 * @private
+	 */
+	this._getWidth = function (state) {
+		return 1;
+	};
+
+	/**
+	 * Learns what is needed to transform rows like the specified ones
+	 *
+	 * @param {Array[]} rows - the rows of values
+	 * @param {{lower: number, upper: number}|null} [range] - the range of values that the network can work with (if known)
+	 * @return {Preprocessor} this preprocessor
+	 */
+	this.fit = function (rows, range) {
+		if (!Array.isArray(rows) || rows.length === 0) {
+			throw "Preprocessor `"+this.constructor.name+"` must be fitted to at least one row";
+		}
+
+		var inputSize = Array.isArray(rows[0]) ? rows[0].length : -1;
+		var c;
+
+		for (var i = 0; i < rows.length; i++) {
+			if (!Array.isArray(rows[i]) || rows[i].length !== inputSize) {
+				throw "Rows that preprocessor `"+this.constructor.name+"` is fitted to must be lists of the same size";
+			}
+		}
+
+		if (this._columns !== null) {
+			for (c = 0; c < this._columns.length; c++) {
+				if (this._columns[c] >= inputSize) {
+					throw "Column `"+this._columns[c]+"` of preprocessor `"+this.constructor.name+"` does not exist in rows of size `"+inputSize+"`";
+				}
+			}
+		}
+
+		var columnStates = [];
+		var values;
+
+		// for every column
+		for (c = 0; c < inputSize; c++) {
+			if (this._columns === null || this._columns.indexOf(c) !== -1) {
+				values = [];
+
+				for (i = 0; i < rows.length; i++) {
+					values.push(rows[i][c]);
+				}
+
+				columnStates.push(this._fitColumn(values, c, range || null));
+			}
+			else {
+				columnStates.push(null);
+			}
+		}
+
+		this._inputSize = inputSize;
+		this._columnStates = columnStates;
+
+		return this;
+	};
+
+	/**
+	 * Returns whether this preprocessor has been fitted
+	 *
+	 * @return {boolean} whether the preprocessor has been fitted
+	 */
+	this.isFitted = function () {
+		return this._columnStates !== null;
+	};
+
+	/**
+	 * Returns the number of values per row that this preprocessor expects
+	 *
+	 * @return {number|null} the number of values or `null` if the preprocessor has not been fitted
+	 */
+	this.getInputSize = function () {
+		return this._inputSize;
+	};
+
+	/**
+	 * Returns the number of values per row that this preprocessor produces
+	 *
+	 * @return {number|null} the number of values or `null` if the preprocessor has not been fitted
+	 */
+	this.getOutputSize = function () {
+		if (!this.isFitted()) {
+			return null;
+		}
+
+		var size = 0;
+
+		for (var c = 0; c < this._columnStates.length; c++) {
+			size += (this._columnStates[c] === null) ? 1 : this._getWidth(this._columnStates[c]);
+		}
+
+		return size;
+	};
+
+	/**
+	 * Transforms the specified row
+	 *
+	 * @param {Array} row - the row of values
+	 * @return {Array} the transformed row
+	 */
+	this.transform = function (row) {
+		this._ensureFitted();
+
+		if (!Array.isArray(row) || row.length !== this._inputSize) {
+			throw "Size of row (`"+(Array.isArray(row) ? row.length : row)+"`) and number of columns that preprocessor `"+this.constructor.name+"` has been fitted to (`"+this._inputSize+"`) must match";
+		}
+
+		var result = [];
+
+		// for every column
+		for (var c = 0; c < this._inputSize; c++) {
+			if (this._columnStates[c] === null) {
+				result.push(row[c]);
+			}
+			else {
+				Array.prototype.push.apply(result, this._encode(row[c], c, this._columnStates[c]));
+			}
+		}
+
+		return result;
+	};
+
+	/**
+	 * Restores a row from its transformed values
+	 *
+	 * @param {Array} row - the transformed row
+	 * @return {Array} the row of values
+	 */
+	this.inverseTransform = function (row) {
+		this._ensureFitted();
+
+		var outputSize = this.getOutputSize();
+
+		if (!Array.isArray(row) || row.length !== outputSize) {
+			throw "Size of row (`"+(Array.isArray(row) ? row.length : row)+"`) and number of values that preprocessor `"+this.constructor.name+"` produces (`"+outputSize+"`) must match";
+		}
+
+		var result = [];
+		var offset = 0;
+		var width;
+
+		// for every column
+		for (var c = 0; c < this._inputSize; c++) {
+			if (this._columnStates[c] === null) {
+				result.push(row[offset]);
+				offset++;
+			}
+			else {
+				width = this._getWidth(this._columnStates[c]);
+				result.push(this._decode(row.slice(offset, offset + width), this._columnStates[c]));
+				offset += width;
+			}
+		}
+
+		return result;
+	};
+
+	/**
+	 * Ensures that this preprocessor has been fitted before it is used
+	 *
+	 * @private
+	 */
+	this._ensureFitted = function () {
+		if (!this.isFitted()) {
+			throw "Preprocessor `"+this.constructor.name+"` must be fitted before it can transform rows";
+		}
+	};
+
+	/**
+	 * Ensures that a value of a column is a number that can be scaled
+	 *
+	 * @param {*} value - the value
+	 * @param {number} column - the index of the column
+	 * @private
+	 */
+	this._ensureNumber = function (value, column) {
+		if (typeof value !== "number" || !isFinite(value)) {
+			throw "Value `"+value+"` in column `"+column+"` of preprocessor `"+this.constructor.name+"` must be a finite number";
+		}
+	};
+
+	/**
+	 * Returns what this preprocessor has learned so that it can be restored later
+	 *
+	 * @return {Object|null} the state or `null` if the preprocessor has not been fitted
+	 */
+	this.getState = function () {
+		if (!this.isFitted()) {
+			return null;
+		}
+
+		return {
+			"inputSize": this._inputSize,
+			"columns": this._columnStates
+		};
+	};
+
+	/**
+	 * Replaces what this preprocessor has learned with a state returned by `getState` before
+	 *
+	 * @param {Object|null} state - the new state or `null` to discard what has been learned
+	 */
+	this.setState = function (state) {
+		if (state === null) {
+			this._inputSize = null;
+			this._columnStates = null;
+
+			return;
+		}
+
+		if (typeof state !== "object" || !Array.isArray(state.columns) || state.columns.length !== state.inputSize) {
+			throw "State of preprocessor `"+this.constructor.name+"` must contain one entry per column";
+		}
+
+		this._inputSize = state.inputSize;
+		this._columnStates = state.columns;
+	};
+
+	/**
+	 * Returns the parameters that this preprocessor has been created with
+	 *
+	 * @return {Array} the parameters in the order that the constructor expects them
+	 */
+	this.getParameters = function () {
+		return [ this._columns ];
+	};
+
+}
+
+Preprocessor.prototype.toJSON = function () {
+	return {
+		"name": this.constructor.name,
+		"parameters": this.getParameters(),
+		"state": this.getState()
+	};
+};
+
+module.exports = Preprocessor;
@@ -0,0 +1,77 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Preprocessor = require("./Preprocessor.js");
+
+/**
+ * Robust scaling that shifts every column by its median and scales it by its interquartile range
+ *
+ * Since quantiles are hardly affected by extreme values, this is preferable to standardization for data with outliers
+ *
+ * Columns with an interquartile range of zero are only shifted
+ *
+ * @constructor
+ * @extends Preprocessor
+ * @param {number[]|null} [columns] - the indices of the columns to process or `null` for all columns
+ */
+function RobustScaler(columns) {
+
+	// call the super class's constructor
+	Preprocessor.call(this, columns);
+
+	this._fitColumn = function (values, column) {
+		for (var i = 0; i < values.length; i++) {
+			this._ensureNumber(values[i], column);
+		}
+
+		var sorted = values.slice().sort(function (a, b) {
+			return a - b;
+		});
+
+		var interquartileRange = RobustScaler._getQuantile(sorted, 0.75) - RobustScaler._getQuantile(sorted, 0.25);
+
+		return {
+			"median": RobustScaler._getQuantile(sorted, 0.5),
+			"interquartileRange": (interquartileRange > 0) ? interquartileRange : 1
+		};
+	};
+
+	this._encode = function (value, column, state) {
+		this._ensureNumber(value, column);
+
+		return [ (value - state.median) / state.interquartileRange ];
+	};
+
+	this._decode = function (values, state) {
+		return state.median + values[0] * state.interquartileRange;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+RobustScaler.prototype = Object.create(Preprocessor.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+RobustScaler.prototype.constructor = RobustScaler;
+
+/**
+ * Returns the quantile of the specified sorted values, interpolating linearly between neighboring values
+ *
+ * @param {number[]} sorted - the values in ascending order
+ * @param {number} fraction - the fraction of values below the quantile, e.g. `0.5` for the median
+ * @return {number} the quantile
+ * @private
+ */
+RobustScaler._getQuantile = function (sorted, fraction) {
+	var position = (sorted.length - 1) * fraction;
+	var below = Math.floor(position);
+	var above = Math.ceil(position);
+
+	return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+};
+
+module.exports = RobustScaler;
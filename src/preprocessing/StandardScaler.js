@@ -0,0 +1,67 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var Preprocessor = require("./Preprocessor.js");
+
+/**
+ * Standardization (z-score scaling) that shifts every column to a mean of zero and scales it to a standard deviation of one
+ *
+ * Columns with a single value are only shifted
+ *
+ * @constructor
+ * @extends Preprocessor
+ * @param {number[]|null} [columns] - the indices of the columns to process or `null` for all columns
+ */
+function StandardScaler(columns) {
+
+	// call the super class's constructor
+	Preprocessor.call(this, columns);
+
+	this._fitColumn = function (values, column) {
+		var sum = 0;
+		var i;
+
+		for (i = 0; i < values.length; i++) {
+			this._ensureNumber(values[i], column);
+
+			sum += values[i];
+		}
+
+		var mean = sum / values.length;
+		var squares = 0;
+
+		for (i = 0; i < values.length; i++) {
+			squares += (values[i] - mean) * (values[i] - mean);
+		}
+
+		var standardDeviation = Math.sqrt(squares / values.length);
+
+		return {
+			"mean": mean,
+			"standardDeviation": (standardDeviation > 0) ? standardDeviation : 1
+		};
+	};
+
+	this._encode = function (value, column, state) {
+		this._ensureNumber(value, column);
+
+		return [ (value - state.mean) / state.standardDeviation ];
+	};
+
+	this._decode = function (values, state) {
+		return state.mean + values[0] * state.standardDeviation;
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+StandardScaler.prototype = Object.create(Preprocessor.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+StandardScaler.prototype.constructor = StandardScaler;
+
+module.exports = StandardScaler;
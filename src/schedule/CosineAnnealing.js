@@ -0,0 +1,82 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var LearningRateSchedule = require("./LearningRateSchedule.js");
+
+/**
+ * Cosine annealing with warm restarts (SGDR) that lowers the learning rate along a cosine curve
+ *
+ * After each period, the learning rate is restarted at the base learning rate to escape from local minima
+ *
+ * The periods may grow by a constant factor so that later periods explore less and converge more
+ *
+ * @constructor
+ * @extends LearningRateSchedule
+ * @param {number} [period] - the number of steps in the first period, e.g. `10`
+ * @param {number} [periodMultiplier] - the factor that each period is longer than the previous period, e.g. `1` or `2`
+ * @param {number} [minLearningRate] - the learning rate at the end of each period, e.g. `0`
+ * @param {string} [unit] - whether the schedule counts `epoch`s (default) or `iteration`s
+ */
+function CosineAnnealing(period, periodMultiplier, minLearningRate, unit) {
+
+	// call the super class's constructor
+	LearningRateSchedule.call(this, unit);
+
+	/**
+	 * The number of steps in the first period
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._period = (typeof period === "number") ? period : 10;
+
+	/**
+	 * The factor that each period is longer than the previous period
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._periodMultiplier = (typeof periodMultiplier === "number") ? periodMultiplier : 1;
+
+	/**
+	 * The learning rate at the end of each period
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._minLearningRate = (typeof minLearningRate === "number") ? minLearningRate : 0;
+
+	if (!(this._period > 0) || !(this._periodMultiplier >= 1)) {
+		throw "Period (`"+this._period+"`) must be positive and period multiplier (`"+this._periodMultiplier+"`) must be at least `1`";
+	}
+
+	this.getLearningRate = function (baseLearningRate) {
+		var position = this.getStep();
+		var period = this._period;
+
+		// find the position within the current period
+		while (position >= period) {
+			position -= period;
+			period *= this._periodMultiplier;
+		}
+
+		return this._minLearningRate + (baseLearningRate - this._minLearningRate) * (1 + Math.cos(Math.PI * position / period)) / 2;
+	};
+
+	this.getParameters = function () {
+		return [ this._period, this._periodMultiplier, this._minLearningRate, this._unit ];
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+CosineAnnealing.prototype = Object.create(LearningRateSchedule.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+CosineAnnealing.prototype.constructor = CosineAnnealing;
+
+module.exports = CosineAnnealing;
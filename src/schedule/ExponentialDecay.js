@@ -0,0 +1,56 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var LearningRateSchedule = require("./LearningRateSchedule.js");
+
+/**
+ * Exponential decay that multiplies the learning rate by a constant factor per step, smoothly
+ *
+ * @constructor
+ * @extends LearningRateSchedule
+ * @param {number} [decayRate] - the factor that the learning rate is multiplied by per number of decay steps, e.g. `0.96`
+ * @param {number} [decaySteps] - the number of steps over which the learning rate is multiplied by the decay rate, e.g. `1`
+ * @param {string} [unit] - whether the schedule counts `epoch`s (default) or `iteration`s
+ */
+function ExponentialDecay(decayRate, decaySteps, unit) {
+
+	// call the super class's constructor
+	LearningRateSchedule.call(this, unit);
+
+	/**
+	 * The factor that the learning rate is multiplied by per number of decay steps
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._decayRate = (typeof decayRate === "number") ? decayRate : 0.96;
+
+	/**
+	 * The number of steps over which the learning rate is multiplied by the decay rate
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._decaySteps = (typeof decaySteps === "number") ? decaySteps : 1;
+
+	this.getLearningRate = function (baseLearningRate) {
+		return baseLearningRate * Math.pow(this._decayRate, this.getStep() / this._decaySteps);
+	};
+
+	this.getParameters = function () {
+		return [ this._decayRate, this._decaySteps, this._unit ];
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+ExponentialDecay.prototype = Object.create(LearningRateSchedule.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+ExponentialDecay.prototype.constructor = ExponentialDecay;
+
+module.exports = ExponentialDecay;
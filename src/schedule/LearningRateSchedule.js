@@ -0,0 +1,130 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+/**
+ * Abstract base class for all schedules that adjust the learning rate of a network over the course of training
+ *
+ * A schedule derives the current learning rate from the base learning rate that has been set for the network
+ *
+ * It is informed about the end of every iteration (i.e. weight update) and every epoch (i.e. pass over all examples)
+ *
+ * Schedules counting epochs only advance during `trainBatch` and `trainMiniBatch`, as `train` has no epochs
+ *
+ * @constructor
+ * @param {string} [unit] - whether the schedule counts `epoch`s (default) or `iteration`s
+ */
+function LearningRateSchedule(unit) {
+
+	/**
+	 * Whether this schedule counts epochs or iterations
+	 *
+	 * @type {string}
+	 * @private
+	 */
+	this._unit = unit || "epoch";
+
+	if (this._unit !== "epoch" && this._unit !== "iteration") {
+		throw "Unit of learning rate schedule (`"+this._unit+"`) must be either `epoch` or `iteration`";
+	}
+
+	/**
+	 * The number of iterations that have been completed
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._iteration = 0;
+
+	/**
+	 * The number of epochs that have been completed
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._epoch = 0;
+
+	/**
+	 * Returns the learning rate to use for the next update
+	 *
+	 * @abstract
+	 * @param {number} baseLearningRate - the base learning rate that has been set for the network
+	 * @return {number} the current learning rate
+	 */
+	this.getLearningRate = function (baseLearningRate) {
+		throw "Method not implemented in subclass `"+this.constructor.name+"`";
+	};
+
+	/**
+	 * Returns the number of completed iterations or epochs, depending on the unit of this schedule
+	 *
+	 * @return {number} the number of completed steps
+	 */
+	this.getStep = function () {
+		return (this._unit === "iteration") ? this._iteration : this._epoch;
+	};
+
+	/**
+	 * Informs this schedule that an iteration has been completed
+	 *
+	 * @param {number} error - the loss averaged over the examples of the iteration
+	 */
+	this.onIterationEnd = function (error) {
+		this._iteration++;
+	};
+
+	/**
+	 * Informs this schedule that an epoch has been completed
+	 *
+	 * @param {number} error - the validation error if available or the loss averaged over all examples otherwise
+	 */
+	this.onEpochEnd = function (error) {
+		this._epoch++;
+	};
+
+	/**
+	 * Returns the state of this schedule so that it can be continued later
+	 *
+	 * @return {Object} the state
+	 */
+	this.getState = function () {
+		return {
+			"iteration": this._iteration,
+			"epoch": this._epoch
+		};
+	};
+
+	/**
+	 * Replaces the state of this schedule with a state returned by `getState` before
+	 *
+	 * @param {Object} state - the new state
+	 */
+	this.setState = function (state) {
+		this._iteration = state.iteration || 0;
+		this._epoch = state.epoch || 0;
+	};
+
+	/**
+	 * Returns the parameters that this schedule has been created with
+	 *
+	 * @return {Array} the parameters in the order that the constructor expects them
+	 */
+	this.getParameters = function () {
+		return [];
+	};
+
+}
+
+LearningRateSchedule.prototype.toJSON = function () {
+	return {
+		"name": this.constructor.name,
+		"parameters": this.getParameters(),
+		"state": this.getState()
+	};
+};
+
+module.exports = LearningRateSchedule;
@@ -0,0 +1,49 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var LearningRateSchedule = require("./LearningRateSchedule.js");
+
+/**
+ * Linear warmup that raises the learning rate from a small value to the base learning rate
+ *
+ * Small initial steps prevent large updates while optimizers such as Adam have not collected reliable statistics yet
+ *
+ * @constructor
+ * @extends LearningRateSchedule
+ * @param {number} [warmupSteps] - the number of steps until the base learning rate is reached, e.g. `5`
+ * @param {string} [unit] - whether the schedule counts `epoch`s or `iteration`s (default)
+ */
+function LinearWarmup(warmupSteps, unit) {
+
+	// call the super class's constructor
+	LearningRateSchedule.call(this, unit || "iteration");
+
+	/**
+	 * The number of steps until the base learning rate is reached
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._warmupSteps = (typeof warmupSteps === "number") ? warmupSteps : 5;
+
+	this.getLearningRate = function (baseLearningRate) {
+		return baseLearningRate * Math.min(1, (this.getStep() + 1) / this._warmupSteps);
+	};
+
+	this.getParameters = function () {
+		return [ this._warmupSteps, this._unit ];
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+LinearWarmup.prototype = Object.create(LearningRateSchedule.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+LinearWarmup.prototype.constructor = LinearWarmup;
+
+module.exports = LinearWarmup;
@@ -0,0 +1,141 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var LearningRateSchedule = require("./LearningRateSchedule.js");
+
+/**
+ * Reduction of the learning rate by a constant factor whenever the error has stopped improving
+ *
+ * The error is the validation error if validation examples have been supplied and the training error otherwise
+ *
+ * This schedule counts epochs only, so it applies to `trainBatch` and `trainMiniBatch` but never reduces the learning rate in
+ * `train` or `trainSequence`, which report the losses of single examples or sequences instead of completing epochs
+ *
+ * @constructor
+ * @extends LearningRateSchedule
+ * @param {number} [factor] - the factor that the learning rate is multiplied by per reduction, e.g. `0.1`
+ * @param {number} [patience] - the number of epochs without improvement to accept before reducing the learning rate, e.g. `10`
+ * @param {number} [minLearningRate] - the lower bound for the learning rate, e.g. `0`
+ * @param {number} [threshold] - the relative decrease of the error that counts as an improvement, e.g. `0.0001`
+ */
+function ReduceOnPlateau(factor, patience, minLearningRate, threshold) {
+
+	// call the super class's constructor
+	LearningRateSchedule.call(this, "epoch");
+
+	/**
+	 * The factor that the learning rate is multiplied by per reduction
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._factor = (typeof factor === "number") ? factor : 0.1;
+
+	/**
+	 * The number of epochs without improvement to accept before reducing the learning rate
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._patience = (typeof patience === "number") ? patience : 10;
+
+	/**
+	 * The lower bound for the learning rate
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._minLearningRate = (typeof minLearningRate === "number") ? minLearningRate : 0;
+
+	/**
+	 * The relative decrease of the error that counts as an improvement
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._threshold = (typeof threshold === "number") ? threshold : 0.0001;
+
+	/**
+	 * The lowest error seen so far (if any)
+	 *
+	 * @type {number|null}
+	 * @private
+	 */
+	this._bestError = null;
+
+	/**
+	 * The number of epochs since the last improvement or reduction
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._badEpochs = 0;
+
+	/**
+	 * The product of all reductions so far
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._scale = 1;
+
+	// keep the implementation of the super class so that it can be extended
+	var onEpochEnd = this.onEpochEnd;
+
+	this.getLearningRate = function (baseLearningRate) {
+		return Math.max(this._minLearningRate, baseLearningRate * this._scale);
+	};
+
+	this.onEpochEnd = function (error) {
+		onEpochEnd.call(this, error);
+
+		if (this._bestError === null || error < this._bestError - Math.abs(this._bestError) * this._threshold) {
+			this._bestError = error;
+			this._badEpochs = 0;
+		}
+		else {
+			this._badEpochs++;
+
+			// if the error has not improved for too long
+			if (this._badEpochs > this._patience) {
+				this._scale *= this._factor;
+				this._badEpochs = 0;
+			}
+		}
+	};
+
+	this.getState = function () {
+		return {
+			"iteration": this._iteration,
+			"epoch": this._epoch,
+			"bestError": this._bestError,
+			"badEpochs": this._badEpochs,
+			"scale": this._scale
+		};
+	};
+
+	this.setState = function (state) {
+		this._iteration = state.iteration || 0;
+		this._epoch = state.epoch || 0;
+		this._bestError = (typeof state.bestError === "number") ? state.bestError : null;
+		this._badEpochs = state.badEpochs || 0;
+		this._scale = (typeof state.scale === "number") ? state.scale : 1;
+	};
+
+	this.getParameters = function () {
+		return [ this._factor, this._patience, this._minLearningRate, this._threshold ];
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+ReduceOnPlateau.prototype = Object.create(LearningRateSchedule.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+ReduceOnPlateau.prototype.constructor = ReduceOnPlateau;
+
+module.exports = ReduceOnPlateau;
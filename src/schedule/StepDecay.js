@@ -0,0 +1,56 @@
+/*
+ * JS-NeuralNetwork (https://github.com/delight-im/JS-NeuralNetwork)
+ * Copyright (c) delight.im (https://www.delight.im/)
+ * Licensed under the MIT License (https://opensource.org/licenses/MIT)
+ */
+
+"use strict";
+
+var LearningRateSchedule = require("./LearningRateSchedule.js");
+
+/**
+ * Step decay that multiplies the learning rate by a constant factor after every fixed number of steps
+ *
+ * @constructor
+ * @extends LearningRateSchedule
+ * @param {number} [stepSize] - the number of steps after which the learning rate decays, e.g. `10`
+ * @param {number} [gamma] - the factor that the learning rate is multiplied by per decay, e.g. `0.5`
+ * @param {string} [unit] - whether the schedule counts `epoch`s (default) or `iteration`s
+ */
+function StepDecay(stepSize, gamma, unit) {
+
+	// call the super class's constructor
+	LearningRateSchedule.call(this, unit);
+
+	/**
+	 * The number of steps after which the learning rate decays
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._stepSize = (typeof stepSize === "number") ? stepSize : 10;
+
+	/**
+	 * The factor that the learning rate is multiplied by per decay
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	this._gamma = (typeof gamma === "number") ? gamma : 0.5;
+
+	this.getLearningRate = function (baseLearningRate) {
+		return baseLearningRate * Math.pow(this._gamma, Math.floor(this.getStep() / this._stepSize));
+	};
+
+	this.getParameters = function () {
+		return [ this._stepSize, this._gamma, this._unit ];
+	};
+
+}
+
+// create a prototype that inherits from the super class's prototype
+StepDecay.prototype = Object.create(LearningRateSchedule.prototype);
+// fix the constructor pointer so that it doesn't point to the super class
+StepDecay.prototype.constructor = StepDecay;
+
+module.exports = StepDecay;